@@ -0,0 +1,159 @@
+// Times the removal pipeline stage by stage over the sample cards.
+//
+//   npm run bench -- [--algorithms edge,basic] [--text SAMPLE] [--runs 3] [--save before.json] [--compare before.json] [--kernels]
+//
+// Each card goes through the Worker's fetch handler with response=json and Cache-Control: no-cache,
+// so every run is processed rather than served from the result cache, and the report's per-stage
+// timings are reduced to their median over the runs. --save writes the results so that a run after
+// a change can --compare against them. --kernels also times the mask morphology and window
+// averaging on their own at increasing radii.
+
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import worker from '../src/index.js';
+
+const SAMPLE_DIR = new URL('../sample/', import.meta.url);
+const ALGORITHMS = ['basic', 'edge', 'frequency', 'exemplar', 'telea', 'reverse'];
+const STAGES = ['decode', 'detection', 'inpainting', 'encode', 'metadata', 'total'];
+const KERNEL_RADII = [1, 2, 4, 8, 16];
+
+const options = parseArguments(process.argv.slice(2));
+const baseline = options.compare ? JSON.parse(await readFile(options.compare, 'utf8')) : null;
+
+const cards = (await readdir(SAMPLE_DIR)).filter(name => /\.(png|jpe?g|webp)$/i.test(name)).sort();
+const results = [];
+for (const card of cards) {
+  const bytes = await readFile(new URL(card, SAMPLE_DIR));
+  for (const algorithm of options.algorithms) {
+    const runs = [];
+    for (let run = 0; run < options.runs; run++) {
+      runs.push(await timeRemoval(card, bytes, algorithm, options.text));
+    }
+    const timings = Object.fromEntries(STAGES.map(stage => [stage, median(runs.map(timing => timing[stage] || 0))]));
+    results.push({ card, algorithm, timings });
+    printRow(card, algorithm, timings, findBaseline(baseline, card, algorithm));
+  }
+}
+
+const totals = Object.fromEntries(STAGES.map(stage => [stage, results.reduce((sum, result) => sum + result.timings[stage], 0)]));
+const baselineTotals = baseline && Object.fromEntries(STAGES.map(stage =>
+  [stage, results.reduce((sum, result) => sum + (findBaseline(baseline, result.card, result.algorithm) || {})[stage] || 0, 0)]));
+printRow('all cards', '', totals, baselineTotals);
+
+if (options.save) {
+  await writeFile(options.save, JSON.stringify({ runs: options.runs, text: options.text, results }, null, 2));
+  console.log(`\nSaved to ${options.save}`);
+}
+
+if (options.kernels) {
+  await timeKernels();
+}
+
+function parseArguments(args) {
+  const parsed = { algorithms: ALGORITHMS, text: 'SAMPLE', runs: 3, save: null, compare: null, kernels: false };
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--algorithms': parsed.algorithms = args[++i].split(','); break;
+      case '--text': parsed.text = args[++i]; break;
+      case '--runs': parsed.runs = Math.max(1, Number(args[++i]) || 1); break;
+      case '--save': parsed.save = args[++i]; break;
+      case '--compare': parsed.compare = args[++i]; break;
+      case '--kernels': parsed.kernels = true; break;
+      default: throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+  for (const algorithm of parsed.algorithms) {
+    if (!ALGORITHMS.includes(algorithm)) throw new Error(`Unknown algorithm: ${algorithm}`);
+  }
+  return parsed;
+}
+
+// The report's stage timings for one request; the Worker's own logging is silenced meanwhile
+async function timeRemoval(card, bytes, algorithm, text) {
+  const form = new FormData();
+  form.append('image', new Blob([bytes]), card);
+  form.append('algorithm', algorithm);
+  form.append('text', text);
+  form.append('response', 'json');
+
+  const log = console.log;
+  console.log = () => {};
+  let response;
+  try {
+    response = await worker.fetch(new Request('http://localhost/api/remove-watermark', {
+      method: 'POST',
+      headers: { 'Cache-Control': 'no-cache' },
+      body: form,
+    }), {}, {});
+  } finally {
+    console.log = log;
+  }
+
+  const body = await response.json();
+  if (response.headers.get('X-Watermarknt-Cache') === 'hit') {
+    throw new Error(`${card} (${algorithm}): served from the result cache`);
+  }
+  if (!response.ok) {
+    throw new Error(`${card} (${algorithm}): ${response.status} ${body.error}: ${body.details}`);
+  }
+  return body.report.timings;
+}
+
+function findBaseline(baseline, card, algorithm) {
+  if (!baseline) return null;
+  const match = baseline.results.find(result => result.card === card && result.algorithm === algorithm);
+  return match ? match.timings : null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[sorted.length >> 1];
+}
+
+// Milliseconds per stage; with a baseline, "before→after"
+function printRow(card, algorithm, timings, before) {
+  if (!printRow.printed) {
+    console.log(['card'.padEnd(18), 'algorithm'.padEnd(10), ...STAGES.map(stage => stage.padStart(before ? 14 : 10))].join(' '));
+    printRow.printed = true;
+  }
+  const cells = STAGES.map(stage => {
+    const cell = before ? `${before[stage]}→${timings[stage]}` : String(timings[stage]);
+    return cell.padStart(before ? 14 : 10);
+  });
+  console.log([card.padEnd(18), algorithm.padEnd(10), ...cells].join(' '));
+}
+
+// Morphology and window averaging on a card-sized mask; with the window passes these should
+// take about as long at every radius
+async function timeKernels() {
+  const { loadKernels, kernelBackend, dilateMask, erodeMask, fillWithWindowMeans } = await import('../src/kernels.js');
+  await loadKernels();
+  const width = 600;
+  const height = 838;
+  const mask = new Uint8Array(width * height);
+  for (let y = 300; y < 500; y++) {
+    for (let x = 60; x < 540; x++) {
+      if ((x >> 4) % 2 === 0 || (y >> 4) % 3 === 0) mask[y * width + x] = 255;
+    }
+  }
+  const pixels = new Uint8Array(width * height * 4).map((_, i) => (i * 37) & 255);
+
+  console.log(`\n${kernelBackend().toUpperCase()} kernels on a ${width}x${height} mask (ms, median of ${options.runs})`);
+  console.log(['radius'.padEnd(8), 'dilate'.padStart(8), 'erode'.padStart(8), 'mean fill'.padStart(10)].join(' '));
+  for (const radius of KERNEL_RADII) {
+    const time = run => {
+      const samples = [];
+      for (let n = 0; n < options.runs; n++) {
+        const start = performance.now();
+        run();
+        samples.push(performance.now() - start);
+      }
+      return median(samples).toFixed(1);
+    };
+    console.log([
+      String(radius).padEnd(8),
+      time(() => dilateMask(mask, width, height, radius)).padStart(8),
+      time(() => erodeMask(mask, width, height, radius)).padStart(8),
+      time(() => fillWithWindowMeans(new Uint8Array(pixels), mask, width, height, radius)).padStart(10),
+    ].join(' '));
+  }
+}
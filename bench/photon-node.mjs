@@ -0,0 +1,21 @@
+// Node hooks for running the Worker outside workerd. The Worker imports Photon's Workers build,
+// which Node can't load, so the package's Node build is swapped in; and .wasm modules are
+// compiled the way wrangler's CompiledWasm rule delivers them, as a default-exported
+// WebAssembly.Module.
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === '@cf-wasm/photon') {
+    return nextResolve('@cf-wasm/photon/node', context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.endsWith('.wasm')) {
+    return {
+      format: 'module',
+      source: `import { readFileSync } from 'node:fs';\nexport default new WebAssembly.Module(readFileSync(new URL(${JSON.stringify(url)})));\n`,
+      shortCircuit: true,
+    };
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,3 @@
+import { register } from 'node:module';
+
+register('./photon-node.mjs', import.meta.url);
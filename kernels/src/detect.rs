@@ -0,0 +1,272 @@
+//! Brightness-based watermark mask detection, ported from the JS reference in
+//! `src/pixel-kernels.js`. Intensities are computed in f64 and summed in the same order as the
+//! JS, so thresholds fall on the same pixels. The search areas are worked out from the detection
+//! parameters in JS (`src/detection-params.js`) and passed in as they are.
+
+/// The part of the image a detector searches: the pixels in `x0..x1` × `y0..y1` that are within
+/// `radius` of the image centre (infinite for the whole rectangle).
+pub struct SearchArea {
+    pub x0: i64,
+    pub y0: i64,
+    pub x1: i64,
+    pub y1: i64,
+    pub radius: f64,
+}
+
+/// `bright_regions_mask` thresholds; the defaults are those in `src/detection-params.js`.
+pub struct BrightThresholds {
+    pub bright_intensity: f64,
+    pub contrast_intensity: f64,
+    pub min_contrast: f64,
+}
+
+impl Default for BrightThresholds {
+    fn default() -> Self {
+        BrightThresholds { bright_intensity: 220.0, contrast_intensity: 200.0, min_contrast: 20.0 }
+    }
+}
+
+/// `enhanced_watermark_mask` thresholds; the defaults are those in `src/detection-params.js`.
+pub struct EnhancedThresholds {
+    pub intensity: f64,
+    pub edge_intensity: f64,
+    pub min_edge_strength: f64,
+    pub uniform_intensity: f64,
+    pub max_color_variance: f64,
+}
+
+impl Default for EnhancedThresholds {
+    fn default() -> Self {
+        EnhancedThresholds {
+            intensity: 185.0,
+            edge_intensity: 160.0,
+            min_edge_strength: 30.0,
+            uniform_intensity: 150.0,
+            max_color_variance: 15.0,
+        }
+    }
+}
+
+fn intensity(pixels: &[u8], i: usize) -> f64 {
+    (pixels[i * 4] as f64 + pixels[i * 4 + 1] as f64 + pixels[i * 4 + 2] as f64) / 3.0
+}
+
+/// Multi-criteria mask (brightness, Sobel edges, colour uniformity) within the search area.
+pub fn enhanced_watermark_mask(
+    pixels: &[u8],
+    width: usize,
+    height: usize,
+    area: &SearchArea,
+    thresholds: &EnhancedThresholds,
+) -> Vec<u8> {
+    let mut mask = vec![0u8; width * height];
+    let center_x = (width / 2) as f64;
+    let center_y = (height / 2) as f64;
+
+    for y in area.y0.max(0) as usize..area.y1.min(height as i64).max(0) as usize {
+        for x in area.x0.max(0) as usize..area.x1.min(width as i64).max(0) as usize {
+            let dist = ((x as f64 - center_x).powi(2) + (y as f64 - center_y).powi(2)).sqrt();
+            if dist > area.radius {
+                continue;
+            }
+
+            let i = y * width + x;
+            let r = pixels[i * 4] as i32;
+            let g = pixels[i * 4 + 1] as i32;
+            let b = pixels[i * 4 + 2] as i32;
+            let value = intensity(pixels, i);
+
+            let mut is_watermark = value > thresholds.intensity;
+            if !is_watermark
+                && value > thresholds.edge_intensity
+                && edge_strength(pixels, x, y, width, height) > thresholds.min_edge_strength
+            {
+                is_watermark = true;
+            }
+            if !is_watermark && value > thresholds.uniform_intensity {
+                let color_variance = (r - g).abs() + (g - b).abs() + (r - b).abs();
+                is_watermark = (color_variance as f64) < thresholds.max_color_variance;
+            }
+
+            if is_watermark {
+                mask[i] = 255;
+            }
+        }
+    }
+
+    mask
+}
+
+/// Sobel gradient magnitude of the intensity; 0 on the image border.
+fn edge_strength(pixels: &[u8], x: usize, y: usize, width: usize, height: usize) -> f64 {
+    if x < 1 || x >= width - 1 || y < 1 || y >= height - 1 {
+        return 0.0;
+    }
+    let at = |px: usize, py: usize| intensity(pixels, py * width + px);
+
+    let gx = -at(x - 1, y - 1) + at(x + 1, y - 1) + -2.0 * at(x - 1, y) + 2.0 * at(x + 1, y)
+        + -at(x - 1, y + 1) + at(x + 1, y + 1);
+    let gy = -at(x - 1, y - 1) - 2.0 * at(x, y - 1) - at(x + 1, y - 1)
+        + at(x - 1, y + 1) + 2.0 * at(x, y + 1) + at(x + 1, y + 1);
+
+    (gx * gx + gy * gy).sqrt()
+}
+
+/// Contrast is measured against the mean of the 7×7 window around a pixel, from window sums.
+const CONTRAST_RADIUS: i64 = 3;
+
+/// Bright pixels in the search area's rectangle, at least 5 from the image border: over the
+/// bright intensity, or over the contrast intensity and further than the minimum contrast from
+/// the mean of their 7×7 neighbourhood.
+pub fn bright_regions_mask(
+    pixels: &[u8],
+    width: usize,
+    height: usize,
+    area: &SearchArea,
+    thresholds: &BrightThresholds,
+) -> Vec<u8> {
+    let mut mask = vec![0u8; width * height];
+    let (w, h) = (width as i64, height as i64);
+    let (x0, x1) = (area.x0.max(5), (w - 5).min(area.x1));
+    let (y0, y1) = (area.y0.max(5), (h - 5).min(area.y1));
+    if x0 >= x1 || y0 >= y1 {
+        return mask;
+    }
+
+    // Per-column sums of R + G + B over the window's rows, slid down the image, with a running
+    // total slid across them
+    let column_start = (x0 - CONTRAST_RADIUS).max(0);
+    let column_end = (x1 + CONTRAST_RADIUS).min(w);
+    let mut columns = vec![0i64; (column_end - column_start) as usize];
+    let channel_sum = |i: usize| pixels[i * 4] as i64 + pixels[i * 4 + 1] as i64 + pixels[i * 4 + 2] as i64;
+    let add_row = |columns: &mut [i64], y: i64, sign: i64| {
+        for x in column_start..column_end {
+            columns[(x - column_start) as usize] += sign * channel_sum((y * w + x) as usize);
+        }
+    };
+    for y in (y0 - CONTRAST_RADIUS).max(0)..(y0 + CONTRAST_RADIUS).min(h) {
+        add_row(&mut columns, y, 1);
+    }
+
+    for y in y0..y1 {
+        if y + CONTRAST_RADIUS < h {
+            add_row(&mut columns, y + CONTRAST_RADIUS, 1);
+        }
+        if y > y0 && y - CONTRAST_RADIUS - 1 >= 0 {
+            add_row(&mut columns, y - CONTRAST_RADIUS - 1, -1);
+        }
+        let rows = (h - 1).min(y + CONTRAST_RADIUS) - (y - CONTRAST_RADIUS).max(0) + 1;
+
+        let mut window_sum = 0i64;
+        for x in (x0 - CONTRAST_RADIUS).max(0)..(x0 + CONTRAST_RADIUS).min(w) {
+            window_sum += columns[(x - column_start) as usize];
+        }
+
+        for x in x0..x1 {
+            if x + CONTRAST_RADIUS < w {
+                window_sum += columns[(x + CONTRAST_RADIUS - column_start) as usize];
+            }
+            if x > x0 && x - CONTRAST_RADIUS - 1 >= 0 {
+                window_sum -= columns[(x - CONTRAST_RADIUS - 1 - column_start) as usize];
+            }
+
+            let i = (y * w + x) as usize;
+            let sum = channel_sum(i);
+            let value = intensity(pixels, i);
+            let bright = value > thresholds.bright_intensity
+                || (value > thresholds.contrast_intensity && {
+                    let column_count = (w - 1).min(x + CONTRAST_RADIUS) - (x - CONTRAST_RADIUS).max(0) + 1;
+                    let neighbours = (rows * column_count - 1) as f64;
+                    (value - (window_sum - sum) as f64 / 3.0 / neighbours).abs() > thresholds.min_contrast
+                });
+            if bright {
+                mask[i] = 255;
+            }
+        }
+    }
+
+    mask
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    fn image(width: usize, height: usize, fill: [u8; 3]) -> Vec<u8> {
+        (0..width * height).flat_map(|_| [fill[0], fill[1], fill[2], 255]).collect()
+    }
+
+    /// The default search areas from `src/detection-params.js`
+    fn centred_disc(width: usize, height: usize) -> SearchArea {
+        let radius = width.min(height) as f64 * 0.35;
+        SearchArea { x0: 0, y0: 0, x1: width as i64, y1: height as i64, radius }
+    }
+
+    fn centred_window(width: usize, height: usize) -> SearchArea {
+        let (w, h) = (width as i64, height as i64);
+        let (half_width, half_height) = ((w as f64 * 0.6).floor() as i64 / 2, (h as f64 * 0.6).floor() as i64 / 2);
+        SearchArea {
+            x0: w / 2 - half_width,
+            y0: h / 2 - half_height,
+            x1: w / 2 + half_width,
+            y1: h / 2 + half_height,
+            radius: f64::INFINITY,
+        }
+    }
+
+    fn paint(pixels: &mut [u8], width: usize, x0: usize, y0: usize, x1: usize, y1: usize, value: u8) {
+        for y in y0..y1 {
+            for x in x0..x1 {
+                let p = (y * width + x) * 4;
+                pixels[p..p + 3].copy_from_slice(&[value, value, value]);
+            }
+        }
+    }
+
+    #[test]
+    fn enhanced_mask_finds_bright_text_near_the_center() {
+        let (width, height) = (60, 60);
+        let mut pixels = image(width, height, [40, 90, 30]);
+        paint(&mut pixels, width, 25, 28, 35, 32, 240);
+        let mask = enhanced_watermark_mask(&pixels, width, height, &centred_disc(width, height), &Default::default());
+
+        assert_eq!(mask[30 * width + 30], 255);
+        assert_eq!(mask[5 * width + 5], 0);
+        assert_eq!(mask.iter().filter(|&&v| v > 0).count(), 40);
+    }
+
+    #[test]
+    fn enhanced_mask_ignores_bright_pixels_outside_the_search_disc() {
+        let (width, height) = (60, 60);
+        let mut pixels = image(width, height, [40, 90, 30]);
+        paint(&mut pixels, width, 0, 0, 6, 6, 250);
+        let mask = enhanced_watermark_mask(&pixels, width, height, &centred_disc(width, height), &Default::default());
+        assert!(mask.iter().all(|&v| v == 0));
+
+        // ...unless a region of interest takes its place
+        let corner = SearchArea { x0: 0, y0: 0, x1: 20, y1: 20, radius: f64::INFINITY };
+        let mask = enhanced_watermark_mask(&pixels, width, height, &corner, &Default::default());
+        assert_eq!(mask.iter().filter(|&&v| v > 0).count(), 36);
+    }
+
+    #[test]
+    fn bright_regions_need_contrast_below_220() {
+        let (width, height) = (40, 40);
+        let mut pixels = image(width, height, [210, 210, 210]);
+        paint(&mut pixels, width, 18, 18, 20, 20, 230);
+        let mask = bright_regions_mask(&pixels, width, height, &centred_window(width, height), &Default::default());
+
+        // Uniform 210 has no contrast; the 230 block passes on brightness alone
+        assert_eq!(mask[10 * width + 20], 0);
+        assert_eq!(mask[18 * width + 18], 255);
+
+        let mut pixels = image(width, height, [20, 20, 20]);
+        paint(&mut pixels, width, 16, 16, 24, 24, 210);
+        let area = centred_window(width, height);
+        let mask = bright_regions_mask(&pixels, width, height, &area, &Default::default());
+        assert_eq!(mask[16 * width + 16], 255);
+
+        let stricter = BrightThresholds { min_contrast: 200.0, ..Default::default() };
+        assert!(bright_regions_mask(&pixels, width, height, &area, &stricter).iter().all(|&v| v == 0));
+    }
+}
@@ -0,0 +1,147 @@
+//! Boundary-inward inpainting, ported from `applyBoundaryBasedInpainting` in
+//! `src/pixel-kernels.js`. Each pass fills the masked pixels touching known ones with a
+//! distance-weighted mean of the known pixels around them; those then count as known for the
+//! next pass. The passes are queued breadth-first from the pixels just filled, so each visits only
+//! its ring.
+
+const MIN_RADIUS: i64 = 3;
+const MAX_RADIUS: i64 = 20;
+const MIN_SAMPLES: u32 = 8;
+
+/// Fills the masked pixels of `pixels` (RGBA) in place; returns the number filled.
+pub fn boundary_inpaint(pixels: &mut [u8], mask: &[u8], width: usize, height: usize) -> u32 {
+    let mut remaining = mask.to_vec();
+    let mut queued = vec![false; mask.len()];
+    let mut ring = Vec::new();
+    for y in 0..height {
+        for x in 0..width {
+            let i = y * width + x;
+            if remaining[i] > 0 && touches_known_pixel(&remaining, x, y, width, height) {
+                ring.push(i);
+                queued[i] = true;
+            }
+        }
+    }
+    let mut modified = 0;
+    let mut filled: Vec<(usize, [u8; 3])> = Vec::new();
+
+    while !ring.is_empty() {
+        filled.clear();
+        // Pixels without enough known samples yet are tried again with the next ring
+        let mut next = Vec::new();
+        for &i in &ring {
+            match weighted_known_mean(pixels, &remaining, i % width, i / width, width, height) {
+                Some(color) => filled.push((i, color)),
+                None => next.push(i),
+            }
+        }
+
+        if filled.is_empty() {
+            break;
+        }
+        for &(i, color) in &filled {
+            pixels[i * 4..i * 4 + 3].copy_from_slice(&color);
+            remaining[i] = 0;
+            modified += 1;
+        }
+
+        // The next ring: masked pixels touching the ones just filled
+        for &(i, _) in &filled {
+            let (x, y) = (i % width, i / width);
+            for ny in y.saturating_sub(1)..=(y + 1).min(height - 1) {
+                for nx in x.saturating_sub(1)..=(x + 1).min(width - 1) {
+                    let n = ny * width + nx;
+                    if remaining[n] > 0 && !queued[n] {
+                        queued[n] = true;
+                        next.push(n);
+                    }
+                }
+            }
+        }
+        ring = next;
+    }
+
+    modified
+}
+
+fn touches_known_pixel(mask: &[u8], x: usize, y: usize, width: usize, height: usize) -> bool {
+    for ny in y.saturating_sub(1)..=(y + 1).min(height - 1) {
+        for nx in x.saturating_sub(1)..=(x + 1).min(width - 1) {
+            if mask[ny * width + nx] == 0 {
+                return true;
+            }
+        }
+    }
+    false
+}
+
+/// Mean of the known pixels around (x, y), weighted by 1 / (1 + distance), from the smallest
+/// window (radius 3, 5, ... 19) holding at least 8 of them.
+fn weighted_known_mean(pixels: &[u8], mask: &[u8], x: usize, y: usize, width: usize, height: usize) -> Option<[u8; 3]> {
+    let (x, y, w, h) = (x as i64, y as i64, width as i64, height as i64);
+    let mut radius = MIN_RADIUS;
+
+    while radius <= MAX_RADIUS {
+        let mut sums = [0.0f64; 3];
+        let mut weight_sum = 0.0;
+        let mut count = 0;
+
+        for dy in -radius..=radius {
+            for dx in -radius..=radius {
+                let (nx, ny) = (x + dx, y + dy);
+                if ny < 0 || ny >= h || nx < 0 || nx >= w {
+                    continue;
+                }
+                let n = (ny * w + nx) as usize;
+                if mask[n] == 0 {
+                    let weight = 1.0 / (1.0 + ((dx * dx + dy * dy) as f64).sqrt());
+                    for c in 0..3 {
+                        sums[c] += pixels[n * 4 + c] as f64 * weight;
+                    }
+                    weight_sum += weight;
+                    count += 1;
+                }
+            }
+        }
+
+        if count >= MIN_SAMPLES {
+            return Some([
+                (sums[0] / weight_sum).round() as u8,
+                (sums[1] / weight_sum).round() as u8,
+                (sums[2] / weight_sum).round() as u8,
+            ]);
+        }
+        radius += 2;
+    }
+
+    None
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    #[test]
+    fn fills_a_hole_in_a_flat_image_with_its_colour() {
+        let (width, height) = (20, 20);
+        let mut pixels: Vec<u8> = (0..width * height).flat_map(|_| [90, 120, 150, 255]).collect();
+        let mut mask = vec![0u8; width * height];
+        for y in 6..14 {
+            for x in 5..15 {
+                mask[y * width + x] = 255;
+                pixels[(y * width + x) * 4..(y * width + x) * 4 + 3].copy_from_slice(&[255, 255, 255]);
+            }
+        }
+
+        assert_eq!(boundary_inpaint(&mut pixels, &mask, width, height), 80);
+        assert!(pixels.chunks(4).all(|p| p == [90, 120, 150, 255]));
+    }
+
+    #[test]
+    fn leaves_a_fully_masked_image_alone() {
+        let mut pixels = vec![7u8; 4 * 4 * 4];
+        let mask = vec![255u8; 16];
+        assert_eq!(boundary_inpaint(&mut pixels, &mask, 4, 4), 0);
+        assert!(pixels.iter().all(|&v| v == 7));
+    }
+}
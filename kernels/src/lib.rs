@@ -0,0 +1,127 @@
+//! Pixel kernels for the watermarknt Worker, built to WebAssembly with
+//! `npm run build:kernels` and called through the wrappers in `src/kernels.js`.
+//!
+//! The exports take plain pointers into the module's linear memory: the caller reserves buffers
+//! with `alloc`, copies RGBA pixels and masks in, calls a kernel and copies the result out before
+//! releasing them with `dealloc`. Masks are one byte per pixel, set when non-zero; output masks
+//! are 0 or 255. Every kernel matches its JS reference in `src/` exactly, which
+//! `test/kernels.test.mjs` checks.
+
+mod detect;
+mod inpaint;
+mod morphology;
+
+pub use detect::{bright_regions_mask, enhanced_watermark_mask, BrightThresholds, EnhancedThresholds, SearchArea};
+pub use inpaint::boundary_inpaint;
+pub use morphology::{dilate_mask, erode_mask, fill_with_window_means};
+
+use std::slice;
+
+/// Reserves `len` bytes of linear memory for the caller.
+#[no_mangle]
+pub extern "C" fn alloc(len: usize) -> *mut u8 {
+    let mut buffer = Vec::<u8>::with_capacity(len);
+    let ptr = buffer.as_mut_ptr();
+    std::mem::forget(buffer);
+    ptr
+}
+
+/// Releases a buffer from `alloc`.
+///
+/// # Safety
+/// `ptr` and `len` must come from a single `alloc` call.
+#[no_mangle]
+pub unsafe extern "C" fn dealloc(ptr: *mut u8, len: usize) {
+    drop(Vec::from_raw_parts(ptr, 0, len));
+}
+
+/// The search area and thresholds follow the `SearchArea` and `EnhancedThresholds` fields.
+///
+/// # Safety
+/// `pixels` must hold `width * height * 4` bytes and `mask` `width * height`.
+#[no_mangle]
+#[allow(clippy::too_many_arguments)]
+pub unsafe extern "C" fn watermark_mask_enhanced(
+    pixels: *const u8,
+    mask: *mut u8,
+    width: usize,
+    height: usize,
+    x0: i32,
+    y0: i32,
+    x1: i32,
+    y1: i32,
+    radius: f64,
+    intensity: f64,
+    edge_intensity: f64,
+    min_edge_strength: f64,
+    uniform_intensity: f64,
+    max_color_variance: f64,
+) {
+    let pixels = slice::from_raw_parts(pixels, width * height * 4);
+    let area = SearchArea { x0: x0.into(), y0: y0.into(), x1: x1.into(), y1: y1.into(), radius };
+    let thresholds = EnhancedThresholds { intensity, edge_intensity, min_edge_strength, uniform_intensity, max_color_variance };
+    let result = enhanced_watermark_mask(pixels, width, height, &area, &thresholds);
+    slice::from_raw_parts_mut(mask, width * height).copy_from_slice(&result);
+}
+
+/// The search rectangle and thresholds follow the `SearchArea` and `BrightThresholds` fields.
+///
+/// # Safety
+/// `pixels` must hold `width * height * 4` bytes and `mask` `width * height`.
+#[no_mangle]
+#[allow(clippy::too_many_arguments)]
+pub unsafe extern "C" fn watermark_mask_bright_regions(
+    pixels: *const u8,
+    mask: *mut u8,
+    width: usize,
+    height: usize,
+    x0: i32,
+    y0: i32,
+    x1: i32,
+    y1: i32,
+    bright_intensity: f64,
+    contrast_intensity: f64,
+    min_contrast: f64,
+) {
+    let pixels = slice::from_raw_parts(pixels, width * height * 4);
+    let area = SearchArea { x0: x0.into(), y0: y0.into(), x1: x1.into(), y1: y1.into(), radius: f64::INFINITY };
+    let thresholds = BrightThresholds { bright_intensity, contrast_intensity, min_contrast };
+    let result = bright_regions_mask(pixels, width, height, &area, &thresholds);
+    slice::from_raw_parts_mut(mask, width * height).copy_from_slice(&result);
+}
+
+/// # Safety
+/// `mask` and `output` must each hold `width * height` bytes.
+#[no_mangle]
+pub unsafe extern "C" fn mask_dilate(mask: *const u8, output: *mut u8, width: usize, height: usize, radius: usize) {
+    let result = dilate_mask(slice::from_raw_parts(mask, width * height), width, height, radius);
+    slice::from_raw_parts_mut(output, width * height).copy_from_slice(&result);
+}
+
+/// # Safety
+/// `mask` and `output` must each hold `width * height` bytes.
+#[no_mangle]
+pub unsafe extern "C" fn mask_erode(mask: *const u8, output: *mut u8, width: usize, height: usize, radius: usize) {
+    let result = erode_mask(slice::from_raw_parts(mask, width * height), width, height, radius);
+    slice::from_raw_parts_mut(output, width * height).copy_from_slice(&result);
+}
+
+/// Returns the number of pixels filled.
+///
+/// # Safety
+/// `pixels` must hold `width * height * 4` bytes and `mask` `width * height`.
+#[no_mangle]
+pub unsafe extern "C" fn inpaint_window_means(pixels: *mut u8, mask: *const u8, width: usize, height: usize, radius: usize) -> u32 {
+    let pixels = slice::from_raw_parts_mut(pixels, width * height * 4);
+    fill_with_window_means(pixels, slice::from_raw_parts(mask, width * height), width, height, radius)
+}
+
+/// Returns the number of pixels filled.
+///
+/// # Safety
+/// `pixels` must hold `width * height * 4` bytes and `mask` `width * height`.
+#[no_mangle]
+pub unsafe extern "C" fn inpaint_boundary(pixels: *mut u8, mask: *const u8, width: usize, height: usize) -> u32 {
+    let pixels = slice::from_raw_parts_mut(pixels, width * height * 4);
+    boundary_inpaint(pixels, slice::from_raw_parts(mask, width * height), width, height)
+}
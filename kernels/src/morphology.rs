@@ -0,0 +1,164 @@
+//! Square-window morphology and window means in time independent of the radius, ported from
+//! `src/morphology.js`: separable passes with a running count of set pixels, and per-column sums
+//! slid down the image with a running total across them.
+
+/// Pixels within `radius` of a set pixel (in a (2r+1)² window) become 255, the rest 0.
+pub fn dilate_mask(mask: &[u8], width: usize, height: usize, radius: usize) -> Vec<u8> {
+    let rows = sliding_pass(mask, height, width, width, 1, radius, false);
+    sliding_pass(&rows, width, height, 1, width, radius, false)
+}
+
+/// Pixels whose whole (2r+1)² window is set and inside the image stay 255, the rest become 0.
+pub fn erode_mask(mask: &[u8], width: usize, height: usize, radius: usize) -> Vec<u8> {
+    let rows = sliding_pass(mask, height, width, width, 1, radius, true);
+    sliding_pass(&rows, width, height, 1, width, radius, true)
+}
+
+/// One direction of a square window over `lines` lines of `length` pixels. A pixel is set when
+/// any (or with `all`, every) pixel within `radius` along its line is; pixels past the ends
+/// count as unset.
+fn sliding_pass(
+    mask: &[u8],
+    lines: usize,
+    length: usize,
+    line_step: usize,
+    pixel_step: usize,
+    radius: usize,
+    all: bool,
+) -> Vec<u8> {
+    let mut output = vec![0u8; mask.len()];
+    let full = 2 * radius + 1;
+
+    for line in 0..lines {
+        let start = line * line_step;
+        let mut count = 0;
+        for n in 0..radius.min(length) {
+            if mask[start + n * pixel_step] > 0 {
+                count += 1;
+            }
+        }
+        for n in 0..length {
+            let enter = n + radius;
+            if enter < length && mask[start + enter * pixel_step] > 0 {
+                count += 1;
+            }
+            if n > radius && mask[start + (n - radius - 1) * pixel_step] > 0 {
+                count -= 1;
+            }
+            if if all { count == full } else { count > 0 } {
+                output[start + n * pixel_step] = 255;
+            }
+        }
+    }
+
+    output
+}
+
+/// Replaces every masked pixel's RGB with the mean of the unmasked pixels in its (2r+1)²
+/// window, clipped to the image; alpha is kept. Returns the number of pixels filled.
+pub fn fill_with_window_means(pixels: &mut [u8], mask: &[u8], width: usize, height: usize, radius: usize) -> u32 {
+    // Per-column sums of R, G, B and unmasked pixel count over rows y - r..=y + r
+    let mut columns = vec![0i64; width * 4];
+    let add_row = |columns: &mut [i64], pixels: &[u8], y: usize, sign: i64| {
+        for x in 0..width {
+            let i = y * width + x;
+            if mask[i] > 0 {
+                continue;
+            }
+            for c in 0..3 {
+                columns[x * 4 + c] += sign * pixels[i * 4 + c] as i64;
+            }
+            columns[x * 4 + 3] += sign;
+        }
+    };
+
+    for y in 0..radius.min(height) {
+        add_row(&mut columns, pixels, y, 1);
+    }
+
+    let mut filled = 0;
+    for y in 0..height {
+        if y + radius < height {
+            add_row(&mut columns, pixels, y + radius, 1);
+        }
+        if y > radius {
+            add_row(&mut columns, pixels, y - radius - 1, -1);
+        }
+
+        let mut sums = [0i64; 4];
+        for x in 0..radius.min(width) {
+            for c in 0..4 {
+                sums[c] += columns[x * 4 + c];
+            }
+        }
+
+        for x in 0..width {
+            if x + radius < width {
+                for c in 0..4 {
+                    sums[c] += columns[(x + radius) * 4 + c];
+                }
+            }
+            if x > radius {
+                for c in 0..4 {
+                    sums[c] -= columns[(x - radius - 1) * 4 + c];
+                }
+            }
+
+            let i = y * width + x;
+            if mask[i] > 0 && sums[3] > 0 {
+                let count = sums[3] as f64;
+                for c in 0..3 {
+                    pixels[i * 4 + c] = (sums[c] as f64 / count).round() as u8;
+                }
+                filled += 1;
+            }
+        }
+    }
+
+    filled
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    #[test]
+    fn dilation_grows_a_pixel_into_a_clipped_square() {
+        let mut mask = vec![0u8; 7 * 5];
+        mask[7 + 1] = 255;
+        let dilated = dilate_mask(&mask, 7, 5, 2);
+        let set: Vec<usize> = (0..dilated.len()).filter(|&i| dilated[i] > 0).collect();
+        // Columns 0..=3, rows 0..=3
+        assert_eq!(set.len(), 16);
+        assert!(set.iter().all(|&i| i % 7 <= 3 && i / 7 <= 3));
+    }
+
+    #[test]
+    fn erosion_treats_the_outside_as_unset() {
+        let mask = vec![255u8; 5 * 5];
+        let eroded = erode_mask(&mask, 5, 5, 1);
+        for y in 0..5 {
+            for x in 0..5 {
+                let inner = (1..4).contains(&x) && (1..4).contains(&y);
+                assert_eq!(eroded[y * 5 + x] > 0, inner);
+            }
+        }
+    }
+
+    #[test]
+    fn window_means_skip_masked_pixels() {
+        let (width, height) = (3, 3);
+        let mut pixels: Vec<u8> = (0..9).flat_map(|i| [i as u8 * 10, 0, 0, 200]).collect();
+        let mut mask = vec![0u8; 9];
+        mask[4] = 255;
+        mask[0] = 255;
+        let filled = fill_with_window_means(&mut pixels, &mask, width, height, 1);
+
+        assert_eq!(filled, 2);
+        // Centre: mean of 10, 20, 30, 50, 60, 70, 80 (pixel 0 is masked)
+        assert_eq!(pixels[16], 46);
+        assert_eq!(pixels[19], 200);
+        // Corner: mean of 10, 30 (pixel 4 is masked)
+        assert_eq!(pixels[0], 20);
+    }
+}
@@ -0,0 +1,137 @@
+//! The golden vectors in `test/golden/kernels.txt`: kernel outputs recorded from the JS
+//! references, which `test/kernels.test.mjs` checks on the JS side. Matching them here keeps the
+//! Rust kernels in parity with the JS without a WASM build. The synthetic inputs are regenerated
+//! from their seeds exactly as the JS test does.
+
+use watermarknt_kernels::{
+    boundary_inpaint, bright_regions_mask, dilate_mask, enhanced_watermark_mask, erode_mask,
+    fill_with_window_means, BrightThresholds, EnhancedThresholds, SearchArea,
+};
+
+const VECTORS: &str = include_str!("../../test/golden/kernels.txt");
+
+#[test]
+fn kernels_match_the_js_golden_vectors() {
+    let mut checked = 0;
+    for line in VECTORS.lines().filter(|line| !line.is_empty() && !line.starts_with('#')) {
+        let (call, expected) = line.split_once(" = ").expect("vector without a result");
+        let mut fields = call.split(' ');
+        let kernel = fields.next().unwrap();
+        let mut next = || fields.next().expect("vector is missing an argument");
+        let (width, height): (usize, usize) = (next().parse().unwrap(), next().parse().unwrap());
+        let pixels = synthetic_image(width, height, next().parse().unwrap());
+        let mask = synthetic_mask(width, height, next().parse().unwrap());
+        let mut number = || -> f64 { next().parse().unwrap() };
+
+        let (filled, output) = match kernel {
+            "enhanced" => {
+                let area = SearchArea {
+                    x0: number() as i64,
+                    y0: number() as i64,
+                    x1: number() as i64,
+                    y1: number() as i64,
+                    radius: number(),
+                };
+                let thresholds = EnhancedThresholds {
+                    intensity: number(),
+                    edge_intensity: number(),
+                    min_edge_strength: number(),
+                    uniform_intensity: number(),
+                    max_color_variance: number(),
+                };
+                (-1, enhanced_watermark_mask(&pixels, width, height, &area, &thresholds))
+            }
+            "bright" => {
+                let area = SearchArea {
+                    x0: number() as i64,
+                    y0: number() as i64,
+                    x1: number() as i64,
+                    y1: number() as i64,
+                    radius: f64::INFINITY,
+                };
+                let thresholds = BrightThresholds {
+                    bright_intensity: number(),
+                    contrast_intensity: number(),
+                    min_contrast: number(),
+                };
+                (-1, bright_regions_mask(&pixels, width, height, &area, &thresholds))
+            }
+            "dilate" => (-1, dilate_mask(&mask, width, height, number() as usize)),
+            "erode" => (-1, erode_mask(&mask, width, height, number() as usize)),
+            "means" => {
+                let mut output = pixels.clone();
+                let filled = fill_with_window_means(&mut output, &mask, width, height, number() as usize);
+                (filled as i64, output)
+            }
+            "boundary" => {
+                let mut output = pixels.clone();
+                let filled = boundary_inpaint(&mut output, &mask, width, height);
+                (filled as i64, output)
+            }
+            other => panic!("unknown kernel {other}"),
+        };
+
+        assert_eq!(format!("{filled} {:08x}", fnv1a(&output)), expected, "{call}");
+        checked += 1;
+    }
+    assert!(checked > 0, "no golden vectors");
+}
+
+fn fnv1a(bytes: &[u8]) -> u32 {
+    bytes.iter().fold(0x811c9dc5u32, |hash, &byte| (hash ^ byte as u32).wrapping_mul(0x01000193))
+}
+
+/// `syntheticImage` in `test/kernels.test.mjs`
+fn synthetic_image(width: usize, height: usize, seed: u32) -> Vec<u8> {
+    let mut random = mulberry32(seed);
+    let mut pixels = vec![0u8; width * height * 4];
+    for y in 0..height {
+        for x in 0..width {
+            let p = (y * width + x) * 4;
+            let bar = (x >> 2) % 3 == 0 && (y >> 3) % 2 == 0;
+            let base = if bar { 150.0 + random() * 105.0 } else { 40.0 + random() * 160.0 };
+            let tint = if bar { 8.0 } else { 60.0 };
+            pixels[p] = clamp(base + (random() - 0.5) * tint);
+            pixels[p + 1] = clamp(base + (random() - 0.5) * tint);
+            pixels[p + 2] = clamp(base + (random() - 0.5) * tint);
+            pixels[p + 3] = 200 + (random() * 56.0).floor() as u8;
+        }
+    }
+    pixels
+}
+
+/// `syntheticMask` in `test/kernels.test.mjs`
+fn synthetic_mask(width: usize, height: usize, seed: u32) -> Vec<u8> {
+    let mut random = mulberry32(seed);
+    let mut mask = vec![0u8; width * height];
+    let blobs = (width * height / 400).max(1);
+    for _ in 0..blobs {
+        let cx = random() * width as f64;
+        let cy = random() * height as f64;
+        let radius = 1.0 + random() * 6.0;
+        for y in 0..height {
+            for x in 0..width {
+                if (x as f64 - cx).powi(2) + (y as f64 - cy).powi(2) <= radius * radius {
+                    mask[y * width + x] = 1 + (random() * 255.0).floor() as u8;
+                }
+            }
+        }
+    }
+    mask
+}
+
+/// `Math.round` (halves up) and clamping to a byte
+fn clamp(value: f64) -> u8 {
+    let floor = value.floor();
+    let rounded = if value - floor >= 0.5 { floor + 1.0 } else { floor };
+    rounded.clamp(0.0, 255.0) as u8
+}
+
+fn mulberry32(mut seed: u32) -> impl FnMut() -> f64 {
+    move || {
+        seed = seed.wrapping_add(0x6D2B79F5);
+        let mut t = (seed ^ (seed >> 15)).wrapping_mul(1 | seed);
+        t = t.wrapping_add((t ^ (t >> 7)).wrapping_mul(61 | t)) ^ t;
+        (t ^ (t >> 14)) as f64 / 4294967296.0
+    }
+}
@@ -0,0 +1,190 @@
+import { brightSearchArea } from './detection-params.js';
+
+// Colour-target watermark detection, for marks the brightness-based detectors can't see: red or
+// blue stamps, grey text, black logos. Pixels are compared with the watermark colour in YCbCr, by
+// luma and by chroma separately, so the same test finds dark-on-light and light-on-dark marks.
+// The colour is given, or estimated as one over-represented in the search area compared with the
+// rest of the image and unlike the area's typical colour: a watermark's flat colour piles up where
+// it sits and stands out from what it covers, while the artwork's colours are spread throughout.
+
+const BIN_BITS = 4; // Histogram resolution per channel when estimating the colour
+const MIN_COLOR_SHARE = 0.002; // Smallest share of the search area an estimated colour may cover
+
+// Returns { mask, color, estimated, polarity }: color is { r, g, b }, and polarity is 'dark' for a
+// mark darker than the rest of the search area, 'light' otherwise. Returns null when params.color
+// is 'auto' and no colour stands out. The mask is unrefined; callers dilate it over antialiasing.
+export function detectColorWatermark(pixels, width, height, params) {
+  const area = clampArea(brightSearchArea(width, height, params), width, height);
+  const estimated = params.color === 'auto';
+  const color = estimated ? estimateWatermarkColor(pixels, width, area, params) : params.color;
+  if (!color) {
+    console.log('No watermark colour stands out in the search area');
+    return null;
+  }
+
+  const target = toYCbCr(color.r, color.g, color.b);
+  const mask = new Uint8Array(width * height);
+  let maskedLuma = 0, maskedCount = 0, backgroundLuma = 0, backgroundCount = 0;
+
+  for (let y = area.y0; y < area.y1; y++) {
+    for (let x = area.x0; x < area.x1; x++) {
+      const i = y * width + x;
+      const p = i * 4;
+      const pixel = toYCbCr(pixels[p], pixels[p + 1], pixels[p + 2]);
+      if (matchesColor(pixel, target, params)) {
+        mask[i] = 255;
+        maskedLuma += pixel.y;
+        maskedCount++;
+      } else {
+        backgroundLuma += pixel.y;
+        backgroundCount++;
+      }
+    }
+  }
+
+  const polarity = backgroundCount > 0 && maskedCount > 0 && maskedLuma / maskedCount < backgroundLuma / backgroundCount
+    ? 'dark'
+    : 'light';
+  console.log(`Colour detection: ${formatColor(color)} (${estimated ? 'estimated' : 'given'}, ${polarity}) ` +
+    `matched ${maskedCount} pixels`);
+  return { mask, color, estimated, polarity };
+}
+
+export function formatColor({ r, g, b }) {
+  return '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+}
+
+// The colour bin that best combines an excess share inside the area over outside it (or, when the
+// area is the whole image, a share of the area after the most common bin's) with distance from the
+// area's typical colour, refined to the mean of the area's pixels within tolerance of it. null
+// when nothing qualifies.
+function estimateWatermarkColor(pixels, width, area, params) {
+  const bins = 1 << (BIN_BITS * 3);
+  const inside = new Uint32Array(bins);
+  const outside = new Uint32Array(bins);
+  let insideCount = 0;
+  let outsideCount = 0;
+
+  for (let i = 0; i < pixels.length / 4; i++) {
+    const x = i % width;
+    const y = (i - x) / width;
+    const bin = colorBin(pixels, i * 4);
+    if (x >= area.x0 && x < area.x1 && y >= area.y0 && y < area.y1) {
+      inside[bin]++;
+      insideCount++;
+    } else {
+      outside[bin]++;
+      outsideCount++;
+    }
+  }
+  if (insideCount === 0) return null;
+
+  let background = -1;
+  if (outsideCount === 0) {
+    background = 0;
+    for (let bin = 1; bin < bins; bin++) {
+      if (inside[bin] > inside[background]) background = bin;
+    }
+  }
+
+  const typical = toYCbCrColor(binCentre(medianBin(inside, insideCount)));
+  let best = -1;
+  let bestScore = 0;
+  for (let bin = 0; bin < bins; bin++) {
+    if (bin === background || inside[bin] / insideCount < MIN_COLOR_SHARE) continue;
+    const excess = inside[bin] / insideCount - (outsideCount > 0 ? outside[bin] / outsideCount : 0);
+    const score = excess * colorDistance(toYCbCrColor(binCentre(bin)), typical);
+    if (score > bestScore) {
+      best = bin;
+      bestScore = score;
+    }
+  }
+  if (best < 0) return null;
+
+  // The bin's centre, then the mean of the area's pixels that match it
+  const centre = binCentre(best);
+  const target = toYCbCrColor(centre);
+  let r = 0, g = 0, b = 0, count = 0;
+  for (let y = area.y0; y < area.y1; y++) {
+    for (let x = area.x0; x < area.x1; x++) {
+      const p = (y * width + x) * 4;
+      if (matchesColor(toYCbCr(pixels[p], pixels[p + 1], pixels[p + 2]), target, params)) {
+        r += pixels[p];
+        g += pixels[p + 1];
+        b += pixels[p + 2];
+        count++;
+      }
+    }
+  }
+  if (count === 0) return centre; // Tolerances narrower than a bin
+  return { r: Math.round(r / count), g: Math.round(g / count), b: Math.round(b / count) };
+}
+
+function binCentre(bin) {
+  const shift = 8 - BIN_BITS;
+  const half = 1 << (shift - 1);
+  const mask = (1 << BIN_BITS) - 1;
+  return {
+    r: ((bin >> (BIN_BITS * 2)) << shift) + half,
+    g: (((bin >> BIN_BITS) & mask) << shift) + half,
+    b: ((bin & mask) << shift) + half,
+  };
+}
+
+// The bin holding the per-channel medians of a histogram
+function medianBin(histogram, count) {
+  const mask = (1 << BIN_BITS) - 1;
+  const channels = [0, 1, 2].map(() => new Uint32Array(1 << BIN_BITS));
+  for (let bin = 0; bin < histogram.length; bin++) {
+    channels[0][bin >> (BIN_BITS * 2)] += histogram[bin];
+    channels[1][(bin >> BIN_BITS) & mask] += histogram[bin];
+    channels[2][bin & mask] += histogram[bin];
+  }
+  const [r, g, b] = channels.map(channel => {
+    let total = 0;
+    for (let value = 0; value < mask; value++) {
+      total += channel[value];
+      if (total * 2 >= count) return value;
+    }
+    return mask;
+  });
+  return (r << (BIN_BITS * 2)) | (g << BIN_BITS) | b;
+}
+
+function colorDistance(a, b) {
+  return Math.hypot(a.y - b.y, a.cb - b.cb, a.cr - b.cr);
+}
+
+function matchesColor(pixel, target, params) {
+  if (Math.abs(pixel.y - target.y) > params.lumaTolerance) return false;
+  const cb = pixel.cb - target.cb;
+  const cr = pixel.cr - target.cr;
+  return cb * cb + cr * cr <= params.chromaTolerance * params.chromaTolerance;
+}
+
+// Full-range BT.601
+function toYCbCr(r, g, b) {
+  return {
+    y: 0.299 * r + 0.587 * g + 0.114 * b,
+    cb: -0.168736 * r - 0.331264 * g + 0.5 * b,
+    cr: 0.5 * r - 0.418688 * g - 0.081312 * b,
+  };
+}
+
+function toYCbCrColor({ r, g, b }) {
+  return toYCbCr(r, g, b);
+}
+
+function colorBin(pixels, p) {
+  const shift = 8 - BIN_BITS;
+  return ((pixels[p] >> shift) << (BIN_BITS * 2)) | ((pixels[p + 1] >> shift) << BIN_BITS) | (pixels[p + 2] >> shift);
+}
+
+function clampArea(area, width, height) {
+  return {
+    x0: Math.max(0, area.x0),
+    y0: Math.max(0, area.y0),
+    x1: Math.min(width, area.x1),
+    y1: Math.min(height, area.y1),
+  };
+}
@@ -0,0 +1,187 @@
+// Tunable parameters of the brightness-based watermark detectors, overridable per request with the
+// `params` form field (JSON). Intensities are the mean of R, G and B, 0-255.
+//   basic    detectWatermarkRegions: bright pixels in a centred window, dilated
+//   others   createEnhancedWatermarkMask: brightness, Sobel edge and colour uniformity criteria
+//            within a centred disc
+//   color    detectColorWatermark (src/color-detection.js), for any algorithm when `color` is set,
+//            in place of text detection: pixels near the watermark colour in the centred window,
+//            for dark and coloured marks
+//   tiled    detectTiledWatermark (src/tiled-detection.js), for any algorithm when `tiled` is set:
+//            a logo or text repeated in a grid over the whole image, tried before text detection
+// `roi` replaces the centred window and disc with a region of the image, and text matches outside
+// it are ignored, so watermarks in corners and along edges can be targeted.
+
+export const DEFAULT_DETECTION_PARAMS = {
+  brightIntensity: 220, // basic: brighter pixels are masked on their own...
+  contrastIntensity: 200, // ...and brighter ones with at least minContrast against their 7×7 neighbourhood
+  minContrast: 20,
+  searchWindow: 0.6, // basic: centred window, as a fraction of the width and height
+  dilationRadius: 6, // basic: pixels added around the detected ones, for bold text
+  enhancedIntensity: 185, // others: brighter pixels are masked on their own...
+  edgeIntensity: 160, // ...and brighter ones on a Sobel edge stronger than minEdgeStrength...
+  minEdgeStrength: 30,
+  uniformIntensity: 150, // ...and brighter near-grey ones, |R-G| + |G-B| + |R-B| under maxColorVariance
+  maxColorVariance: 15,
+  searchRadius: 0.35, // others: centred disc, as a fraction of the shorter side
+  color: null, // color: { r, g, b } (sent as '#rrggbb' or '#rgb'), or 'auto' to estimate it
+  lumaTolerance: 40, // color: largest luma difference from the watermark colour...
+  chromaTolerance: 30, // ...and distance in the CbCr plane
+  tiled: false, // tiled: look for a repeating watermark first
+  roi: null, // All: { x, y, width, height } as fractions of the image, or a named region
+};
+
+// [min, max, integer]
+const BOUNDS = {
+  brightIntensity: [0, 255, false],
+  contrastIntensity: [0, 255, false],
+  minContrast: [0, 255, false],
+  searchWindow: [0.05, 1, false],
+  dilationRadius: [0, 32, true],
+  enhancedIntensity: [0, 255, false],
+  edgeIntensity: [0, 255, false],
+  minEdgeStrength: [0, 1500, false], // Sobel magnitudes top out near 1443
+  uniformIntensity: [0, 255, false],
+  maxColorVariance: [0, 511, true],
+  searchRadius: [0.05, 1, false],
+  lumaTolerance: [0, 255, false],
+  chromaTolerance: [0, 255, false],
+};
+
+const EDGE = 1 / 3; // Depth of the corner and edge regions, as a fraction of the image
+
+export const ROI_PRESETS = {
+  'full': { x: 0, y: 0, width: 1, height: 1 },
+  'center': { x: 0.2, y: 0.2, width: 0.6, height: 0.6 },
+  'top': { x: 0, y: 0, width: 1, height: EDGE },
+  'bottom': { x: 0, y: 1 - EDGE, width: 1, height: EDGE },
+  'left': { x: 0, y: 0, width: EDGE, height: 1 },
+  'right': { x: 1 - EDGE, y: 0, width: EDGE, height: 1 },
+  'top-left': { x: 0, y: 0, width: EDGE, height: EDGE },
+  'top-right': { x: 1 - EDGE, y: 0, width: EDGE, height: EDGE },
+  'bottom-left': { x: 0, y: 1 - EDGE, width: EDGE, height: EDGE },
+  'bottom-right': { x: 1 - EDGE, y: 1 - EDGE, width: EDGE, height: EDGE },
+};
+
+// Parses the `params` form field into a complete set of parameters, with a named roi resolved to
+// its rectangle; throws with a readable message when invalid
+export function parseDetectionParams(field) {
+  if (field === null || field === undefined || String(field).trim() === '') {
+    return { ...DEFAULT_DETECTION_PARAMS };
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(String(field));
+  } catch (error) {
+    throw new Error(`params is not valid JSON: ${error.message}`);
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('params must be a JSON object');
+  }
+
+  const params = { ...DEFAULT_DETECTION_PARAMS };
+  for (const [name, value] of Object.entries(overrides)) {
+    if (name === 'roi') {
+      params.roi = parseRoi(value);
+      continue;
+    }
+    if (name === 'color') {
+      params.color = parseColor(value);
+      continue;
+    }
+    if (name === 'tiled') {
+      if (typeof value !== 'boolean') throw new Error(`tiled must be true or false, got ${JSON.stringify(value)}`);
+      params.tiled = value;
+      continue;
+    }
+    const bounds = BOUNDS[name];
+    if (!bounds) {
+      throw new Error(`Unknown parameter: ${name} (expected ${Object.keys(DEFAULT_DETECTION_PARAMS).join(', ')})`);
+    }
+    const [min, max, integer] = bounds;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      throw new Error(`${name} must be a ${integer ? 'whole ' : ''}number from ${min} to ${max}, got ${JSON.stringify(value)}`);
+    }
+    params[name] = value;
+  }
+
+  return params;
+}
+
+// The roi in whole pixels, { x0, y0, x1, y1 } with x1 and y1 exclusive, or null for no roi. A roi
+// thinner than a pixel, or one starting at the far edge within parseRoi's slack, still covers one
+export function roiBounds(roi, width, height) {
+  if (!roi) return null;
+  const x0 = Math.min(width - 1, Math.floor(roi.x * width));
+  const y0 = Math.min(height - 1, Math.floor(roi.y * height));
+  return {
+    x0,
+    y0,
+    x1: Math.max(x0 + 1, Math.min(width, Math.ceil((roi.x + roi.width) * width))),
+    y1: Math.max(y0 + 1, Math.min(height, Math.ceil((roi.y + roi.height) * height))),
+  };
+}
+
+// Where detectBrightRegions and detectColorWatermark search: the roi, else the centred window.
+// { x0, y0, x1, y1 }, exclusive
+export function brightSearchArea(width, height, params) {
+  const roi = roiBounds(params.roi, width, height);
+  if (roi) return roi;
+
+  const centerX = Math.floor(width / 2);
+  const centerY = Math.floor(height / 2);
+  const searchWidth = Math.floor(width * params.searchWindow);
+  const searchHeight = Math.floor(height * params.searchWindow);
+  return {
+    x0: centerX - Math.floor(searchWidth / 2),
+    y0: centerY - Math.floor(searchHeight / 2),
+    x1: centerX + Math.floor(searchWidth / 2),
+    y1: centerY + Math.floor(searchHeight / 2),
+  };
+}
+
+// Where createEnhancedWatermarkMask searches: the roi, else the whole image limited to the centred
+// disc. { x0, y0, x1, y1, radius }, with an Infinite radius for no disc
+export function enhancedSearchArea(width, height, params) {
+  const roi = roiBounds(params.roi, width, height);
+  if (roi) return { ...roi, radius: Infinity };
+  return { x0: 0, y0: 0, x1: width, y1: height, radius: Math.min(width, height) * params.searchRadius };
+}
+
+function parseColor(value) {
+  if (value === null || value === 'auto') return value;
+  const hex = typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+  if (!hex) {
+    throw new Error(`color must be 'auto' or a hex colour like '#c8102e', got ${JSON.stringify(value)}`);
+  }
+  const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+  const number = parseInt(digits, 16);
+  return { r: number >> 16, g: (number >> 8) & 0xff, b: number & 0xff };
+}
+
+function parseRoi(value) {
+  if (value === null) return null;
+  if (typeof value === 'string') {
+    if (!ROI_PRESETS[value]) {
+      throw new Error(`Unknown roi: ${value} (expected ${Object.keys(ROI_PRESETS).join(', ')}, or { x, y, width, height })`);
+    }
+    return { ...ROI_PRESETS[value] };
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('roi must be a region name or { x, y, width, height }');
+  }
+  const roi = {};
+  for (const name of ['x', 'y', 'width', 'height']) {
+    const number = value[name];
+    if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || number > 1) {
+      throw new Error(`roi.${name} must be a fraction of the image from 0 to 1, got ${JSON.stringify(number)}`);
+    }
+    roi[name] = number;
+  }
+  // With a little slack for fractions like 2/3 + 1/3 that don't sum to exactly 1
+  if (roi.width === 0 || roi.height === 0 || roi.x + roi.width > 1 + 1e-9 || roi.y + roi.height > 1 + 1e-9) {
+    throw new Error('roi must be a non-empty region inside the image');
+  }
+  return roi;
+}
@@ -0,0 +1,44 @@
+// Errors reported to clients with a machine-readable code and an HTTP status.
+// Anything else thrown during a request is unexpected and becomes a plain 500.
+
+export const ERRORS = {
+  unsupported_format: { status: 415, summary: 'Could not decode image' },
+  invalid_image: { status: 422, summary: 'Could not decode image' },
+  decode_failed: { status: 422, summary: 'Could not decode image' },
+  file_too_large: { status: 413, summary: 'File too large' },
+  image_too_large: { status: 413, summary: 'Image too large' },
+  invalid_mask: { status: 400, summary: 'Invalid mask' },
+  no_watermark_detected: { status: 422, summary: 'No watermark detected' },
+  fallback_required: { status: 422, summary: 'Processing needed a fallback (strict mode)' },
+  processing_failed: { status: 500, summary: 'Failed to process image' },
+};
+
+// extra: additional response fields (format, fallback stage, limits...)
+export function processingError(code, message, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = ERRORS[code].status;
+  error.extra = extra;
+  return error;
+}
+
+export function isProcessingError(error) {
+  return !!error && Object.prototype.hasOwnProperty.call(ERRORS, error.code);
+}
+
+// { error, code, details, ...extra }; client errors don't get CORS headers, like the other 4xx responses
+export function processingErrorResponse(error) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (error.status >= 500) {
+    headers['Access-Control-Allow-Origin'] = '*';
+  }
+  return new Response(JSON.stringify({
+    error: ERRORS[error.code].summary,
+    code: error.code,
+    details: error.message,
+    ...error.extra
+  }), {
+    status: error.status,
+    headers,
+  });
+}
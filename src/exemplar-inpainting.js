@@ -0,0 +1,261 @@
+// Exemplar-based inpainting (Criminisi, Pérez & Toyama 2004).
+// The fill front is processed in priority order, confidence x data term, so linear structures
+// that run into the mask are continued first. Each step copies the best-matching fully known
+// patch from a window around the target, so halftones and line work are reproduced instead of
+// averaged away.
+
+const PATCH_RADIUS = 4;     // 9x9 patches
+const SEARCH_RADIUS = 24;   // Initial source search window; nearby exemplars keep the fill coherent
+const SEARCH_STEP = 2;      // Coarse search stride; the best candidate is then refined at stride 1
+const DATA_EPSILON = 0.05;  // Keeps flat regions moving and stops strong edges from racing ahead
+
+export function applyExemplarInpainting(pixels, mask, width, height) {
+  const size = width * height;
+  const unknown = new Uint8Array(size);
+  const confidence = new Float32Array(size);
+  const gray = new Float32Array(size);
+  let remaining = 0;
+
+  for (let i = 0; i < size; i++) {
+    const p = i * 4;
+    gray[i] = 0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2];
+    if (mask[i] > 0) {
+      unknown[i] = 1;
+      remaining++;
+    } else {
+      confidence[i] = 1;
+    }
+  }
+  if (remaining === 0) return 0;
+
+  const sources = findSourceCenters(mask, width, height);
+  if (!sources.any) {
+    console.log('Exemplar inpainting: no unmasked patch to copy from');
+    return 0;
+  }
+
+  const priority = new Float32Array(size);
+  const front = new Set();
+  for (let i = 0; i < size; i++) {
+    if (unknown[i] && isFrontPixel(unknown, i % width, Math.floor(i / width), width, height)) {
+      front.add(i);
+      priority[i] = computePriority(unknown, confidence, gray, i % width, Math.floor(i / width), width, height);
+    }
+  }
+
+  const total = remaining;
+  while (remaining > 0 && front.size > 0) {
+    let target = -1;
+    let best = -1;
+    for (const i of front) {
+      if (priority[i] > best) {
+        best = priority[i];
+        target = i;
+      }
+    }
+
+    const tx = target % width;
+    const ty = Math.floor(target / width);
+    const source = findBestPatch(pixels, unknown, sources.valid, tx, ty, width, height);
+    if (source < 0) break;
+    const patchConfidence = patchMeanConfidence(confidence, tx, ty, width, height);
+
+    // Copy the unknown part of the target patch from the exemplar
+    const sx = source % width;
+    const sy = Math.floor(source / width);
+    for (let dy = -PATCH_RADIUS; dy <= PATCH_RADIUS; dy++) {
+      const y = ty + dy;
+      if (y < 0 || y >= height) continue;
+      for (let dx = -PATCH_RADIUS; dx <= PATCH_RADIUS; dx++) {
+        const x = tx + dx;
+        if (x < 0 || x >= width) continue;
+        const i = y * width + x;
+        if (!unknown[i]) continue;
+
+        const s = (sy + dy) * width + sx + dx;
+        pixels[i * 4] = pixels[s * 4];
+        pixels[i * 4 + 1] = pixels[s * 4 + 1];
+        pixels[i * 4 + 2] = pixels[s * 4 + 2];
+        gray[i] = gray[s];
+        confidence[i] = patchConfidence;
+        unknown[i] = 0;
+        front.delete(i);
+        remaining--;
+      }
+    }
+
+    // The front only changes around the filled patch
+    const reach = 2 * PATCH_RADIUS + 1;
+    for (let y = Math.max(0, ty - reach); y <= Math.min(height - 1, ty + reach); y++) {
+      for (let x = Math.max(0, tx - reach); x <= Math.min(width - 1, tx + reach); x++) {
+        const i = y * width + x;
+        if (unknown[i] && isFrontPixel(unknown, x, y, width, height)) {
+          front.add(i);
+          priority[i] = computePriority(unknown, confidence, gray, x, y, width, height);
+        }
+      }
+    }
+  }
+
+  return total - remaining;
+}
+
+// Patch centers whose whole patch lies inside the image and outside the mask
+function findSourceCenters(mask, width, height) {
+  const integral = new Uint32Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += mask[y * width + x] > 0 ? 1 : 0;
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+
+  const valid = new Uint8Array(width * height);
+  let any = false;
+  const r = PATCH_RADIUS;
+  for (let y = r; y < height - r; y++) {
+    for (let x = r; x < width - r; x++) {
+      const x0 = x - r, y0 = y - r, x1 = x + r + 1, y1 = y + r + 1;
+      const masked = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+        - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+      if (masked === 0) {
+        valid[y * width + x] = 1;
+        any = true;
+      }
+    }
+  }
+
+  return { valid, any };
+}
+
+function isFrontPixel(unknown, x, y, width, height) {
+  return (x > 0 && !unknown[y * width + x - 1]) ||
+    (x < width - 1 && !unknown[y * width + x + 1]) ||
+    (y > 0 && !unknown[(y - 1) * width + x]) ||
+    (y < height - 1 && !unknown[(y + 1) * width + x]);
+}
+
+function patchMeanConfidence(confidence, x, y, width, height) {
+  let sum = 0;
+  for (let dy = -PATCH_RADIUS; dy <= PATCH_RADIUS; dy++) {
+    const ny = y + dy;
+    if (ny < 0 || ny >= height) continue;
+    for (let dx = -PATCH_RADIUS; dx <= PATCH_RADIUS; dx++) {
+      const nx = x + dx;
+      if (nx >= 0 && nx < width) sum += confidence[ny * width + nx];
+    }
+  }
+  const side = 2 * PATCH_RADIUS + 1;
+  return sum / (side * side);
+}
+
+// Priority = confidence term x data term (isophote strength along the front normal)
+function computePriority(unknown, confidence, gray, x, y, width, height) {
+  const c = patchMeanConfidence(confidence, x, y, width, height);
+
+  // Front normal from the gradient of the unknown region
+  const at = (map, px, py) => map[Math.min(height - 1, Math.max(0, py)) * width + Math.min(width - 1, Math.max(0, px))];
+  let nx = at(unknown, x + 1, y) - at(unknown, x - 1, y);
+  let ny = at(unknown, x, y + 1) - at(unknown, x, y - 1);
+  const normalLength = Math.hypot(nx, ny);
+  if (normalLength > 0) {
+    nx /= normalLength;
+    ny /= normalLength;
+  }
+
+  // Strongest isophote among the known pixels of the patch
+  let isoX = 0, isoY = 0, isoStrength = 0;
+  for (let dy = -PATCH_RADIUS; dy <= PATCH_RADIUS; dy++) {
+    const py = y + dy;
+    if (py < 1 || py >= height - 1) continue;
+    for (let dx = -PATCH_RADIUS; dx <= PATCH_RADIUS; dx++) {
+      const px = x + dx;
+      if (px < 1 || px >= width - 1) continue;
+      const i = py * width + px;
+      if (unknown[i] || unknown[i - 1] || unknown[i + 1] || unknown[i - width] || unknown[i + width]) continue;
+
+      const gx = (gray[i + 1] - gray[i - 1]) / 2;
+      const gy = (gray[i + width] - gray[i - width]) / 2;
+      const strength = gx * gx + gy * gy;
+      if (strength > isoStrength) {
+        isoStrength = strength;
+        isoX = -gy; // Isophote runs perpendicular to the gradient
+        isoY = gx;
+      }
+    }
+  }
+
+  const data = Math.abs(isoX * nx + isoY * ny) / 255;
+  return c * (data + DATA_EPSILON);
+}
+
+// Sum of squared RGB differences over the known pixels of the target patch; returns the source center
+function findBestPatch(pixels, unknown, valid, tx, ty, width, height) {
+  const offsets = [];
+  for (let dy = -PATCH_RADIUS; dy <= PATCH_RADIUS; dy++) {
+    const y = ty + dy;
+    if (y < 0 || y >= height) continue;
+    for (let dx = -PATCH_RADIUS; dx <= PATCH_RADIUS; dx++) {
+      const x = tx + dx;
+      if (x >= 0 && x < width && !unknown[y * width + x]) {
+        offsets.push(dy * width + dx);
+      }
+    }
+  }
+  const target = ty * width + tx;
+
+  const distance = (center, limit) => {
+    let sum = 0;
+    for (let k = 0; k < offsets.length && sum < limit; k++) {
+      const a = (target + offsets[k]) * 4;
+      const b = (center + offsets[k]) * 4;
+      const dr = pixels[a] - pixels[b];
+      const dg = pixels[a + 1] - pixels[b + 1];
+      const db = pixels[a + 2] - pixels[b + 2];
+      sum += dr * dr + dg * dg + db * db;
+    }
+    return sum;
+  };
+
+  // Widen the window until it contains a usable exemplar
+  for (let radius = SEARCH_RADIUS; ; radius *= 2) {
+    const x0 = Math.max(0, tx - radius), x1 = Math.min(width - 1, tx + radius);
+    const y0 = Math.max(0, ty - radius), y1 = Math.min(height - 1, ty + radius);
+    const wholeImage = x0 === 0 && y0 === 0 && x1 === width - 1 && y1 === height - 1;
+    const step = wholeImage ? 1 : SEARCH_STEP; // The last resort must not skip any center
+    let best = -1;
+    let bestDistance = Infinity;
+
+    for (let y = y0; y <= y1; y += step) {
+      for (let x = x0; x <= x1; x += step) {
+        const center = y * width + x;
+        if (!valid[center]) continue;
+        const d = distance(center, bestDistance);
+        if (d < bestDistance) {
+          bestDistance = d;
+          best = center;
+        }
+      }
+    }
+
+    if (best >= 0) {
+      const bx = best % width;
+      const by = Math.floor(best / width);
+      for (let y = Math.max(y0, by - 1); y <= Math.min(y1, by + 1); y++) {
+        for (let x = Math.max(x0, bx - 1); x <= Math.min(x1, bx + 1); x++) {
+          const center = y * width + x;
+          if (!valid[center] || center === best) continue;
+          const d = distance(center, bestDistance);
+          if (d < bestDistance) {
+            bestDistance = d;
+            best = center;
+          }
+        }
+      }
+      return best;
+    }
+
+    if (wholeImage) return -1;
+  }
+}
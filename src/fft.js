@@ -0,0 +1,102 @@
+// Radix-2 fast Fourier transforms over split real/imaginary Float64Arrays.
+// Sizes must be powers of two; callers pad their data with nextPowerOfTwo().
+
+// Bit-reversal permutations and twiddle factors, cached per transform size
+const tables = new Map();
+
+function getTables(n) {
+  let table = tables.get(n);
+  if (table) return table;
+
+  const reversed = new Uint32Array(n);
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    reversed[i] = j;
+  }
+
+  const cos = new Float64Array(n >> 1);
+  const sin = new Float64Array(n >> 1);
+  for (let k = 0; k < n >> 1; k++) {
+    cos[k] = Math.cos(2 * Math.PI * k / n);
+    sin[k] = Math.sin(2 * Math.PI * k / n);
+  }
+
+  table = { reversed, cos, sin };
+  tables.set(n, table);
+  return table;
+}
+
+export function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size <<= 1;
+  return size;
+}
+
+// In-place 1D FFT of `n` contiguous complex values starting at `offset`
+export function fft1d(re, im, n, offset = 0, inverse = false) {
+  const { reversed, cos, sin } = getTables(n);
+
+  for (let i = 1; i < n; i++) {
+    const j = reversed[i];
+    if (i < j) {
+      const a = offset + i;
+      const b = offset + j;
+      let tmp = re[a]; re[a] = re[b]; re[b] = tmp;
+      tmp = im[a]; im[a] = im[b]; im[b] = tmp;
+    }
+  }
+
+  // Cooley-Tukey butterflies; twiddle k * (n / len) of the size-n table
+  const direction = inverse ? 1 : -1;
+  for (let len = 2; len <= n; len <<= 1) {
+    const half = len >> 1;
+    const step = n / len;
+
+    for (let start = offset; start < offset + n; start += len) {
+      for (let k = 0; k < half; k++) {
+        const wRe = cos[k * step];
+        const wIm = direction * sin[k * step];
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = offset; i < offset + n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+// In-place 2D FFT of a width x height grid stored row-major.
+// Columns are transformed through a contiguous scratch buffer to keep memory access linear.
+export function fft2d(re, im, width, height, inverse = false) {
+  for (let y = 0; y < height; y++) {
+    fft1d(re, im, width, y * width, inverse);
+  }
+
+  const columnRe = new Float64Array(height);
+  const columnIm = new Float64Array(height);
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      columnRe[y] = re[y * width + x];
+      columnIm[y] = im[y * width + x];
+    }
+    fft1d(columnRe, columnIm, height, 0, inverse);
+    for (let y = 0; y < height; y++) {
+      re[y * width + x] = columnRe[y];
+      im[y * width + x] = columnIm[y];
+    }
+  }
+}
@@ -0,0 +1,70 @@
+// Minimal stroke font used to render watermark text templates.
+// Each glyph is a set of centerline polylines in a unit box (x and y in [0, 1], y down)
+// plus a relative width `w`; strokes are rendered thick, like bold sans-serif watermarks.
+
+// Elliptical arc as a polyline; angles in degrees, 0 = right, 90 = down
+function arc(cx, cy, rx, ry, from, to, steps = 10) {
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const angle = (from + (to - from) * i / steps) * Math.PI / 180;
+    points.push([cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)]);
+  }
+  return points;
+}
+
+const GLYPHS = {
+  'A': { w: 1.15, strokes: [[[0, 1], [0.35, 0], [0.65, 0], [1, 1]], [[0.2, 0.72], [0.8, 0.72]]] },
+  'B': { w: 1, strokes: [
+    [[0, 0], [0, 1], [0.6, 1], ...arc(0.6, 0.76, 0.4, 0.24, 90, -90), [0, 0.52]],
+    [[0, 0.52], [0.55, 0.52], ...arc(0.55, 0.26, 0.38, 0.26, 90, -90), [0, 0]],
+  ] },
+  'C': { w: 1, strokes: [arc(0.5, 0.5, 0.5, 0.5, -45, -315, 14)] },
+  'D': { w: 1, strokes: [[[0, 0], [0, 1], [0.4, 1], ...arc(0.4, 0.5, 0.6, 0.5, 90, -90), [0, 0]]] },
+  'E': { w: 0.8, strokes: [[[1, 0], [0, 0], [0, 1], [1, 1]], [[0, 0.5], [0.85, 0.5]]] },
+  'F': { w: 0.8, strokes: [[[1, 0], [0, 0], [0, 1]], [[0, 0.5], [0.85, 0.5]]] },
+  'G': { w: 1, strokes: [arc(0.5, 0.5, 0.5, 0.5, -45, -360, 14), [[0.55, 0.55], [1, 0.55], [1, 1]]] },
+  'H': { w: 1, strokes: [[[0, 0], [0, 1]], [[1, 0], [1, 1]], [[0, 0.5], [1, 0.5]]] },
+  'I': { w: 0.1, strokes: [[[0.5, 0], [0.5, 1]]] },
+  'J': { w: 0.85, strokes: [[[1, 0], [1, 0.7], ...arc(0.5, 0.7, 0.5, 0.3, 0, 180)]] },
+  'K': { w: 1, strokes: [[[0, 0], [0, 1]], [[1, 0], [0, 0.62]], [[0.3, 0.42], [1, 1]]] },
+  'L': { w: 0.75, strokes: [[[0, 0], [0, 1], [1, 1]]] },
+  'M': { w: 1.4, strokes: [[[0, 1], [0, 0], [0.5, 0.8], [1, 0], [1, 1]]] },
+  'N': { w: 1, strokes: [[[0, 1], [0, 0], [1, 1], [1, 0]]] },
+  'O': { w: 1.05, strokes: [arc(0.5, 0.5, 0.5, 0.5, 0, 360, 20)] },
+  'P': { w: 0.95, strokes: [[[0, 1], [0, 0], [0.6, 0], ...arc(0.6, 0.27, 0.4, 0.27, -90, 90), [0, 0.54]]] },
+  'Q': { w: 1.05, strokes: [arc(0.5, 0.5, 0.5, 0.5, 0, 360, 20), [[0.6, 0.7], [1, 1.05]]] },
+  'R': { w: 1, strokes: [
+    [[0, 1], [0, 0], [0.6, 0], ...arc(0.6, 0.27, 0.4, 0.27, -90, 90), [0, 0.54]],
+    [[0.45, 0.54], [1, 1]],
+  ] },
+  'S': { w: 1, strokes: [[...arc(0.5, 0.26, 0.45, 0.26, -20, -270), ...arc(0.5, 0.74, 0.5, 0.26, -90, 160)]] },
+  'T': { w: 1, strokes: [[[0, 0], [1, 0]], [[0.5, 0], [0.5, 1]]] },
+  'U': { w: 1, strokes: [[[0, 0], [0, 0.65], ...arc(0.5, 0.65, 0.5, 0.35, 180, 0), [1, 0]]] },
+  'V': { w: 1, strokes: [[[0, 0], [0.5, 1], [1, 0]]] },
+  'W': { w: 1.35, strokes: [[[0, 0], [0.25, 1], [0.5, 0.35], [0.75, 1], [1, 0]]] },
+  'X': { w: 1, strokes: [[[0, 0], [1, 1]], [[1, 0], [0, 1]]] },
+  'Y': { w: 1, strokes: [[[0, 0], [0.5, 0.5], [1, 0]], [[0.5, 0.5], [0.5, 1]]] },
+  'Z': { w: 1, strokes: [[[0, 0], [1, 0], [0, 1], [1, 1]]] },
+  '0': { w: 0.9, strokes: [arc(0.5, 0.5, 0.5, 0.5, 0, 360, 20)] },
+  '1': { w: 0.5, strokes: [[[0, 0.2], [0.7, 0], [0.7, 1]]] },
+  '2': { w: 0.9, strokes: [[...arc(0.5, 0.3, 0.5, 0.3, -170, 10), [0, 1], [1, 1]]] },
+  '3': { w: 0.9, strokes: [[...arc(0.5, 0.26, 0.45, 0.26, -160, 90), ...arc(0.5, 0.74, 0.5, 0.26, -90, 160)]] },
+  '4': { w: 0.9, strokes: [[[0.75, 1], [0.75, 0], [0, 0.7], [1, 0.7]]] },
+  '5': { w: 0.9, strokes: [[[0.95, 0], [0.1, 0], [0.05, 0.45], ...arc(0.5, 0.68, 0.5, 0.32, -130, 150)]] },
+  '6': { w: 0.9, strokes: [[[0.9, 0.05], [0.3, 0.4], [0, 0.7]], arc(0.5, 0.7, 0.5, 0.3, 0, 360, 16)] },
+  '7': { w: 0.9, strokes: [[[0, 0], [1, 0], [0.35, 1]]] },
+  '8': { w: 0.9, strokes: [arc(0.5, 0.25, 0.42, 0.25, 0, 360, 16), arc(0.5, 0.73, 0.5, 0.27, 0, 360, 16)] },
+  '9': { w: 0.9, strokes: [arc(0.5, 0.3, 0.5, 0.3, 0, 360, 16), [[1, 0.3], [0.7, 0.6], [0.1, 0.95]]] },
+  '-': { w: 0.6, strokes: [[[0, 0.55], [1, 0.55]]] },
+  '.': { w: 0.05, strokes: [[[0.5, 0.95], [0.5, 1]]] },
+  ' ': { w: 0.5, strokes: [] },
+};
+
+// Lowercase text is matched with the uppercase glyphs; unknown characters become spaces
+export function getGlyph(char) {
+  return GLYPHS[char.toUpperCase()] || GLYPHS[' '];
+}
+
+export function hasGlyph(char) {
+  return char !== ' ' && char.toUpperCase() in GLYPHS;
+}
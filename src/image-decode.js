@@ -0,0 +1,230 @@
+import { PhotonImage } from '@cf-wasm/photon';
+import { sniffFormat } from './image-format.js';
+import { processingError } from './errors.js';
+import { DEFAULT_LIMITS } from './limits.js';
+
+// Decoding uploads to upright 8-bit RGBA.
+// Photon's decoders already expand palette and greyscale PNGs, reduce 16-bit samples to 8 bits and
+// read progressive JPEGs. What they don't do is honour EXIF orientation, and on bad input they only
+// trap with "unreachable". So the container is checked here first, failures are reported as
+// processing errors with a code, and rotated or mirrored photos are turned upright after decoding.
+
+const DECODABLE_FORMATS = ['png', 'jpeg', 'webp', 'gif', 'bmp'];
+
+// Returns { pixels, width, height, format }; throws a processing error otherwise
+export function decodeImage(imageBuffer, maxPixels = DEFAULT_LIMITS.maxPixels) {
+  const bytes = new Uint8Array(imageBuffer);
+  const header = readImageSize(bytes, maxPixels);
+  const { format } = header;
+
+  let image;
+  try {
+    image = PhotonImage.new_from_byteslice(bytes);
+  } catch (error) {
+    throw decodeError('decode_failed', `${format.toUpperCase()} data could not be decoded` +
+      (header.width ? ` (${header.width}x${header.height}, possibly truncated or corrupt)` : ''), format);
+  }
+  const width = image.get_width();
+  const height = image.get_height();
+  const pixels = image.get_raw_pixels();
+  image.free();
+
+  const orientation = readExifOrientation(bytes, format);
+  if (orientation > 1) {
+    console.log(`Applying EXIF orientation ${orientation}`);
+    return { ...applyOrientation(pixels, width, height, orientation), format };
+  }
+  return { pixels, width, height, format };
+}
+
+// Returns { width, height, format } from the container header alone, so callers can check sizes
+// before anything is decoded; throws the processing errors decodeImage would for the same input
+export function readImageSize(imageBuffer, maxPixels = DEFAULT_LIMITS.maxPixels) {
+  const bytes = new Uint8Array(imageBuffer);
+  const format = sniffFormat(bytes);
+  if (!DECODABLE_FORMATS.includes(format)) {
+    throw decodeError('unsupported_format', format
+      ? `${format.toUpperCase()} images are not supported (use PNG, JPEG, WebP, GIF or BMP)`
+      : 'Not a recognised image format (use PNG, JPEG, WebP, GIF or BMP)', format);
+  }
+  const header = readImageHeader(bytes, format);
+
+  if (header.width * header.height > maxPixels) {
+    throw processingError('image_too_large',
+      `${header.width}x${header.height} is over the ${maxPixels / 1e6} megapixel limit`,
+      { format, width: header.width, height: header.height, maxPixels });
+  }
+  return { ...header, format };
+}
+
+function decodeError(code, message, format) {
+  return processingError(code, message, { format });
+}
+
+// Dimensions from the container header, checking along the way that it is intact
+function readImageHeader(bytes, format) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const invalid = message => decodeError('invalid_image', message, format);
+
+  switch (format) {
+    case 'png': {
+      if (bytes.length < 33 || String.fromCharCode(...bytes.subarray(12, 16)) !== 'IHDR') {
+        throw invalid('PNG is missing its IHDR header');
+      }
+      const bitDepth = bytes[24];
+      const colorType = bytes[25];
+      const validDepths = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] }[colorType];
+      if (!validDepths || !validDepths.includes(bitDepth)) {
+        throw invalid(`PNG has an invalid colour type ${colorType} / bit depth ${bitDepth}`);
+      }
+      return { width: view.getUint32(16), height: view.getUint32(20) };
+    }
+
+    case 'jpeg': {
+      // Walk the marker segments up to the frame header
+      let offset = 2;
+      while (offset + 4 <= bytes.length) {
+        if (bytes[offset] !== 0xff) throw invalid('JPEG marker structure is corrupt');
+        const marker = bytes[offset + 1];
+        if (marker === 0xff) {
+          offset++; // Fill byte
+          continue;
+        }
+        const length = view.getUint16(offset + 2);
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+          if (marker !== 0xc0 && marker !== 0xc1 && marker !== 0xc2) {
+            throw decodeError('unsupported_format', 'Lossless and arithmetic-coded JPEGs are not supported', format);
+          }
+          if (offset + 9 > bytes.length) break;
+          return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+        }
+        if (marker === 0xda) break; // Scan data before any frame header
+        offset += 2 + length;
+      }
+      throw invalid('JPEG has no frame header');
+    }
+
+    case 'webp': {
+      const chunk = String.fromCharCode(...bytes.subarray(12, 16));
+      if (chunk === 'VP8X' && bytes.length >= 30) {
+        return {
+          width: 1 + (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16)),
+          height: 1 + (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16)),
+        };
+      }
+      if (chunk === 'VP8L' && bytes.length >= 25) {
+        const bits = view.getUint32(21, true);
+        return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+      }
+      if (chunk === 'VP8 ' && bytes.length >= 30) {
+        return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+      }
+      throw invalid('WebP has no image header');
+    }
+
+    case 'gif':
+      if (bytes.length < 10) throw invalid('GIF is missing its header');
+      return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+
+    case 'bmp':
+      if (bytes.length < 26) throw invalid('BMP is missing its header');
+      return { width: view.getInt32(18, true), height: Math.abs(view.getInt32(22, true)) };
+
+    default:
+      return {};
+  }
+}
+
+// EXIF orientation tag (1-8) from a JPEG APP1 segment, PNG eXIf chunk or WebP EXIF chunk; 1 when absent
+function readExifOrientation(bytes, format) {
+  const tiff = findExif(bytes, format);
+  if (!tiff || tiff.length < 8) return 1;
+
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const order = String.fromCharCode(tiff[0], tiff[1]);
+  if (order !== 'II' && order !== 'MM') return 1;
+  const little = order === 'II';
+
+  const ifd = view.getUint32(4, little);
+  if (ifd + 2 > tiff.length) return 1;
+  const entries = view.getUint16(ifd, little);
+  for (let n = 0; n < entries; n++) {
+    const entry = ifd + 2 + n * 12;
+    if (entry + 12 > tiff.length) break;
+    if (view.getUint16(entry, little) === 0x0112) {
+      const value = view.getUint16(entry + 8, little);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+}
+
+// The EXIF TIFF structure inside the container, or null
+function findExif(bytes, format) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const stripHeader = data => String.fromCharCode(...data.subarray(0, 6)) === 'Exif\0\0' ? data.subarray(6) : data;
+
+  if (format === 'jpeg') {
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+      if (marker === 0xda || marker === 0xd9) break;
+      const length = view.getUint16(offset + 2);
+      if (marker === 0xe1) {
+        const data = bytes.subarray(offset + 4, offset + 2 + length);
+        if (String.fromCharCode(...data.subarray(0, 6)) === 'Exif\0\0') return data.subarray(6);
+      }
+      offset += 2 + length;
+    }
+  } else if (format === 'png') {
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      if (type === 'eXIf') return bytes.subarray(offset + 8, offset + 8 + length);
+      if (type === 'IDAT' || type === 'IEND') break; // eXIf must precede the image data
+      offset += 12 + length;
+    }
+  } else if (format === 'webp') {
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+      const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+      const length = view.getUint32(offset + 4, true);
+      if (type === 'EXIF') return stripHeader(bytes.subarray(offset + 8, offset + 8 + length));
+      offset += 8 + length + (length & 1);
+    }
+  }
+  return null;
+}
+
+// Turns stored pixels upright: orientations 2-4 mirror or rotate 180°, 5-8 also swap the axes
+function applyOrientation(pixels, width, height, orientation) {
+  const swap = orientation >= 5;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  const output = new Uint8Array(pixels.length);
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sx, sy;
+      switch (orientation) {
+        case 2: sx = width - 1 - x; sy = y; break;
+        case 3: sx = width - 1 - x; sy = height - 1 - y; break;
+        case 4: sx = x; sy = height - 1 - y; break;
+        case 5: sx = y; sy = x; break;
+        case 6: sx = y; sy = height - 1 - x; break;
+        case 7: sx = width - 1 - y; sy = height - 1 - x; break;
+        case 8: sx = width - 1 - y; sy = x; break;
+        default: sx = x; sy = y;
+      }
+      const source = (sy * width + sx) * 4;
+      const target = (y * outWidth + x) * 4;
+      output[target] = pixels[source];
+      output[target + 1] = pixels[source + 1];
+      output[target + 2] = pixels[source + 2];
+      output[target + 3] = pixels[source + 3];
+    }
+  }
+
+  return { pixels: output, width: outWidth, height: outHeight };
+}
@@ -0,0 +1,93 @@
+import { PhotonImage } from '@cf-wasm/photon';
+
+// Output encoding. Results follow the uploaded format unless an `output` format is requested.
+// Photon encodes JPEG at a chosen quality; its WebP encoder is lossless, so quality only affects JPEG.
+
+export const OUTPUT_FORMATS = {
+  png: { contentType: 'image/png', extension: 'png' },
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  webp: { contentType: 'image/webp', extension: 'webp' },
+};
+
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+const DEFAULT_QUALITY = 90;
+
+// Format name from the file signature: png, jpeg, webp, gif, bmp or tiff; null when unrecognised
+export function sniffFormat(bytes) {
+  if (bytes.length >= 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+    return 'png';
+  }
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (bytes.length >= 12 && String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF' &&
+      String.fromCharCode(...bytes.subarray(8, 12)) === 'WEBP') {
+    return 'webp';
+  }
+  if (bytes.length >= 6 && String.fromCharCode(...bytes.subarray(0, 4)) === 'GIF8') {
+    return 'gif';
+  }
+  if (bytes.length >= 2 && bytes[0] === 0x42 && bytes[1] === 0x4d) {
+    return 'bmp';
+  }
+  if (bytes.length >= 4 && ((bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 0x2a && bytes[3] === 0) ||
+      (bytes[0] === 0x4d && bytes[1] === 0x4d && bytes[2] === 0 && bytes[3] === 0x2a))) {
+    return 'tiff';
+  }
+  return null;
+}
+
+// Validates the `output` and `quality` form fields; throws with a readable message when invalid.
+// Returns { format, quality } where format is null to follow the input.
+export function parseOutputOptions(outputField, qualityField) {
+  let format = null;
+  if (outputField) {
+    const name = String(outputField).toLowerCase();
+    format = FORMAT_ALIASES[name] || name;
+    if (!OUTPUT_FORMATS[format]) {
+      throw new Error(`Unknown output format: ${outputField} (expected ${Object.keys(OUTPUT_FORMATS).join(', ')})`);
+    }
+  }
+
+  let quality = DEFAULT_QUALITY;
+  if (qualityField !== null && qualityField !== undefined && qualityField !== '') {
+    quality = Number(qualityField);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new Error(`Quality must be a whole number from 1 to 100, got ${qualityField}`);
+    }
+  }
+
+  return { format, quality };
+}
+
+// The requested format, else the input's own when it can be encoded, else PNG
+export function resolveOutputFormat(requested, inputBytes) {
+  const inputFormat = sniffFormat(inputBytes);
+  return requested || (OUTPUT_FORMATS[inputFormat] ? inputFormat : 'png');
+}
+
+export function encodeImage(pixels, width, height, format, quality = DEFAULT_QUALITY) {
+  const image = new PhotonImage(pixels, width, height);
+  try {
+    switch (format) {
+      case 'jpeg':
+        return image.get_bytes_jpeg(quality);
+      case 'webp':
+        return image.get_bytes_webp();
+      default:
+        return image.get_bytes();
+    }
+  } finally {
+    image.free();
+  }
+}
+
+// "card.jpg" stays "card.jpg" as JPEG but becomes "card.png" as PNG; names without an extension get one
+export function replaceExtension(name, format) {
+  const match = name.match(/\.([^./]*)$/);
+  if (match) {
+    const extension = match[1].toLowerCase();
+    if ((FORMAT_ALIASES[extension] || extension) === format) return name;
+  }
+  return (match ? name.slice(0, match.index) : name) + '.' + OUTPUT_FORMATS[format].extension;
+}
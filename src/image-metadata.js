@@ -0,0 +1,343 @@
+import { crc32 } from './crc32.js';
+
+// Image metadata carried from the upload to the processed output.
+// Photon re-encodes bare pixels, so the ICC profile, EXIF, XMP and PNG text chunks are read from the
+// input container and written back into the output's, translated between PNG, JPEG and WebP:
+//   PNG:  iCCP, eXIf, iTXt "XML:com.adobe.xmp", tEXt/zTXt/iTXt
+//   JPEG: APP2 ICC_PROFILE, APP1 Exif, APP1 XMP
+//   WebP: ICCP, EXIF, XMP chunks in the extended (VP8X) layout
+// PNG text chunks have no JPEG/WebP equivalent and only survive PNG to PNG.
+
+const XMP_NAMESPACE = 'http://ns.adobe.com/xap/1.0/\0';
+const ICC_SIGNATURE = 'ICC_PROFILE\0';
+const NOTE_NAMESPACE = 'https://github.com/huystuhh/watermarknt/ns/1.0/';
+const MAX_JPEG_SEGMENT = 65533; // Segment payload limit, after the 2 length bytes
+// Compressed PNG chunks inflate to at most this, so a small upload can't expand into gigabytes
+const MAX_INFLATED_BYTES = 4 * 1024 * 1024;
+
+// Returns { icc, exif, xmp, text }: the ICC profile bytes, EXIF TIFF structure, XMP packet string and
+// raw PNG text chunks ([{ type, data }]). Anything missing or unreadable is left null/empty.
+export async function readMetadata(bytes, format) {
+  const metadata = { icc: null, exif: null, xmp: null, text: [] };
+  try {
+    if (format === 'png') await readPNGMetadata(bytes, metadata);
+    else if (format === 'jpeg') readJPEGMetadata(bytes, metadata);
+    else if (format === 'webp') readWebPMetadata(bytes, metadata);
+  } catch (error) {
+    console.log(`Metadata could not be read: ${error.message}`);
+  }
+  return metadata;
+}
+
+// Writes metadata and an optional processing note ({ algorithm, coverage }) into encoded output.
+// The pixels were turned upright on decode, so a copied EXIF orientation is reset to 1.
+export async function writeMetadata(bytes, format, metadata, note = null) {
+  const exif = metadata.exif ? resetOrientation(metadata.exif) : null;
+
+  switch (format) {
+    case 'png':
+      return writePNGMetadata(bytes, { ...metadata, exif }, note);
+    case 'jpeg':
+      return writeJPEGMetadata(bytes, { ...metadata, exif, xmp: note ? addNoteToXMP(metadata.xmp, note) : metadata.xmp });
+    case 'webp':
+      return writeWebPMetadata(bytes, { ...metadata, exif, xmp: note ? addNoteToXMP(metadata.xmp, note) : metadata.xmp });
+    default:
+      return bytes;
+  }
+}
+
+async function readPNGMetadata(bytes, metadata) {
+  for (const { type, data } of readPNGChunks(bytes)) {
+    if (type === 'iCCP') {
+      const nameEnd = data.indexOf(0);
+      metadata.icc = await inflate(data.subarray(nameEnd + 2)); // Skip the name and compression method
+      if (!metadata.icc) console.log(`ICC profile inflates to over ${MAX_INFLATED_BYTES} bytes, dropped`);
+    } else if (type === 'eXIf') {
+      metadata.exif = data.slice();
+    } else if (type === 'iTXt' && latin1(data.subarray(0, data.indexOf(0))) === 'XML:com.adobe.xmp') {
+      metadata.xmp = await readITXtText(data);
+      if (metadata.xmp === null) console.log(`XMP inflates to over ${MAX_INFLATED_BYTES} bytes, dropped`);
+    } else if (type === 'tEXt' || type === 'zTXt' || type === 'iTXt') {
+      metadata.text.push({ type, data: data.slice() });
+    }
+  }
+}
+
+function readJPEGMetadata(bytes, metadata) {
+  const iccParts = [];
+  for (const { marker, data } of readJPEGSegments(bytes)) {
+    if (marker === 0xe1 && latin1(data.subarray(0, 6)) === 'Exif\0\0') {
+      metadata.exif = data.slice(6);
+    } else if (marker === 0xe1 && latin1(data.subarray(0, XMP_NAMESPACE.length)) === XMP_NAMESPACE) {
+      metadata.xmp = new TextDecoder().decode(data.subarray(XMP_NAMESPACE.length));
+    } else if (marker === 0xe2 && latin1(data.subarray(0, ICC_SIGNATURE.length)) === ICC_SIGNATURE) {
+      // Profiles over 64 KB are split across numbered segments
+      iccParts[data[ICC_SIGNATURE.length] - 1] = data.subarray(ICC_SIGNATURE.length + 2);
+    }
+  }
+  if (iccParts.length > 0 && !iccParts.includes(undefined)) {
+    metadata.icc = concat(iccParts);
+  }
+}
+
+function readWebPMetadata(bytes, metadata) {
+  for (const { type, data } of readWebPChunks(bytes)) {
+    if (type === 'ICCP') metadata.icc = data.slice();
+    else if (type === 'EXIF') metadata.exif = latin1(data.subarray(0, 6)) === 'Exif\0\0' ? data.slice(6) : data.slice();
+    else if (type === 'XMP ') metadata.xmp = new TextDecoder().decode(data);
+  }
+}
+
+async function writePNGMetadata(bytes, metadata, note) {
+  const chunks = [];
+  if (metadata.icc) {
+    chunks.push(pngChunk('iCCP', concat([latin1Bytes('ICC Profile\0'), new Uint8Array([0]), await deflate(metadata.icc)])));
+  }
+  if (metadata.exif) {
+    chunks.push(pngChunk('eXIf', metadata.exif));
+  }
+  if (metadata.xmp) {
+    // Uncompressed iTXt: keyword, compression flag and method, empty language and translated keyword
+    chunks.push(pngChunk('iTXt', concat([latin1Bytes('XML:com.adobe.xmp\0\0\0\0\0'), new TextEncoder().encode(metadata.xmp)])));
+  }
+  for (const { type, data } of metadata.text) {
+    chunks.push(pngChunk(type, data));
+  }
+  if (note) {
+    chunks.push(pngChunk('tEXt', latin1Bytes(`Comment\0${describeNote(note)}`)));
+  }
+  if (chunks.length === 0) return bytes;
+
+  // Ancillary chunks go straight after IHDR (8-byte signature + 25-byte IHDR chunk)
+  const headerEnd = 8 + 12 + new DataView(bytes.buffer, bytes.byteOffset).getUint32(8);
+  return concat([bytes.subarray(0, headerEnd), ...chunks, bytes.subarray(headerEnd)]);
+}
+
+function writeJPEGMetadata(bytes, metadata) {
+  const segments = [];
+  if (metadata.exif) {
+    const data = concat([latin1Bytes('Exif\0\0'), metadata.exif]);
+    if (data.length <= MAX_JPEG_SEGMENT) segments.push(jpegSegment(0xe1, data));
+    else console.log('EXIF too large for a JPEG segment, dropped');
+  }
+  if (metadata.xmp) {
+    const data = concat([latin1Bytes(XMP_NAMESPACE), new TextEncoder().encode(metadata.xmp)]);
+    if (data.length <= MAX_JPEG_SEGMENT) segments.push(jpegSegment(0xe1, data));
+    else console.log('XMP too large for a JPEG segment, dropped');
+  }
+  if (metadata.icc) {
+    const partSize = MAX_JPEG_SEGMENT - ICC_SIGNATURE.length - 2;
+    const count = Math.ceil(metadata.icc.length / partSize);
+    for (let n = 0; n < count; n++) {
+      const part = metadata.icc.subarray(n * partSize, (n + 1) * partSize);
+      segments.push(jpegSegment(0xe2, concat([latin1Bytes(ICC_SIGNATURE), new Uint8Array([n + 1, count]), part])));
+    }
+  }
+  if (segments.length === 0) return bytes;
+
+  // After SOI, and after the JFIF APP0 segment when there is one, which must come first
+  let insertAt = 2;
+  if (bytes[2] === 0xff && bytes[3] === 0xe0) {
+    insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+  }
+  return concat([bytes.subarray(0, insertAt), ...segments, bytes.subarray(insertAt)]);
+}
+
+// Metadata needs the extended layout: VP8X header, ICCP, image data, EXIF, XMP
+function writeWebPMetadata(bytes, metadata) {
+  if (!metadata.icc && !metadata.exif && !metadata.xmp) return bytes;
+
+  const chunks = readWebPChunks(bytes);
+  const existing = chunks.find(chunk => chunk.type === 'VP8X');
+  let header = existing ? { type: 'VP8X', data: existing.data.slice() } : null;
+  const image = chunks.filter(chunk => !['VP8X', 'ICCP', 'EXIF', 'XMP '].includes(chunk.type));
+
+  if (!header) {
+    const { width, height, alpha } = webPImageInfo(image[0]);
+    const data = new Uint8Array(10);
+    data[0] = alpha ? 0x10 : 0;
+    data.set([(width - 1) & 0xff, ((width - 1) >> 8) & 0xff, ((width - 1) >> 16) & 0xff], 4);
+    data.set([(height - 1) & 0xff, ((height - 1) >> 8) & 0xff, ((height - 1) >> 16) & 0xff], 7);
+    header = { type: 'VP8X', data };
+  }
+  header.data[0] |= (metadata.icc ? 0x20 : 0) | (metadata.exif ? 0x08 : 0) | (metadata.xmp ? 0x04 : 0);
+
+  const body = [webPChunk('VP8X', header.data)];
+  if (metadata.icc) body.push(webPChunk('ICCP', metadata.icc));
+  for (const chunk of image) body.push(webPChunk(chunk.type, chunk.data));
+  if (metadata.exif) body.push(webPChunk('EXIF', metadata.exif));
+  if (metadata.xmp) body.push(webPChunk('XMP ', new TextEncoder().encode(metadata.xmp)));
+
+  const riff = concat([latin1Bytes('RIFF'), new Uint8Array(4), latin1Bytes('WEBP'), ...body]);
+  new DataView(riff.buffer).setUint32(4, riff.length - 8, true);
+  return riff;
+}
+
+function webPImageInfo({ type, data }) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (type === 'VP8L') {
+    const bits = view.getUint32(1, true);
+    return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff), alpha: !!(bits & 0x10000000) };
+  }
+  // Lossy VP8: dimensions follow the frame tag and start code
+  return { width: view.getUint16(6, true) & 0x3fff, height: view.getUint16(8, true) & 0x3fff, alpha: false };
+}
+
+// Processing note as an rdf:Description in the XMP packet, creating the packet if there is none
+function addNoteToXMP(xmp, note) {
+  const description = `<rdf:Description rdf:about="" xmlns:watermarknt="${NOTE_NAMESPACE}"` +
+    ` watermarknt:algorithm="${note.algorithm}" watermarknt:maskCoverage="${note.coverage}"` +
+    ` watermarknt:note="${describeNote(note)}"/>`;
+
+  if (xmp && xmp.includes('</rdf:RDF>')) {
+    return xmp.replace('</rdf:RDF>', `${description}</rdf:RDF>`);
+  }
+  return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+    description + '</rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+}
+
+function describeNote(note) {
+  return `Watermark removed by watermarknt (algorithm: ${note.algorithm}, mask coverage: ${note.coverage}%)`;
+}
+
+// Rewrites the IFD0 orientation tag, if present, to 1 (upright) in a copy of the EXIF data
+function resetOrientation(exif) {
+  const copy = exif.slice();
+  if (copy.length < 8) return copy;
+  const view = new DataView(copy.buffer);
+  const little = copy[0] === 0x49;
+  const ifd = view.getUint32(4, little);
+  if (ifd + 2 > copy.length) return copy;
+
+  const entries = view.getUint16(ifd, little);
+  for (let n = 0; n < entries; n++) {
+    const entry = ifd + 2 + n * 12;
+    if (entry + 12 > copy.length) break;
+    if (view.getUint16(entry, little) === 0x0112) {
+      view.setUint16(entry + 8, 1, little);
+    }
+  }
+  return copy;
+}
+
+// The chunk's text, or null when it inflates past MAX_INFLATED_BYTES
+async function readITXtText(data) {
+  let offset = data.indexOf(0) + 1;
+  const compressed = data[offset] === 1;
+  offset += 2;
+  offset = data.indexOf(0, offset) + 1; // Language tag
+  offset = data.indexOf(0, offset) + 1; // Translated keyword
+  const text = compressed ? await inflate(data.subarray(offset)) : data.subarray(offset);
+  return text && new TextDecoder().decode(text);
+}
+
+function readPNGChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = latin1(bytes.subarray(offset + 4, offset + 8));
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+    if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+function readJPEGSegments(bytes) {
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    if (marker === 0xda || marker === 0xd9) break; // Metadata precedes the scan data
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    segments.push({ marker, data: bytes.subarray(offset + 4, offset + 2 + length) });
+    offset += 2 + length;
+  }
+  return segments;
+}
+
+function readWebPChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const type = latin1(bytes.subarray(offset, offset + 4));
+    const length = view.getUint32(offset + 4, true);
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+    offset += 8 + length + (length & 1);
+  }
+  return chunks;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(latin1Bytes(type), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+function jpegSegment(marker, data) {
+  const segment = new Uint8Array(4 + data.length);
+  segment[0] = 0xff;
+  segment[1] = marker;
+  segment[2] = (data.length + 2) >> 8;
+  segment[3] = (data.length + 2) & 0xff;
+  segment.set(data, 4);
+  return segment;
+}
+
+// RIFF chunks are padded to an even length
+function webPChunk(type, data) {
+  const chunk = new Uint8Array(8 + data.length + (data.length & 1));
+  chunk.set(latin1Bytes(type), 0);
+  new DataView(chunk.buffer).setUint32(4, data.length, true);
+  chunk.set(data, 8);
+  return chunk;
+}
+
+// The inflated bytes, or null once they pass MAX_INFLATED_BYTES; the rest is never decompressed
+async function inflate(data) {
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > MAX_INFLATED_BYTES) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  return concat(chunks);
+}
+
+async function deflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function concat(parts) {
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
+
+function latin1(bytes) {
+  return String.fromCharCode(...bytes);
+}
+
+function latin1Bytes(text) {
+  return Uint8Array.from(text, character => character.charCodeAt(0));
+}
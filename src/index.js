@@ -1,4 +1,63 @@
 import { PhotonImage, grayscale, gaussian_blur, threshold, invert, adjust_brightness, lighten_hsl, desaturate_hsl, selective_color_convert, Rgb, laplace, sobel_horizontal, sobel_vertical } from '@cf-wasm/photon';
+import { fft2d, nextPowerOfTwo } from './fft.js';
+import { detectTextWatermark } from './text-detection.js';
+import { parseMaskUpload, rasterizeMask } from './mask-input.js';
+import { applyExemplarInpainting } from './exemplar-inpainting.js';
+import { applyFastMarchingInpainting } from './telea-inpainting.js';
+import { estimateOverlay, isReversible, reverseOverlay } from './overlay-reversal.js';
+import { estimateTemplate, templateMemoryBytes } from './template-estimation.js';
+import { saveTemplate, loadTemplate, describeTemplate, fitTemplate } from './template-store.js';
+import { isZip, readZip, writeZip } from './zip.js';
+import { decodeImage, readImageSize } from './image-decode.js';
+import { processingError, isProcessingError, processingErrorResponse } from './errors.js';
+import { readMetadata, writeMetadata } from './image-metadata.js';
+import { encodeBase64 } from './base64.js';
+import { readLimits } from './limits.js';
+import { parseDetectionParams, roiBounds } from './detection-params.js';
+import { detectColorWatermark, formatColor } from './color-detection.js';
+import { detectTiledWatermark } from './tiled-detection.js';
+import { createJob, getJob, getJobResult, handleJobObjectRequest, runJobAlarm } from './jobs.js';
+import { psnr, ssim, residualEnergy, outsideMaskChange, edgeResidue, boundaryEdgeStrength } from './quality-metrics.js';
+import { resultCacheKey, resultETag, matchesETag, readCachedResult, cacheResult } from './result-cache.js';
+import { loadKernels, detectBrightRegions, createEnhancedWatermarkMask, applyBoundaryBasedInpainting, dilateMask, erodeMask, fillWithWindowMeans } from './kernels.js';
+import { planTiling, downscaleImage, downscaleMask, upscaleMask, upscalePlane, cropPlane, processInTiles } from './tiling.js';
+import { OUTPUT_FORMATS, sniffFormat, parseOutputOptions, resolveOutputFormat, encodeImage, replaceExtension } from './image-format.js';
+
+// Removal pipelines selectable through the `algorithm` form field
+const ALGORITHMS = ['basic', 'edge', 'frequency', 'exemplar', 'telea', 'reverse'];
+const DEFAULT_ALGORITHM = 'edge';
+
+// Detection methods as named in fallback reasons
+const DETECTION_NAMES = {
+  text: 'text detection',
+  color: 'colour-target detection',
+  brightness: 'brightness-based detection',
+};
+
+// Response formats for /api/detect
+const DETECT_FORMATS = ['mask', 'json', 'overlay'];
+
+// Upper bound on images per template estimate; every image's gradients are held in memory
+const MAX_TEMPLATE_IMAGES = 32;
+
+// Working memory a template estimate may take (see templateMemoryBytes), leaving the rest of the
+// Worker's 128 MB for the uploads, Photon's heap and the runtime
+const MAX_TEMPLATE_BYTES = 80 * 1024 * 1024;
+
+// Response modes for /api/remove-watermark: the image itself, or JSON with the image and a report
+const RESPONSE_MODES = ['image', 'json'];
+
+// Mask regions listed in processing reports, largest first
+const MAX_REPORTED_REGIONS = 32;
+
+// Images per batch request; each one is also held to the upload limits
+const MAX_BATCH_FILES = 100;
+
+// Bytes all of a batch's archive entries may inflate to together, within the Worker's 128 MB
+const MAX_BATCH_INFLATED_BYTES = 64 * 1024 * 1024;
+
+// /api/evaluate reports identical images' PSNR (Infinity) as this many dB
+const MAX_PSNR = 100;
 
 /**
  * Watermark removal service for Cloudflare Workers using Photon WebAssembly
@@ -6,6 +65,7 @@ import { PhotonImage, grayscale, gaussian_blur, threshold, invert, adjust_bright
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
+    await loadKernels();
 
     // Handle CORS
     if (request.method === 'OPTIONS') {
@@ -13,11 +73,25 @@ export default {
         headers: {
           'Access-Control-Allow-Origin': '*',
           'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Headers': 'Content-Type, Cache-Control, If-None-Match',
         },
       });
     }
 
+    // Stored templates: /api/templates/:id
+    if (url.pathname.startsWith('/api/templates/') && request.method === 'GET') {
+      return handleTemplateLookup(decodeURIComponent(url.pathname.slice('/api/templates/'.length)), url, env);
+    }
+
+    // Asynchronous jobs: /api/jobs/:id and /api/jobs/:id/result
+    if (url.pathname.startsWith('/api/jobs/') && request.method === 'GET') {
+      const [id, resource, ...rest] = url.pathname.slice('/api/jobs/'.length).split('/');
+      if (id && rest.length === 0) {
+        if (resource === undefined) return handleJobStatus(id, env);
+        if (resource === 'result') return handleJobResult(id, env);
+      }
+    }
+
     // Route handling
     switch (url.pathname) {
       case '/':
@@ -30,7 +104,37 @@ export default {
 
       case '/api/remove-watermark':
         if (request.method === 'POST') {
-          return handleWatermarkRemoval(request, env);
+          return handleWatermarkRemoval(request, env, ctx);
+        }
+        break;
+
+      case '/api/remove-watermark/batch':
+        if (request.method === 'POST') {
+          return handleBatchRemoval(request, env);
+        }
+        break;
+
+      case '/api/jobs':
+        if (request.method === 'POST') {
+          return handleJobCreation(request, env, ctx);
+        }
+        break;
+
+      case '/api/detect':
+        if (request.method === 'POST') {
+          return handleDetection(request, env);
+        }
+        break;
+
+      case '/api/evaluate':
+        if (request.method === 'POST') {
+          return handleEvaluation(request, env);
+        }
+        break;
+
+      case '/api/templates':
+        if (request.method === 'POST') {
+          return handleTemplateCreation(request, env);
         }
         break;
 
@@ -39,7 +143,8 @@ export default {
           status: 'healthy',
           timestamp: Date.now(),
           deployment: 'cloudflare-workers',
-          algorithm: 'comprehensive'
+          algorithm: 'comprehensive',
+          algorithms: ALGORITHMS
         }), {
           headers: {
             'Content-Type': 'application/json',
@@ -52,755 +157,1537 @@ export default {
   },
 };
 
-async function handleWatermarkRemoval(request, env) {
+// Durable Object holding one /api/jobs job (the JOBS binding). Jobs run from its alarm, so they have
+// the object's CPU budget rather than a client request's; see src/jobs.js
+export class RemovalJob {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    return handleJobObjectRequest(this.state, request);
+  }
+
+  async alarm() {
+    await loadKernels();
+    await runJobAlarm(this.state, (body, contentType, onStage) => runRemovalJob(body, contentType, this.env, onStage));
+  }
+}
+
+async function handleWatermarkRemoval(request, env, ctx) {
   console.log('=== WATERMARK REMOVAL REQUEST RECEIVED ===');
   try {
     const formData = await request.formData();
-    const imageFile = formData.get('image');
-    const watermarkText = formData.get('text') || 'SAMPLE';
-    console.log('Image file received:', !!imageFile);
-    console.log('Watermark text:', watermarkText);
+    const removal = await readRemovalRequest(formData, env);
+    if (removal.errorResponse) return removal.errorResponse;
+
+    // Results are cached by everything that determines them; the ETag is the cache key, so a
+    // matching If-None-Match is answered without processing or a cache lookup. Cache-Control:
+    // no-cache skips the lookup and processes afresh, replacing the stored result; the ETag check
+    // still applies, since the key alone decides the result (fetch sends no-cache with conditionals).
+    const revalidate = /\bno-cache\b/i.test(request.headers.get('Cache-Control') || '');
+    const key = await resultCacheKey(await describeRemoval(removal, formData));
+    const etag = resultETag(key);
+    const cacheHeaders = {
+      'ETag': etag,
+      'X-Watermarknt-Cache': 'hit',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Expose-Headers': 'ETag, X-Watermarknt-Cache',
+    };
+    const ifNoneMatch = request.headers.get('If-None-Match');
+    if (matchesETag(ifNoneMatch, etag)) {
+      console.log('Result unchanged (If-None-Match)');
+      return new Response(null, { status: 304, headers: cacheHeaders });
+    }
 
-    if (!imageFile) {
-      return new Response(JSON.stringify({ error: 'No image file provided' }), {
+    // If-None-Match: * only matches a stored result, so it looks the key up even under no-cache
+    const wildcard = matchesETag(ifNoneMatch, etag, true);
+    const cached = revalidate && !wildcard ? null : await readCachedResult(key);
+    if (cached && wildcard) {
+      console.log('Result stored (If-None-Match: *)');
+      if (cached.body) await cached.body.cancel();
+      return new Response(null, { status: 304, headers: cacheHeaders });
+    }
+    if (cached && !revalidate) {
+      console.log('Serving cached result', key);
+      return withHeaders(cached, cacheHeaders);
+    }
+
+    const { response, report } = await processRemoval(removal);
+    // A pipeline failure returns the original image, which mustn't be served again as a result
+    if (!report || report.fallbacks.some(fallback => fallback.stage === 'processing')) {
+      return withHeaders(response, { 'X-Watermarknt-Cache': 'bypass' });
+    }
+
+    const stored = cacheResult(key, response);
+    if (ctx && ctx.waitUntil) ctx.waitUntil(stored);
+    else await stored;
+    return withHeaders(response, { ...cacheHeaders, 'X-Watermarknt-Cache': 'miss' });
+  } catch (error) {
+    return removalErrorResponse(error);
+  }
+}
+
+// Everything in a removal request that affects its response, for the result cache key
+async function describeRemoval({ imageFile, responseMode, options }, formData) {
+  const maskField = formData.get('mask');
+  return {
+    image: await imageFile.arrayBuffer(),
+    name: imageFile.name,
+    response: responseMode,
+    text: options.watermarkText,
+    algorithm: options.algorithm,
+    params: options.params,
+    mask: typeof maskField === 'string' ? maskField.trim() : maskField ? await maskField.arrayBuffer() : null,
+    template: options.template ? options.template.id : null,
+    references: options.references,
+    output: options.output,
+    quality: options.quality,
+    stripMetadata: options.stripMetadata,
+    keepMetadata: options.keepMetadata,
+    strict: options.strict,
+    maxPixels: options.limits.maxPixels,
+    tilePixels: options.limits.tilePixels,
+  };
+}
+
+// The response with headers added; Access-Control-Expose-Headers lists are merged
+function withHeaders(response, extra) {
+  const headers = new Headers(response.headers);
+  for (const [name, value] of Object.entries(extra)) {
+    const exposed = name === 'Access-Control-Expose-Headers' && headers.get(name);
+    headers.set(name, exposed ? `${exposed}, ${value}` : value);
+  }
+  return new Response(response.body, { status: response.status, headers });
+}
+
+// The image, response mode and options of a removal request. Returns { imageFile, responseMode, options },
+// or { errorResponse } for invalid input; throws file_too_large for an oversized upload
+async function readRemovalRequest(formData, env) {
+  const imageFile = formData.get('image');
+  console.log('Image file received:', !!imageFile);
+
+  if (!imageFile) {
+    return {
+      errorResponse: new Response(JSON.stringify({ error: 'No image file provided' }), {
         status: 400,
         headers: { 'Content-Type': 'application/json' },
-      });
-    }
+      }),
+    };
+  }
 
-    // Convert file to ArrayBuffer for processing
-    console.log('Converting image to ArrayBuffer...');
-    const imageBuffer = await imageFile.arrayBuffer();
-    console.log('Image buffer size:', imageBuffer.byteLength);
+  const responseMode = formData.get('response') || 'image';
+  if (!RESPONSE_MODES.includes(responseMode)) {
+    return {
+      errorResponse: new Response(JSON.stringify({
+        error: `Unknown response mode: ${responseMode}`,
+        modes: RESPONSE_MODES
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      }),
+    };
+  }
 
-    // Process image with watermark removal
-    console.log('Calling processImageBasic...');
-    const result = await processImageBasic(imageBuffer, watermarkText);
-    console.log('Processing completed, result size:', result.byteLength);
+  const { options, errorResponse } = await readRemovalOptions(formData, env);
+  if (errorResponse) return { errorResponse };
+  checkUploadSize(imageFile.name, imageFile.size, options.limits);
 
-    return new Response(result, {
+  return { imageFile, responseMode, options };
+}
+
+// Processes a removal request's form. Returns { response, report }, where report is null when the
+// response is an error; processing errors and failures are thrown for removalErrorResponse.
+// onStage(stage) is awaited as each pipeline stage finishes.
+async function removeFromForm(formData, env, onStage = null) {
+  const removal = await readRemovalRequest(formData, env);
+  if (removal.errorResponse) return { response: removal.errorResponse, report: null };
+  return processRemoval(removal, onStage);
+}
+
+// Runs a request read by readRemovalRequest; returns { response, report } as removeFromForm does
+async function processRemoval({ imageFile, responseMode, options }, onStage = null) {
+
+  // Convert file to ArrayBuffer for processing
+  console.log('Converting image to ArrayBuffer...');
+  const imageBuffer = await imageFile.arrayBuffer();
+  console.log('Image buffer size:', imageBuffer.byteLength);
+
+  // Process image with watermark removal
+  console.log('Calling processImage...');
+  const result = await processImage(imageBuffer, { ...options, onStage });
+  console.log('Processing completed, result size:', result.bytes.byteLength);
+
+  // An unrecognised input returned unprocessed keeps its own name and a generic type
+  const format = OUTPUT_FORMATS[result.format];
+  const filename = `processed_${format ? replaceExtension(imageFile.name, result.format) : imageFile.name}`;
+  const contentType = format ? format.contentType : 'application/octet-stream';
+
+  if (responseMode === 'json') {
+    return {
+      response: new Response(JSON.stringify({
+        image: encodeBase64(new Uint8Array(result.bytes)),
+        contentType,
+        filename,
+        width: result.width,
+        height: result.height,
+        report: result.report,
+      }), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+      }),
+      report: result.report,
+    };
+  }
+
+  return {
+    response: new Response(result.bytes, {
       headers: {
-        'Content-Type': 'image/png',
+        'Content-Type': contentType,
         'Access-Control-Allow-Origin': '*',
-        'Content-Disposition': `attachment; filename="processed_${imageFile.name}"`,
+        'Access-Control-Expose-Headers': ['Content-Disposition', ...Object.keys(reportHeaders(result.report))].join(', '),
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        ...reportHeaders(result.report),
       },
-    });
+    }),
+    report: result.report,
+  };
+}
 
-  } catch (error) {
-    console.error('Error processing image:', error);
-    return new Response(JSON.stringify({
-      error: 'Failed to process image',
-      details: error.message
-    }), {
-      status: 500,
+function removalErrorResponse(error) {
+  if (isProcessingError(error)) return processingErrorResponse(error);
+  console.error('Error processing image:', error);
+  return new Response(JSON.stringify({
+    error: 'Failed to process image',
+    details: error.message
+  }), {
+    status: 500,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    },
+  });
+}
+
+// Queues a removal request, validated as /api/remove-watermark would, as a background job
+async function handleJobCreation(request, env, ctx) {
+  console.log('=== JOB REQUEST RECEIVED ===');
+  try {
+    // The form is kept as it was sent and parsed again when the job runs
+    const body = await request.arrayBuffer();
+    const contentType = request.headers.get('Content-Type') || '';
+    const formData = await new Request(request.url, { method: 'POST', headers: { 'Content-Type': contentType }, body }).formData();
+
+    const { errorResponse } = await readRemovalRequest(formData, env);
+    if (errorResponse) return errorResponse;
+
+    const job = await createJob(env, ctx, body, contentType, (input, inputType, onStage) => runRemovalJob(input, inputType, env, onStage));
+    console.log(`Job ${job.id} queued`);
+    return new Response(JSON.stringify(job), {
+      status: 202,
       headers: {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+        'Access-Control-Allow-Origin': '*',
+        'Location': `/api/jobs/${job.id}`,
       },
     });
+  } catch (error) {
+    return removalErrorResponse(error);
   }
 }
 
-async function processImageBasic(imageBuffer, watermarkText) {
-  console.log('=== PROCESSING IMAGE BASIC CALLED ===');
-  console.log('Applying watermark removal using Photon built-ins');
-
+// A stored job's form, run through the same code as a synchronous request
+async function runRemovalJob(body, contentType, env, onStage) {
   try {
-    const uint8Array = new Uint8Array(imageBuffer);
-    const photonImage = PhotonImage.new_from_byteslice(uint8Array);
+    const formData = await new Request('https://job/', { method: 'POST', headers: { 'Content-Type': contentType }, body }).formData();
+    return await removeFromForm(formData, env, onStage);
+  } catch (error) {
+    return { response: removalErrorResponse(error), report: null };
+  }
+}
 
-    console.log('Applying watermark removal strategy with visible changes...');
+async function handleJobStatus(id, env) {
+  const job = await getJob(env, id);
+  if (!job) {
+    return new Response(JSON.stringify({ error: `Job not found: ${id}` }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
 
-    // Strategy: Use Photon functions to reduce watermark visibility
+  return new Response(JSON.stringify(job), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Cache-Control': 'no-store',
+    },
+  });
+}
 
-    // 1. Slight blur to soften watermark edges
-    gaussian_blur(photonImage, 1.5);
-    console.log('Applied light blur to soften watermark');
+// The finished job's image (or its error), as /api/remove-watermark would have returned it
+async function handleJobResult(id, env) {
+  const job = await getJob(env, id);
+  if (!job) {
+    return new Response(JSON.stringify({ error: `Job not found: ${id}` }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
 
-    // 2. Reduce brightness to dim white watermarks
-    adjust_brightness(photonImage, -25);
-    console.log('Applied brightness reduction to dim watermarks');
+  const result = job.status === 'done' || job.status === 'failed' ? await getJobResult(env, id) : null;
+  if (!result) {
+    return new Response(JSON.stringify({
+      error: `Job ${job.status}, result not ready`,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress
+    }), {
+      status: 409,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+  return result;
+}
+
+// Options shared by single and batch removal. Returns { options }, or { errorResponse } for invalid input;
+// throws file_too_large for an oversized reference image
+async function readRemovalOptions(formData, env) {
+  const watermarkText = formData.get('text') || 'SAMPLE';
+  const algorithm = formData.get('algorithm') || DEFAULT_ALGORITHM;
+  const maskField = formData.get('mask');
+  const referenceFiles = formData.getAll('reference').filter(file => typeof file !== 'string');
+  const templateId = formData.get('template');
+  const outputField = formData.get('output');
+  const qualityField = formData.get('quality');
+  const stripField = formData.get('strip_metadata');
+  const keepField = formData.get('keep_metadata');
+  const strictField = formData.get('strict');
+  const paramsField = formData.get('params');
+  console.log('Watermark text:', watermarkText);
+  console.log('Algorithm:', algorithm);
+  console.log('User mask received:', !!maskField);
+  console.log('Reference images:', referenceFiles.length);
+  console.log('Template:', templateId || 'none');
+  console.log('Output format:', outputField || 'same as input');
+  console.log('Detection params:', paramsField || 'defaults');
+
+  if (!ALGORITHMS.includes(algorithm)) {
+    return {
+      errorResponse: new Response(JSON.stringify({
+        error: `Unknown algorithm: ${algorithm}`,
+        algorithms: ALGORITHMS
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      }),
+    };
+  }
+
+  let output, stripMetadata, keepMetadata, strict, params;
+  try {
+    output = parseOutputOptions(outputField, qualityField);
+    params = parseDetectionParams(paramsField);
+    strict = parseFlag('strict', strictField);
+    stripMetadata = parseFlag('strip_metadata', stripField);
+    keepMetadata = parseFlag('keep_metadata', keepField);
+    if (stripMetadata && keepMetadata) {
+      throw new Error('strip_metadata and keep_metadata cannot both be set');
+    }
+  } catch (error) {
+    return {
+      errorResponse: new Response(JSON.stringify({
+        error: 'Invalid options',
+        details: error.message
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      }),
+    };
+  }
 
-    // 3. Desaturate to reduce color watermarks
-    desaturate_hsl(photonImage);
-    console.log('Applied desaturation');
+  // A user-supplied mask replaces automatic detection
+  const limits = readLimits(env);
+  let userMask = null;
+  if (maskField) {
+    if (typeof maskField !== 'string') {
+      checkUploadSize(maskField.name || 'mask', maskField.size, limits);
+    }
+    try {
+      userMask = await parseMaskUpload(maskField, limits.maxPixels);
+    } catch (error) {
+      throw isProcessingError(error) ? error : processingError('invalid_mask', error.message);
+    }
+  }
 
-    // 4. Another blur pass for smoothing
-    gaussian_blur(photonImage, 1.0);
-    console.log('Applied final smoothing blur');
+  // A stored template replaces detection, and supplies the overlay for `reverse`
+  let template = null;
+  if (templateId) {
+    template = await loadTemplate(env, templateId);
+    if (!template) {
+      return {
+        errorResponse: new Response(JSON.stringify({ error: `Template not found: ${templateId}` }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' },
+        }),
+      };
+    }
+  }
 
-    // 5. Slight brightness adjustment to compensate
-    adjust_brightness(photonImage, 10);
-    console.log('Applied brightness compensation');
+  // References are decoded mid-pipeline, where a bad one is skipped; an oversized one is refused here
+  const references = [];
+  for (const file of referenceFiles) {
+    checkUploadSize(file.name, file.size, limits);
+    const buffer = await file.arrayBuffer();
+    checkImagePixels(file.name, buffer, limits);
+    references.push(buffer);
+  }
 
-    const resultBytes = photonImage.get_bytes();
-    photonImage.free();
+  return {
+    options: {
+      algorithm, watermarkText, params, userMask, references, template,
+      output: output.format, quality: output.quality, stripMetadata, keepMetadata, strict, limits,
+    },
+  };
+}
 
-    console.log('Watermark removal complete using Photon built-ins');
-    return resultBytes.buffer;
+// Throws file_too_large for an upload over the configured byte limit
+function checkUploadSize(name, size, limits) {
+  if (size > limits.maxBytes) {
+    throw processingError('file_too_large', `${name} is ${size} bytes, over the ${limits.maxBytes} byte limit`,
+      { size, maxBytes: limits.maxBytes });
+  }
+}
 
+// Throws image_too_large for an image whose header is over the megapixel limit; anything else
+// wrong with it is left for decoding to report
+function checkImagePixels(name, buffer, limits) {
+  try {
+    readImageSize(buffer, limits.maxPixels);
   } catch (error) {
-    console.error('Photon processing failed:', error);
-    return imageBuffer;
+    if (error.code === 'image_too_large') {
+      throw processingError(error.code, `${name}: ${error.message}`, error.extra);
+    }
   }
 }
 
-async function applyWatermarkRemoval(photonImage, watermarkText) {
-  console.log('Applying aggressive watermark removal algorithm');
+// Form booleans: true/false, 1/0, yes/no or on/off; absent is false
+function parseFlag(name, value) {
+  if (value === null || value === '') return false;
+  const normalized = String(value).toLowerCase();
+  if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+  if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+  throw new Error(`${name} must be true or false, got ${value}`);
+}
 
-  // Apply comprehensive watermark removal using multiple techniques (modifies in-place)
-  applyComprehensiveWatermarkRemoval(photonImage);
+// Several `image` fields, or a ZIP archive of images, in; a ZIP of the processed images and a
+// manifest.json out. Each file is processed on its own, so one bad file is reported, not fatal.
+async function handleBatchRemoval(request, env) {
+  console.log('=== BATCH WATERMARK REMOVAL REQUEST RECEIVED ===');
+  try {
+    const formData = await request.formData();
+    const uploads = formData.getAll('image').filter(file => typeof file !== 'string');
+    console.log('Uploaded files:', uploads.length);
+
+    const { options, errorResponse } = await readRemovalOptions(formData, env);
+    if (errorResponse) return errorResponse;
+
+    // Archives are expanded into their entries; a broken archive becomes a single failed item.
+    // Entries are inflated one at a time as they're processed, against what's left of the batch's
+    // inflation budget.
+    const items = [];
+    let inflatedBytes = 0;
+    for (const file of uploads) {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      if (!isZip(bytes)) {
+        items.push({
+          name: file.name,
+          read: async () => {
+            checkUploadSize(file.name, bytes.length, options.limits);
+            return bytes;
+          },
+        });
+        continue;
+      }
 
-  // Return the same image (which has been modified)
-  return photonImage;
-}
+      try {
+        for (const entry of readZip(bytes)) {
+          const base = entry.name.split('/').pop();
+          if (entry.name.startsWith('__MACOSX/') || base.startsWith('.')) continue; // Archiver metadata
+          items.push({
+            name: entry.name,
+            read: async () => {
+              checkUploadSize(entry.name, entry.size, options.limits);
+              const remaining = MAX_BATCH_INFLATED_BYTES - inflatedBytes;
+              if (entry.size > remaining) {
+                throw processingError('file_too_large',
+                  `${entry.name} would take the batch's archive entries past ${MAX_BATCH_INFLATED_BYTES} bytes`,
+                  { size: entry.size, maxBatchBytes: MAX_BATCH_INFLATED_BYTES });
+              }
+              const data = await entry.read(Math.min(options.limits.maxBytes, remaining));
+              inflatedBytes += data.length;
+              return data;
+            },
+          });
+        }
+      } catch (error) {
+        items.push({ name: file.name, read: async () => { throw error; } });
+      }
+    }
 
-function applyComprehensiveWatermarkRemoval(photonImage) {
-  console.log('Starting server-side inpainting watermark removal...');
+    if (items.length === 0) {
+      return new Response(JSON.stringify({ error: 'No image files provided' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    if (items.length > MAX_BATCH_FILES) {
+      return new Response(JSON.stringify({
+        error: `Too many images: at most ${MAX_BATCH_FILES} per batch, got ${items.length}`
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
 
-  try {
-    const width = photonImage.get_width();
-    const height = photonImage.get_height();
-    console.log(`Processing image of size: ${width}x${height}`);
+    const outputs = [];
+    const usedNames = new Set(['manifest.json']);
+    const manifest = {
+      algorithm: options.algorithm,
+      total: items.length,
+      succeeded: 0,
+      failed: 0,
+      files: [],
+    };
+
+    for (const item of items) {
+      console.log(`Batch item ${manifest.files.length + 1}/${items.length}: ${item.name}`);
+      try {
+        const bytes = await item.read();
+        const result = await removeWatermark(bytes, options);
+        const output = uniqueName(replaceExtension(item.name, result.format), usedNames);
+        outputs.push({ name: output, data: new Uint8Array(result.bytes) });
+        manifest.files.push({
+          name: item.name,
+          status: 'ok',
+          output,
+          format: result.format,
+          width: result.width,
+          height: result.height,
+          detection: result.report.detection.method,
+          maskedPixels: result.report.maskedPixels,
+          coverage: result.report.coverage,
+          fallbacks: result.report.fallbacks,
+        });
+        manifest.succeeded++;
+      } catch (error) {
+        console.error(`Batch item failed: ${item.name}`, error);
+        manifest.files.push({ name: item.name, status: 'error', code: error.code, error: error.message });
+        manifest.failed++;
+      }
+    }
 
-    // Apply inpainting using manual pixel manipulation with safer memory handling
-    applyInpaintingWithSafeMemory(photonImage, width, height);
+    console.log(`Batch complete: ${manifest.succeeded} succeeded, ${manifest.failed} failed`);
+    outputs.push({ name: 'manifest.json', data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+
+    return new Response(writeZip(outputs), {
+      headers: {
+        'Content-Type': 'application/zip',
+        'Access-Control-Allow-Origin': '*',
+        'Content-Disposition': 'attachment; filename="processed_images.zip"',
+      },
+    });
 
-    console.log('Server-side inpainting completed successfully');
   } catch (error) {
-    console.error('Error during watermark removal:', error);
-    // Fallback to minimal processing
-    console.log('Applying minimal fallback processing...');
-    gaussian_blur(photonImage, 0.5);
+    if (isProcessingError(error)) return processingErrorResponse(error);
+    console.error('Error processing batch:', error);
+    return new Response(JSON.stringify({
+      error: 'Failed to process batch',
+      details: error.message
+    }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+    });
   }
-
-  return photonImage;
 }
 
-function applyInpaintingWithSafeMemory(photonImage, width, height) {
-  // Get a safe copy of pixel data
-  const pixels = photonImage.get_raw_pixels();
-
-  // Create a copy to avoid memory issues
-  const originalPixels = new Uint8Array(pixels.length);
-  for (let i = 0; i < pixels.length; i++) {
-    originalPixels[i] = pixels[i];
+// Archive entries must be unique; "card.jpg" and "card.png" would both become "card.png"
+function uniqueName(name, usedNames) {
+  let candidate = name;
+  for (let n = 2; usedNames.has(candidate); n++) {
+    candidate = name.replace(/(\.[^./]*)?$/, `_${n}$1`);
   }
+  usedNames.add(candidate);
+  return candidate;
+}
 
-  // Detect watermark regions using the copied data
-  const watermarkMask = detectWatermarkRegions(originalPixels, width, height);
+async function handleTemplateCreation(request, env) {
+  console.log('=== TEMPLATE ESTIMATION REQUEST RECEIVED ===');
+  try {
+    const formData = await request.formData();
+    const imageFiles = formData.getAll('image').filter(file => typeof file !== 'string');
+    console.log('Image files received:', imageFiles.length);
 
-  // Apply inpainting by modifying the original pixels array
-  // This should work since we're modifying the reference returned by get_raw_pixels()
-  const inpaintRadius = 8; // Larger radius for better inpainting of bold text
+    if (imageFiles.length > MAX_TEMPLATE_IMAGES) {
+      return new Response(JSON.stringify({
+        error: `Too many images: at most ${MAX_TEMPLATE_IMAGES} per template`
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
 
-  for (let y = inpaintRadius; y < height - inpaintRadius; y++) {
-    for (let x = inpaintRadius; x < width - inpaintRadius; x++) {
-      const idx = y * width + x;
-
-      if (watermarkMask[idx] > 0) { // This pixel is part of a watermark
-        const pixelIdx = idx * 4;
-
-        // Collect nearby non-watermark pixels for inpainting
-        let sumR = 0, sumG = 0, sumB = 0, count = 0;
-
-        for (let dy = -inpaintRadius; dy <= inpaintRadius; dy++) {
-          for (let dx = -inpaintRadius; dx <= inpaintRadius; dx++) {
-            const ny = y + dy;
-            const nx = x + dx;
-            const nIdx = ny * width + nx;
-
-            // Only use non-watermark pixels for inpainting
-            if (watermarkMask[nIdx] === 0) {
-              const nPixelIdx = nIdx * 4;
-              sumR += originalPixels[nPixelIdx];
-              sumG += originalPixels[nPixelIdx + 1];
-              sumB += originalPixels[nPixelIdx + 2];
-              count++;
-            }
-          }
-        }
+    // The set's size is checked on the headers, before any image is decoded
+    const limits = readLimits(env);
+    const uploads = [];
+    const skipped = [];
+    let totalPixels = 0;
+    let size = null;
+    for (const file of imageFiles) {
+      if (file.size > limits.maxBytes) {
+        skipped.push({ name: file.name, reason: `File is over the ${limits.maxBytes} byte limit` });
+        continue;
+      }
+      const buffer = await file.arrayBuffer();
+      try {
+        const { width, height } = readImageSize(buffer, limits.maxPixels);
+        totalPixels += width * height;
+        size = size || { width, height };
+        uploads.push({ name: file.name, buffer });
+      } catch (error) {
+        skipped.push({ name: file.name, reason: isProcessingError(error) ? error.message : 'Image could not be decoded' });
+      }
+    }
+    // The template takes the first image's size; the others are budgeted whole until decoding
+    // finds which of them match it
+    const memoryBytes = size ? templateMemoryBytes(totalPixels, size.width, size.height) : 0;
+    if (memoryBytes > MAX_TEMPLATE_BYTES) {
+      throw processingError('image_too_large',
+        `The images hold ${(totalPixels / 1e6).toFixed(1)} megapixels in all, and a template from them needs ` +
+        `${Math.ceil(memoryBytes / 1048576)} MB, over the ${MAX_TEMPLATE_BYTES / 1048576} MB limit per template`,
+        { totalPixels, memoryBytes, maxTemplateBytes: MAX_TEMPLATE_BYTES });
+    }
 
-        // Replace watermark pixel with average of surrounding pixels
-        if (count > 0) {
-          pixels[pixelIdx] = Math.round(sumR / count);
-          pixels[pixelIdx + 1] = Math.round(sumG / count);
-          pixels[pixelIdx + 2] = Math.round(sumB / count);
-          // Keep original alpha
+    // Every image must match the first decodable one; others are reported back, not fatal
+    const images = [];
+    for (const file of uploads) {
+      try {
+        const image = decodeImage(file.buffer, limits.maxPixels);
+        if (images.length > 0 && (image.width !== images[0].width || image.height !== images[0].height)) {
+          skipped.push({ name: file.name, reason: `Size ${image.width}x${image.height} differs from ${images[0].width}x${images[0].height}` });
+        } else {
+          images.push(image);
         }
+      } catch (error) {
+        skipped.push({ name: file.name, reason: isProcessingError(error) ? error.message : 'Image could not be decoded' });
       }
     }
+
+    let template;
+    try {
+      template = estimateTemplate(images);
+    } catch (error) {
+      return new Response(JSON.stringify({ error: error.message, skipped }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    const record = await saveTemplate(env, template, images.length);
+    console.log('Template stored:', record.id);
+
+    return new Response(JSON.stringify({ ...describeTemplate(record), skipped }), {
+      status: 201,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+    });
+
+  } catch (error) {
+    if (isProcessingError(error)) return processingErrorResponse(error);
+    console.error('Error estimating template:', error);
+    return new Response(JSON.stringify({
+      error: 'Failed to estimate template',
+      details: error.message
+    }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+    });
   }
 }
 
-function applyInpaintingToImageBytes(imageBytes, width, height) {
-  // Create a temporary PhotonImage to get pixel data
-  const tempImage = PhotonImage.new_from_byteslice(new Uint8Array(imageBytes));
-  const pixelData = tempImage.get_raw_pixels();
+async function handleTemplateLookup(id, url, env) {
+  const template = await loadTemplate(env, id);
+  if (!template) {
+    return new Response(JSON.stringify({ error: `Template not found: ${id}` }), {
+      status: 404,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+    });
+  }
+
+  // ?format=mask returns the template's mask as a white-on-black PNG
+  if (url.searchParams.get('format') === 'mask') {
+    const maskImage = new PhotonImage(renderMaskImage(template.mask), template.width, template.height);
+    const bytes = maskImage.get_bytes();
+    maskImage.free();
+    return new Response(bytes, {
+      headers: {
+        'Content-Type': 'image/png',
+        'Access-Control-Allow-Origin': '*'
+      },
+    });
+  }
+
+  return new Response(JSON.stringify(describeTemplate(template)), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    },
+  });
+}
+
+async function handleDetection(request, env) {
+  console.log('=== WATERMARK DETECTION REQUEST RECEIVED ===');
+  try {
+    const formData = await request.formData();
+    const imageFile = formData.get('image');
+    const watermarkText = formData.get('text') || 'SAMPLE';
+    const algorithm = formData.get('algorithm') || DEFAULT_ALGORITHM;
+    const format = formData.get('format') || 'mask';
+    const paramsField = formData.get('params');
+    console.log('Image file received:', !!imageFile);
+    console.log('Watermark text:', watermarkText);
+    console.log('Format:', format);
+    console.log('Detection params:', paramsField || 'defaults');
+
+    if (!imageFile) {
+      return new Response(JSON.stringify({ error: 'No image file provided' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // The algorithm only matters when detection falls back to the brightness heuristics
+    if (!ALGORITHMS.includes(algorithm)) {
+      return new Response(JSON.stringify({
+        error: `Unknown algorithm: ${algorithm}`,
+        algorithms: ALGORITHMS
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
 
-  // Detect watermark regions
-  const watermarkMask = detectWatermarkRegions(pixelData, width, height);
+    if (!DETECT_FORMATS.includes(format)) {
+      return new Response(JSON.stringify({
+        error: `Unknown format: ${format}`,
+        formats: DETECT_FORMATS
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
 
-  // Apply inpainting to pixel data
-  applyInpaintingToPixelData(pixelData, watermarkMask, width, height);
+    let params;
+    try {
+      params = parseDetectionParams(paramsField);
+    } catch (error) {
+      return new Response(JSON.stringify({
+        error: 'Invalid options',
+        details: error.message
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    const limits = readLimits(env);
+    checkUploadSize(imageFile.name, imageFile.size, limits);
+    const { pixels, width, height } = decodeImage(await imageFile.arrayBuffer(), limits.maxPixels);
+    const tiling = planTiling(width, height, limits.tilePixels);
+    const detection = tiling
+      ? detectReducedWatermarkMask(pixels, width, height, tiling.scale, { algorithm, watermarkText, params })
+      : detectWatermarkMask(pixels, width, height, { algorithm, watermarkText, params });
+
+    if (format === 'json') {
+      const maskedPixels = countMaskPixels(detection.mask);
+      return new Response(JSON.stringify({
+        width,
+        height,
+        method: detection.method,
+        match: detection.match,
+        bbox: getMaskBoundingBox(detection.mask, width, height),
+        maskedPixels,
+        coverage: Math.round(maskedPixels / (width * height) * 10000) / 100
+      }), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+      });
+    }
+
+    const output = format === 'overlay'
+      ? renderMaskOverlay(pixels, detection.mask)
+      : renderMaskImage(detection.mask);
+    const outputImage = new PhotonImage(output, width, height);
+    const result = outputImage.get_bytes();
+    outputImage.free();
+
+    return new Response(result, {
+      headers: {
+        'Content-Type': 'image/png',
+        'Access-Control-Allow-Origin': '*',
+        'Content-Disposition': `inline; filename="${format}_${replaceExtension(imageFile.name, 'png')}"`,
+      },
+    });
+
+  } catch (error) {
+    if (isProcessingError(error)) return processingErrorResponse(error);
+    console.error('Error detecting watermark:', error);
+    return new Response(JSON.stringify({
+      error: 'Failed to detect watermark',
+      details: error.message
+    }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+    });
+  }
+}
 
-  // Get the modified image bytes
-  const modifiedBytes = tempImage.get_bytes();
-  tempImage.free();
+// White-on-black RGBA rendering of a mask
+function renderMaskImage(mask) {
+  const output = new Uint8Array(mask.length * 4);
+  for (let i = 0; i < mask.length; i++) {
+    const value = mask[i] > 0 ? 255 : 0;
+    output[i * 4] = value;
+    output[i * 4 + 1] = value;
+    output[i * 4 + 2] = value;
+    output[i * 4 + 3] = 255;
+  }
+  return output;
+}
 
-  return modifiedBytes.buffer;
+// The image with masked pixels blended halfway towards red
+function renderMaskOverlay(pixels, mask) {
+  const output = new Uint8Array(pixels);
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] > 0) {
+      const p = i * 4;
+      output[p] = (output[p] + 255) >> 1;
+      output[p + 1] = output[p + 1] >> 1;
+      output[p + 2] = output[p + 2] >> 1;
+      output[p + 3] = 255;
+    }
+  }
+  return output;
 }
 
-function applyInpaintingToPixelData(pixelData, watermarkMask, width, height) {
-  const inpaintRadius = 5;
+// Runs removal as /api/remove-watermark would and scores the result: against a clean `ground_truth`
+// image when one is sent, and always by the no-reference metrics (see src/quality-metrics.js)
+async function handleEvaluation(request, env) {
+  console.log('=== EVALUATION REQUEST RECEIVED ===');
+  try {
+    const formData = await request.formData();
+    const removal = await readRemovalRequest(formData, env);
+    if (removal.errorResponse) return removal.errorResponse;
+    const { imageFile, options } = removal;
+
+    const groundTruthFile = formData.get('ground_truth');
+    console.log('Ground truth received:', !!groundTruthFile);
+    if (groundTruthFile && typeof groundTruthFile === 'string') {
+      return new Response(JSON.stringify({
+        error: 'Invalid ground truth',
+        details: 'ground_truth must be an image file'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
 
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = y * width + x;
+    const imageBuffer = await imageFile.arrayBuffer();
+    const input = decodeImage(imageBuffer, options.limits.maxPixels);
+    let clean = null;
+    if (groundTruthFile) {
+      checkUploadSize(groundTruthFile.name, groundTruthFile.size, options.limits);
+      clean = decodeImage(await groundTruthFile.arrayBuffer(), options.limits.maxPixels);
+      if (clean.width !== input.width || clean.height !== input.height) {
+        return new Response(JSON.stringify({
+          error: 'Invalid ground truth',
+          details: `ground_truth is ${clean.width}x${clean.height}; expected ${input.width}x${input.height}`
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+    }
 
-      if (watermarkMask[idx] > 0) { // This pixel is part of a watermark
-        const pixelIdx = idx * 4;
+    // Scored as encoded, so lossy output counts against it. Metadata can't change the pixels,
+    // and left out it can't re-orient them when the output is decoded again.
+    const result = await removeWatermark(imageBuffer, { ...options, stripMetadata: true, keepMetadata: false });
+    const output = decodeImage(result.bytes, options.limits.maxPixels);
+    const { width, height } = input;
+    const { mask } = result;
+
+    const metrics = {
+      fullReference: clean && {
+        output: scoreAgainst(clean.pixels, output.pixels, mask, width, height),
+        input: scoreAgainst(clean.pixels, input.pixels, mask, width, height),
+        residualEnergy: roundMetric(residualEnergy(input.pixels, output.pixels, clean.pixels, mask)),
+      },
+      outsideMask: roundMetrics(outsideMaskChange(input.pixels, output.pixels, mask)),
+      edgeResidue: roundMetrics(edgeResidue(input.pixels, output.pixels, mask, width, height)),
+      boundaryEdgeStrength: roundMetrics(boundaryEdgeStrength(input.pixels, output.pixels, mask, width, height)),
+    };
+    console.log('Evaluation metrics:', JSON.stringify(metrics));
 
-        // Collect nearby non-watermark pixels for inpainting
-        let sumR = 0, sumG = 0, sumB = 0, count = 0;
+    return new Response(JSON.stringify({
+      algorithm: options.algorithm,
+      width,
+      height,
+      groundTruth: !!clean,
+      metrics,
+      report: result.report,
+    }), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+    });
+  } catch (error) {
+    return removalErrorResponse(error);
+  }
+}
 
-        for (let dy = -inpaintRadius; dy <= inpaintRadius; dy++) {
-          for (let dx = -inpaintRadius; dx <= inpaintRadius; dx++) {
-            const ny = y + dy;
-            const nx = x + dx;
+// PSNR (capped, since identical pixels score Infinity) and SSIM of an image against the clean one,
+// over the whole image and over the mask's bounding box
+function scoreAgainst(clean, pixels, mask, width, height) {
+  const image = { x: 0, y: 0, width, height };
+  const region = getMaskBoundingBox(mask, width, height) || image;
+  return {
+    psnr: roundMetric(Math.min(psnr(pixels, clean, width, image), MAX_PSNR)),
+    ssim: roundMetric(ssim(pixels, clean, width, image)),
+    maskPsnr: roundMetric(Math.min(psnr(pixels, clean, width, region), MAX_PSNR)),
+    maskSsim: roundMetric(ssim(pixels, clean, width, region)),
+  };
+}
 
-            if (ny >= 0 && ny < height && nx >= 0 && nx < width) {
-              const nIdx = ny * width + nx;
+function roundMetrics(metrics) {
+  return Object.fromEntries(Object.entries(metrics).map(([name, value]) => [name, roundMetric(value)]));
+}
 
-              // Only use non-watermark pixels for inpainting
-              if (watermarkMask[nIdx] === 0) {
-                const nPixelIdx = nIdx * 4;
-                sumR += pixelData[nPixelIdx];
-                sumG += pixelData[nPixelIdx + 1];
-                sumB += pixelData[nPixelIdx + 2];
-                count++;
-              }
-            }
-          }
-        }
+function roundMetric(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
 
-        // Replace watermark pixel with average of surrounding pixels
-        if (count > 0) {
-          pixelData[pixelIdx] = Math.round(sumR / count);
-          pixelData[pixelIdx + 1] = Math.round(sumG / count);
-          pixelData[pixelIdx + 2] = Math.round(sumB / count);
-          // Keep original alpha (pixelData[pixelIdx + 3])
-        }
-      }
+// Returns { bytes, format, width, height, report }. Processing errors (decode failures, empty masks...)
+// are thrown; if the pipeline itself fails, the input comes back unchanged with its sniffed format and
+// the failure in the report, or in strict mode a processing_failed error is thrown
+async function processImage(imageBuffer, options) {
+  try {
+    return await removeWatermark(imageBuffer, options);
+  } catch (error) {
+    if (isProcessingError(error)) throw error;
+    console.error('Photon processing failed:', error);
+    if (options.strict) {
+      throw processingError('processing_failed', error.message);
     }
+    return {
+      bytes: imageBuffer,
+      format: sniffFormat(new Uint8Array(imageBuffer)),
+      width: null,
+      height: null,
+      report: {
+        algorithm: options.algorithm,
+        detection: null,
+        maskedPixels: 0,
+        coverage: 0,
+        regions: [],
+        tiling: null,
+        timings: {},
+        fallbacks: [{ stage: 'processing', reason: `${error.message}; original image returned unchanged` }],
+      },
+    };
   }
 }
 
-function detectWatermarkRegions(pixels, width, height) {
-  const mask = new Uint8Array(width * height);
-
-  // Focus on center region where large watermarks typically appear
-  const centerX = Math.floor(width / 2);
-  const centerY = Math.floor(height / 2);
-  const searchWidth = Math.floor(width * 0.6); // Search in 60% of image width
-  const searchHeight = Math.floor(height * 0.6); // Search in 60% of image height
+// Throws when the image can't be processed. Returns the encoded bytes and their format, the mask that
+// was inpainted, plus a report: { algorithm, detection, maskedPixels, coverage, regions, tiling, timings, fallbacks }
+async function removeWatermark(imageBuffer, options) {
+  console.log(`=== PROCESSING IMAGE (${options.algorithm}) ===`);
+  const timer = createStageTimer(options.onStage);
+
+  // get_raw_pixels() returns a copy, so the edited pixels are re-wrapped in a new image below
+  const { pixels, width, height, format: inputFormat } = decodeImage(imageBuffer, options.limits.maxPixels);
+  await timer.mark('decode');
+  const tiling = planTiling(width, height, options.limits.tilePixels);
+
+  // Mask-first: only pixels inside the detected watermark mask may change. Tiles only ever write
+  // back masked pixels, so large images skip the full-size copy.
+  const originalPixels = tiling ? null : new Uint8Array(pixels);
+  const { mask, detection, fallbacks, tiles } = await applyComprehensiveWatermarkRemoval(pixels, width, height, options, timer, tiling);
+  if (originalPixels) restoreUnmaskedPixels(pixels, originalPixels, mask);
+
+  const format = resolveOutputFormat(options.output, new Uint8Array(imageBuffer));
+  let resultBytes = encodeImage(pixels, width, height, format, options.quality);
+  await timer.mark('encode');
+  const maskedPixels = countMaskPixels(mask);
+  const coverage = Math.round(maskedPixels / (width * height) * 10000) / 100;
+
+  // The ICC profile always carries over so colours don't shift; EXIF, XMP and text only on request
+  if (!options.stripMetadata) {
+    const metadata = await readMetadata(new Uint8Array(imageBuffer), inputFormat);
+    const kept = options.keepMetadata ? metadata : { icc: metadata.icc, exif: null, xmp: null, text: [] };
+    resultBytes = await writeMetadata(resultBytes, format, kept, { algorithm: options.algorithm, coverage });
+  }
+  await timer.mark('metadata');
+
+  console.log(`Watermark removal complete, encoded as ${format}`);
+  return {
+    bytes: resultBytes.buffer,
+    format,
+    width,
+    height,
+    mask,
+    report: {
+      algorithm: options.algorithm,
+      detection,
+      maskedPixels,
+      coverage,
+      regions: getMaskRegions(mask, width, height),
+      tiling: tiling ? { tiles, tileSize: tiling.tileSize, scale: tiling.scale } : null,
+      timings: timer.finish(),
+      fallbacks,
+    },
+  };
+}
 
-  const startX = centerX - Math.floor(searchWidth / 2);
-  const endX = centerX + Math.floor(searchWidth / 2);
-  const startY = centerY - Math.floor(searchHeight / 2);
-  const endY = centerY + Math.floor(searchHeight / 2);
+// Milliseconds per pipeline stage; mark(stage) closes the stage that has been running since the last
+// mark and awaits onStage(stage), whose own time isn't counted against the next stage
+function createStageTimer(onStage = null) {
+  const start = Date.now();
+  const timings = {};
+  let last = start;
+  return {
+    async mark(stage) {
+      timings[stage] = Date.now() - last;
+      if (onStage) await onStage(stage);
+      last = Date.now();
+    },
+    finish() {
+      timings.total = Date.now() - start;
+      return timings;
+    },
+  };
+}
 
-  console.log(`Searching for large watermarks in center region: ${startX}-${endX}, ${startY}-${endY}`);
+// The report's key facts as response headers, for clients that take the image as-is
+function reportHeaders(report) {
+  const regions = report.regions.map(({ x, y, width, height }) => `${x},${y},${width},${height}`);
+  return {
+    'X-Watermarknt-Algorithm': report.algorithm,
+    'X-Watermarknt-Detection': report.detection ? report.detection.method : 'none',
+    'X-Watermarknt-Masked-Pixels': String(report.maskedPixels),
+    'X-Watermarknt-Coverage': String(report.coverage),
+    'X-Watermarknt-Regions': regions.join(';') || 'none',
+    'X-Watermarknt-Timing': Object.entries(report.timings).map(([stage, ms]) => `${stage}=${ms}`).join(', ') || 'none',
+    'X-Watermarknt-Fallback': report.fallbacks.map(fallback => fallback.stage).join(', ') || 'none',
+  };
+}
 
-  // More aggressive detection for large, bold text watermarks
-  for (let y = Math.max(5, startY); y < Math.min(height - 5, endY); y++) {
-    for (let x = Math.max(5, startX); x < Math.min(width - 5, endX); x++) {
-      const idx = (y * width + x) * 4;
+// Resolves to { mask, detection, fallbacks, tiles }: detection is { method, match } where method is
+// 'user', 'template', 'tiled', 'text', 'color' or 'brightness'; fallbacks lists [{ stage, reason }] for any stage
+// that couldn't do what was asked and used a simpler method instead; tiles counts the tiles
+// inpainted when a tiling plan is given (0 otherwise).
+// Throws no_watermark_detected for an empty mask, and fallback_required for a fallback in strict mode.
+async function applyComprehensiveWatermarkRemoval(pixels, width, height, options, timer, tiling = null) {
+  const { algorithm } = options;
+  console.log(`Processing image of size: ${width}x${height} with ${algorithm} algorithm`);
+  if (tiling) {
+    console.log(`Large image: detecting at 1/${tiling.scale} scale, inpainting in ${tiling.tileSize}px tiles`);
+  }
 
-      // Get pixel intensity
-      const r = pixels[idx];
-      const g = pixels[idx + 1];
-      const b = pixels[idx + 2];
-      const intensity = (r + g + b) / 3;
+  const fitted = options.template ? fitTemplate(options.template, width, height) : null;
+  const fallbacks = [];
+  const fallback = (stage, reason) => {
+    if (options.strict) {
+      throw processingError('fallback_required', reason, { stage });
+    }
+    fallbacks.push({ stage, reason });
+  };
+  let mask, detection;
+  if (options.userMask) {
+    mask = rasterizeMask(options.userMask, width, height);
+    detection = { method: 'user', match: null };
+  } else if (fitted) {
+    mask = fitted.mask;
+    detection = { method: 'template', match: null };
+  } else {
+    const detected = tiling
+      ? detectReducedWatermarkMask(pixels, width, height, tiling.scale, options)
+      : detectWatermarkMask(pixels, width, height, options);
+    mask = detected.mask;
+    detection = { method: detected.method, match: detected.match };
+    if (options.params.tiled && detected.method !== 'tiled') {
+      fallback('detection', `No repeating watermark found; ${DETECTION_NAMES[detected.method]} used`);
+    } else if (detected.method === 'brightness') {
+      fallback('detection', `Text "${options.watermarkText}" not found; ${DETECTION_NAMES[detected.method]} used`);
+    }
+  }
+  await timer.mark('detection');
 
-      // For large bold watermarks, look for:
-      // 1. Bright pixels (white/light text)
-      // 2. High contrast with surroundings
-      // 3. Consistent patterns (not isolated pixels)
+  // An empty mask would return the image untouched, which must not pass for a cleaned one
+  if (countMaskPixels(mask) === 0) {
+    throw processingError('no_watermark_detected', detection.method === 'user'
+      ? 'The supplied mask does not cover any pixels'
+      : `No watermark found (detection: ${detection.method})`, { detection: detection.method });
+  }
 
-      let contrastSum = 0;
-      let neighborCount = 0;
-      const checkRadius = 3; // Larger radius for bold text detection
+  // Overlay Reversal needs the overlay up front; tiles then each take their window of the matte
+  let overlay = null;
+  if (algorithm === 'reverse') {
+    overlay = fitted && fitted.overlay ? fitted.overlay : estimateImageOverlay(pixels, mask, width, height, options, tiling);
+    if (!isReversible(overlay)) {
+      console.log('Overlay is opaque or could not be estimated; falling back to edge-preserving inpainting');
+      fallback('reverse', overlay
+        ? 'Overlay is opaque; edge-preserving inpainting used'
+        : 'Overlay could not be estimated; edge-preserving inpainting used');
+      overlay = null;
+    }
+  }
 
-      for (let dy = -checkRadius; dy <= checkRadius; dy++) {
-        for (let dx = -checkRadius; dx <= checkRadius; dx++) {
-          if (dx === 0 && dy === 0) continue;
+  let tiles = 0;
+  if (tiling) {
+    tiles = processInTiles(pixels, mask, width, height, tiling, (tilePixels, tileMask, tileWidth, tileHeight, rect) => {
+      const tileOverlay = overlay && { ...overlay, matte: cropPlane(overlay.matte, width, rect, Float32Array) };
+      inpaintMask(tilePixels, tileMask, tileWidth, tileHeight, algorithm, tileOverlay);
+    });
+    console.log(`Inpainted ${tiles} tile(s)`);
+  } else {
+    inpaintMask(pixels, mask, width, height, algorithm, overlay);
+  }
+  await timer.mark('inpainting');
 
-          const ny = y + dy;
-          const nx = x + dx;
+  return { mask, detection, fallbacks, tiles };
+}
 
-          if (ny >= 0 && ny < height && nx >= 0 && nx < width) {
-            const nIdx = (ny * width + nx) * 4;
-            const nR = pixels[nIdx];
-            const nG = pixels[nIdx + 1];
-            const nB = pixels[nIdx + 2];
-            const nIntensity = (nR + nG + nB) / 3;
+// overlay: a reversible overlay for `reverse`, or null to use edge-preserving inpainting instead
+function inpaintMask(pixels, mask, width, height, algorithm, overlay) {
+  switch (algorithm) {
+    case 'edge': {
+      // Edge-Preserving: boundary-inward distance-weighted fill
+      const modified = applyBoundaryBasedInpainting(pixels, mask, width, height);
+      console.log(`Edge-preserving inpainting modified ${modified} pixels`);
+      break;
+    }
 
-            contrastSum += Math.abs(intensity - nIntensity);
-            neighborCount++;
-          }
-        }
-      }
+    case 'frequency': {
+      // Frequency Domain: band-limited reconstruction of the masked area via FFT
+      const modified = applyFrequencyDomainInpainting(pixels, mask, width, height);
+      console.log(`Frequency domain inpainting modified ${modified} pixels`);
+      break;
+    }
 
-      const avgContrast = contrastSum / neighborCount;
+    case 'exemplar': {
+      // Exemplar: priority-ordered patch copying from unmasked texture
+      const modified = applyExemplarInpainting(pixels, mask, width, height);
+      console.log(`Exemplar inpainting modified ${modified} pixels`);
+      break;
+    }
 
-      // Detect large bold watermarks with more aggressive thresholds
-      const isBrightWatermark = intensity > 200 && avgContrast > 20; // Bright text with contrast
-      const isConsistentBright = intensity > 220; // Very bright pixels (common in bold watermarks)
+    case 'telea': {
+      // Fast Marching: distance-ordered, gradient-extrapolated fill
+      const modified = applyFastMarchingInpainting(pixels, mask, width, height);
+      console.log(`Fast marching inpainting modified ${modified} pixels`);
+      break;
+    }
 
-      if (isBrightWatermark || isConsistentBright) {
-        mask[y * width + x] = 255;
+    case 'reverse': {
+      // Overlay Reversal: undo a semi-transparent blend instead of inpainting
+      if (overlay) {
+        const modified = reverseOverlay(pixels, overlay, width, height);
+        console.log(`Overlay reversal modified ${modified} pixels`);
+      } else {
+        applyBoundaryBasedInpainting(pixels, mask, width, height);
       }
+      break;
     }
-  }
 
-  // Count detected pixels
-  let detectedPixels = 0;
-  for (let i = 0; i < mask.length; i++) {
-    if (mask[i] > 0) detectedPixels++;
+    default:
+      // Basic: neighbourhood averaging
+      applyInpaintingWithSafeMemory(pixels, mask, width, height);
   }
-  console.log(`Detected ${detectedPixels} watermark pixels in center region`);
-
-  // Aggressive dilation for large text watermarks
-  const dilatedMask = dilateMask(mask, width, height, 6); // Larger dilation for bold text
+}
 
-  // Count dilated pixels
-  let dilatedPixels = 0;
-  for (let i = 0; i < dilatedMask.length; i++) {
-    if (dilatedMask[i] > 0) dilatedPixels++;
+// Large images are estimated at the reduced detection scale, and the matte scaled back up
+function estimateImageOverlay(pixels, mask, width, height, options, tiling) {
+  if (!tiling) {
+    return estimateOverlay(collectOverlaySamples(pixels, mask, width, height, options), width, height);
   }
-  console.log(`Total ${dilatedPixels} watermark pixels after aggressive dilation`);
-
-  return dilatedMask;
+  const reducedWidth = Math.ceil(width / tiling.scale);
+  const reducedHeight = Math.ceil(height / tiling.scale);
+  const overlay = estimateOverlay(collectOverlaySamples(pixels, mask, width, height, options, tiling.scale),
+    reducedWidth, reducedHeight);
+  return overlay && {
+    ...overlay,
+    matte: upscalePlane(overlay.matte, reducedWidth, reducedHeight, width, height, Float32Array),
+  };
 }
 
-function dilateMask(mask, width, height, radius) {
-  const dilated = new Uint8Array(width * height);
-
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = y * width + x;
-
-      // Check if any pixel in the radius is marked
-      let found = false;
-      for (let dy = -radius; dy <= radius && !found; dy++) {
-        for (let dx = -radius; dx <= radius && !found; dx++) {
-          const ny = y + dy;
-          const nx = x + dx;
-
-          if (ny >= 0 && ny < height && nx >= 0 && nx < width) {
-            const nIdx = ny * width + nx;
-            if (mask[nIdx] > 0) {
-              found = true;
-            }
-          }
-        }
+// The image itself plus any reference images carrying the same mark at the same position,
+// reduced by `scale` when it is over 1
+function collectOverlaySamples(pixels, mask, width, height, options, scale = 1) {
+  const reduce = image => scale > 1 ? downscaleImage(image, width, height, scale).pixels : image;
+  const sampleMask = scale > 1 ? downscaleMask(mask, width, height, scale) : mask;
+  const samples = [{ pixels: scale > 1 ? reduce(pixels) : new Uint8Array(pixels), mask: sampleMask }];
+
+  for (const buffer of options.references || []) {
+    try {
+      const reference = decodeImage(buffer, options.limits.maxPixels);
+      if (reference.width === width && reference.height === height) {
+        samples.push({ pixels: reduce(reference.pixels), mask: sampleMask });
+      } else {
+        console.log(`Skipping ${reference.width}x${reference.height} reference image; expected ${width}x${height}`);
       }
-
-      dilated[idx] = found ? 255 : 0;
+    } catch (error) {
+      console.log('Skipping reference image that could not be decoded:', error.message);
     }
   }
 
-  return dilated;
+  return samples;
 }
 
-
-async function processWithManualInpainting(imageBuffer) {
-  console.log('Starting manual inpainting process...');
-
-  // Create PhotonImage to get pixel data and dimensions
-  const uint8Array = new Uint8Array(imageBuffer);
-  const photonImage = PhotonImage.new_from_byteslice(uint8Array);
-  const width = photonImage.get_width();
-  const height = photonImage.get_height();
-
-  console.log(`Image dimensions: ${width}x${height}`);
-
-  // Get pixel data and modify it DIRECTLY (no copying)
-  const pixels = photonImage.get_raw_pixels();
-  console.log('Got raw pixels, modifying directly...');
-
-  // Detect and inpaint watermark regions - modify pixels array directly
-  manualInpaintWatermark(pixels, width, height);
-
-  console.log('Pixel modifications complete, generating output...');
-
-  // Get the modified image bytes
-  const resultBytes = photonImage.get_bytes();
-
-  // Clean up
-  photonImage.free();
-
-  console.log('Manual inpainting completed');
-  return resultBytes.buffer;
+// Detection on a copy reduced by `scale`, for images too large to search at full resolution;
+// the mask and match come back in full-resolution coordinates
+function detectReducedWatermarkMask(pixels, width, height, scale, options) {
+  const reduced = downscaleImage(pixels, width, height, scale);
+  const detected = detectWatermarkMask(reduced.pixels, reduced.width, reduced.height, options);
+  return {
+    mask: upscaleMask(detected.mask, reduced.width, reduced.height, width, height),
+    method: detected.method,
+    match: scaleMatch(detected, scale),
+  };
 }
 
-function manualInpaintWatermark(pixels, width, height) {
-  console.log('Applying BRUTE FORCE watermark removal - making entire center BLACK...');
-
-  let pixelsModified = 0;
-
-  // Target the center region where SAMPLE watermarks appear
-  const centerX = Math.floor(width / 2);
-  const centerY = Math.floor(height / 2);
-  const watermarkWidth = Math.floor(width * 0.3);  // Watermark area width
-  const watermarkHeight = Math.floor(height * 0.1); // Watermark area height
-
-  console.log(`Making BLACK rectangle: ${watermarkWidth}x${watermarkHeight} at center ${centerX}, ${centerY}`);
-
-  // Define the rectangular region where SAMPLE watermark typically appears
-  const startX = centerX - Math.floor(watermarkWidth / 2);
-  const endX = centerX + Math.floor(watermarkWidth / 2);
-  const startY = centerY - Math.floor(watermarkHeight / 2);
-  const endY = centerY + Math.floor(watermarkHeight / 2);
-
-  console.log(`BLACK rectangle coordinates: ${startX}-${endX}, ${startY}-${endY}`);
-
-  // BRUTE FORCE: Make the entire watermark area completely BLACK
-  for (let y = Math.max(0, startY); y < Math.min(height, endY); y++) {
-    for (let x = Math.max(0, startX); x < Math.min(width, endX); x++) {
-      const idx = (y * width + x) * 4;
-
-      // Make pixel completely BLACK - this WILL be visible
-      pixels[idx] = 0;     // Red = 0
-      pixels[idx + 1] = 0; // Green = 0
-      pixels[idx + 2] = 0; // Blue = 0
-      // Keep alpha unchanged: pixels[idx + 3]
+// Text positions and lattice shifts found on a reduced copy, in full-resolution pixels
+function scaleMatch({ method, match }, scale) {
+  if (method === 'text') {
+    return { ...match, x: match.x * scale, y: match.y * scale, height: match.height * scale };
+  }
+  if (method === 'tiled') {
+    return {
+      ...match,
+      vectors: match.vectors.map(({ x, y }) => ({ x: x * scale, y: y * scale })),
+      period: match.period * scale,
+    };
+  }
+  return match;
+}
 
-      pixelsModified++;
+// Returns { mask, method, match }; method is 'tiled' (with params.tiled set), 'color' (with
+// params.color set, instead of text), 'text' or 'brightness'. options.params are the detection parameters
+// (src/detection-params.js); with a roi, only that region is searched, except for repeating marks.
+function detectWatermarkMask(pixels, width, height, options) {
+  const { algorithm, watermarkText, params } = options;
+
+  // A repeating mark covers the whole image, where text detection would find a single copy
+  if (params.tiled) {
+    const tiled = detectTiledWatermark(pixels, width, height);
+    if (tiled) {
+      // The mask follows the strokes closely; a pixel more takes in their antialiased rims
+      return { mask: dilateMask(tiled.mask, width, height, 1), method: 'tiled', match: tiled.lattice };
     }
   }
 
-  console.log(`BRUTE FORCE: Made ${pixelsModified} pixels completely BLACK`);
-  console.log(`If this doesn't show up, there's a fundamental issue with pixel modification`);
+  // A watermark colour selects colour-target detection in place of text matching and the
+  // brightness heuristics, which only find light marks
+  if (params.color) {
+    const detected = detectColorWatermark(pixels, width, height, params);
+    if (!detected) return { mask: new Uint8Array(width * height), method: 'color', match: null };
+    return {
+      mask: applyMorphologicalOperations(detected.mask, width, height),
+      method: 'color',
+      match: { color: formatColor(detected.color), estimated: detected.estimated, polarity: detected.polarity },
+    };
+  }
 
-  return pixels;
-}
+  // Locate the watermark text itself; brightness heuristics are only the fallback
+  const region = roiBounds(params.roi, width, height);
+  const textMatch = region
+    ? detectTextInRegion(pixels, width, height, watermarkText, region)
+    : detectTextWatermark(pixels, width, height, watermarkText);
+  if (textMatch) {
+    return { mask: textMatch.mask, method: 'text', match: textMatch.match };
+  }
 
-function createEnhancedWatermarkMask(pixels, width, height) {
-  const mask = new Uint8Array(width * height);
+  console.log('Falling back to brightness-based watermark detection');
+  const mask = algorithm === 'basic'
+    ? detectWatermarkRegions(pixels, width, height, params)
+    : buildWatermarkMask(pixels, width, height, params);
+  return { mask, method: 'brightness', match: null };
+}
 
-  // Focus on center region for large watermarks
-  const centerX = Math.floor(width / 2);
-  const centerY = Math.floor(height / 2);
-  const searchRadius = Math.min(width, height) * 0.35;
+// Text detection on the { x0, y0, x1, y1 } region alone; the mask and match come back in
+// full-image coordinates
+function detectTextInRegion(pixels, width, height, text, region) {
+  const regionWidth = region.x1 - region.x0;
+  const regionHeight = region.y1 - region.y0;
+  const regionPixels = new Uint8Array(regionWidth * regionHeight * 4);
+  for (let y = 0; y < regionHeight; y++) {
+    const start = ((region.y0 + y) * width + region.x0) * 4;
+    regionPixels.set(pixels.subarray(start, start + regionWidth * 4), y * regionWidth * 4);
+  }
 
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const distFromCenter = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
-      if (distFromCenter > searchRadius) continue;
+  const found = detectTextWatermark(regionPixels, regionWidth, regionHeight, text);
+  if (!found) return null;
 
-      const idx = (y * width + x) * 4;
-      const r = pixels[idx];
-      const g = pixels[idx + 1];
-      const b = pixels[idx + 2];
-      const intensity = (r + g + b) / 3;
+  const mask = new Uint8Array(width * height);
+  for (let y = 0; y < regionHeight; y++) {
+    mask.set(found.mask.subarray(y * regionWidth, (y + 1) * regionWidth), (region.y0 + y) * width + region.x0);
+  }
+  return { mask, match: { ...found.match, x: found.match.x + region.x0, y: found.match.y + region.y0 } };
+}
 
-      // Multi-criteria detection for better watermark identification
-      let isWatermark = false;
+function buildWatermarkMask(pixels, width, height, params) {
+  const rawMask = createEnhancedWatermarkMask(pixels, width, height, params);
+  const mask = applyMorphologicalOperations(rawMask, width, height);
 
-      // Criterion 1: Brightness-based detection
-      if (intensity > 185) {
-        isWatermark = true;
-      }
+  console.log(`Refined watermark mask covers ${countMaskPixels(mask)} pixels`);
 
-      // Criterion 2: Edge-based detection for text boundaries
-      if (intensity > 160) {
-        const edgeStrength = calculateEdgeStrength(pixels, x, y, width, height);
-        if (edgeStrength > 30) {
-          isWatermark = true;
-        }
-      }
+  return mask;
+}
 
-      // Criterion 3: Color uniformity (watermarks often have consistent color)
-      if (intensity > 150) {
-        const colorVariance = Math.abs(r - g) + Math.abs(g - b) + Math.abs(r - b);
-        if (colorVariance < 15) { // Low color variance indicates uniform watermark
-          isWatermark = true;
-        }
-      }
+function countMaskPixels(mask) {
+  let count = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] > 0) count++;
+  }
+  return count;
+}
 
-      if (isWatermark) {
-        mask[y * width + x] = 255;
-      }
+function restoreUnmaskedPixels(pixels, originalPixels, mask) {
+  // Guarantee byte-identical output outside the mask, whatever the inpainter touched
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] === 0) {
+      const p = i * 4;
+      pixels[p] = originalPixels[p];
+      pixels[p + 1] = originalPixels[p + 1];
+      pixels[p + 2] = originalPixels[p + 2];
+      pixels[p + 3] = originalPixels[p + 3];
     }
   }
+}
 
-  return mask;
+function applyInpaintingWithSafeMemory(pixels, watermarkMask, width, height) {
+  // Window means only ever sample unmasked pixels, so already-filled pixels don't feed back into the average
+  const inpaintRadius = 8; // Larger radius for better inpainting of bold text
+  return fillWithWindowMeans(pixels, watermarkMask, width, height, inpaintRadius);
 }
 
-function calculateEdgeStrength(pixels, x, y, width, height) {
-  if (x < 1 || x >= width - 1 || y < 1 || y >= height - 1) return 0;
+function detectWatermarkRegions(pixels, width, height, params) {
+  const mask = detectBrightRegions(pixels, width, height, params);
 
-  const getIntensity = (px, py) => {
-    const idx = (py * width + px) * 4;
-    return (pixels[idx] + pixels[idx + 1] + pixels[idx + 2]) / 3;
-  };
+  console.log(`Detected ${countMaskPixels(mask)} watermark pixels in ${params.roi ? 'region of interest' : 'center region'}`);
 
-  // Simple Sobel edge detection
-  const gx = -getIntensity(x-1, y-1) + getIntensity(x+1, y-1) +
-             -2*getIntensity(x-1, y) + 2*getIntensity(x+1, y) +
-             -getIntensity(x-1, y+1) + getIntensity(x+1, y+1);
+  // Aggressive dilation for large text watermarks
+  const dilatedMask = dilateMask(mask, width, height, params.dilationRadius); // Larger dilation for bold text
 
-  const gy = -getIntensity(x-1, y-1) - 2*getIntensity(x, y-1) - getIntensity(x+1, y-1) +
-             getIntensity(x-1, y+1) + 2*getIntensity(x, y+1) + getIntensity(x+1, y+1);
+  console.log(`Total ${countMaskPixels(dilatedMask)} watermark pixels after aggressive dilation`);
 
-  return Math.sqrt(gx * gx + gy * gy);
+  return dilatedMask;
 }
 
 function applyMorphologicalOperations(mask, width, height) {
   // Apply dilation to expand watermark regions
-  let dilated = morphologicalDilation(mask, width, height, 3);
+  let dilated = dilateMask(mask, width, height, 3);
 
   // Apply erosion to clean up noise
-  let eroded = morphologicalErosion(dilated, width, height, 1);
+  let eroded = erodeMask(dilated, width, height, 1);
 
   // Apply dilation again to ensure complete watermark coverage
-  let finalMask = morphologicalDilation(eroded, width, height, 4);
+  let finalMask = dilateMask(eroded, width, height, 4);
 
   return finalMask;
 }
 
-function morphologicalDilation(mask, width, height, radius) {
-  const result = new Uint8Array(width * height);
-
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      let hasWatermark = false;
-
-      for (let dy = -radius; dy <= radius && !hasWatermark; dy++) {
-        for (let dx = -radius; dx <= radius && !hasWatermark; dx++) {
-          const ny = y + dy;
-          const nx = x + dx;
-
-          if (ny >= 0 && ny < height && nx >= 0 && nx < width) {
-            if (mask[ny * width + nx] > 0) {
-              hasWatermark = true;
-            }
-          }
-        }
-      }
-
-      result[y * width + x] = hasWatermark ? 255 : 0;
+function applyFrequencyDomainInpainting(pixels, mask, width, height) {
+  const bounds = getMaskBoundingBox(mask, width, height);
+  if (!bounds) return 0;
+
+  // Work on the mask's bounding box plus a margin of known pixels, padded to FFT size
+  const margin = 16;
+  const x0 = Math.max(0, bounds.x - margin);
+  const y0 = Math.max(0, bounds.y - margin);
+  const x1 = Math.min(width, bounds.x + bounds.width + margin);
+  const y1 = Math.min(height, bounds.y + bounds.height + margin);
+  const fftWidth = nextPowerOfTwo(x1 - x0);
+  const fftHeight = nextPowerOfTwo(y1 - y0);
+  const size = fftWidth * fftHeight;
+
+  // Map every FFT cell to a source pixel, replicating edges into the padding
+  const sourceIndex = new Int32Array(size);
+  const unknown = new Uint8Array(size);
+  for (let fy = 0; fy < fftHeight; fy++) {
+    const y = Math.min(y0 + fy, y1 - 1);
+    for (let fx = 0; fx < fftWidth; fx++) {
+      const x = Math.min(x0 + fx, x1 - 1);
+      const i = fy * fftWidth + fx;
+      sourceIndex[i] = y * width + x;
+      unknown[i] = fy < y1 - y0 && fx < x1 - x0 && mask[sourceIndex[i]] > 0 ? 1 : 0;
     }
   }
 
-  return result;
-}
-
-function morphologicalErosion(mask, width, height, radius) {
-  const result = new Uint8Array(width * height);
+  // Coarse-to-fine Gaussian low-pass schedule (spatial sigma in pixels)
+  const sigmas = [12, 8, 5, 3, 2, 1.5];
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+
+  // Two real channels share one complex FFT: the Gaussian response is real and
+  // symmetric, so filtered R stays in the real part and filtered G in the imaginary part
+  for (const [first, second] of [[0, 1], [2, -1]]) {
+    const estimateA = new Float64Array(size);
+    const estimateB = new Float64Array(size);
+
+    // Seed unknown pixels with the mean of the known ones
+    let sumA = 0, sumB = 0, known = 0;
+    for (let i = 0; i < size; i++) {
+      if (unknown[i]) continue;
+      const p = sourceIndex[i] * 4;
+      estimateA[i] = pixels[p + first];
+      estimateB[i] = second >= 0 ? pixels[p + second] : 0;
+      sumA += estimateA[i];
+      sumB += estimateB[i];
+      known++;
+    }
+    for (let i = 0; i < size; i++) {
+      if (!unknown[i]) continue;
+      estimateA[i] = known > 0 ? sumA / known : 0;
+      estimateB[i] = known > 0 ? sumB / known : 0;
+    }
 
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      let allWatermark = true;
+    for (const sigma of sigmas) {
+      re.set(estimateA);
+      im.set(estimateB);
+      fft2d(re, im, fftWidth, fftHeight);
+
+      const falloff = 2 * Math.PI * Math.PI * sigma * sigma;
+      for (let v = 0; v < fftHeight; v++) {
+        const fy = (v <= fftHeight / 2 ? v : v - fftHeight) / fftHeight;
+        for (let u = 0; u < fftWidth; u++) {
+          const fx = (u <= fftWidth / 2 ? u : u - fftWidth) / fftWidth;
+          const gain = Math.exp(-falloff * (fx * fx + fy * fy));
+          const i = v * fftWidth + u;
+          re[i] *= gain;
+          im[i] *= gain;
+        }
+      }
 
-      for (let dy = -radius; dy <= radius && allWatermark; dy++) {
-        for (let dx = -radius; dx <= radius && allWatermark; dx++) {
-          const ny = y + dy;
-          const nx = x + dx;
+      fft2d(re, im, fftWidth, fftHeight, true);
 
-          if (ny >= 0 && ny < height && nx >= 0 && nx < width) {
-            if (mask[ny * width + nx] === 0) {
-              allWatermark = false;
-            }
-          } else {
-            allWatermark = false;
-          }
+      // Keep known pixels fixed; only the masked area takes the filtered values
+      for (let i = 0; i < size; i++) {
+        if (unknown[i]) {
+          estimateA[i] = re[i];
+          estimateB[i] = im[i];
         }
       }
+    }
 
-      result[y * width + x] = allWatermark ? 255 : 0;
+    for (let i = 0; i < size; i++) {
+      if (!unknown[i]) continue;
+      const p = sourceIndex[i] * 4;
+      pixels[p + first] = Math.max(0, Math.min(255, Math.round(estimateA[i])));
+      if (second >= 0) {
+        pixels[p + second] = Math.max(0, Math.min(255, Math.round(estimateB[i])));
+      }
     }
   }
 
-  return result;
+  let pixelsModified = 0;
+  for (let i = 0; i < size; i++) {
+    if (unknown[i]) pixelsModified++;
+  }
+  return pixelsModified;
 }
 
-function applyBoundaryBasedInpainting(pixels, mask, width, height) {
-  let pixelsModified = 0;
+function getMaskBoundingBox(mask, width, height) {
+  let minX = width, minY = height, maxX = -1, maxY = -1;
 
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
-      const idx = y * width + x;
-
-      if (mask[idx] > 0) { // This pixel needs inpainting
-        const pixelIdx = idx * 4;
-
-        // Use progressive distance-based inpainting
-        const inpaintedColor = progressiveInpainting(pixels, mask, x, y, width, height);
-
-        if (inpaintedColor) {
-          pixels[pixelIdx] = inpaintedColor.r;
-          pixels[pixelIdx + 1] = inpaintedColor.g;
-          pixels[pixelIdx + 2] = inpaintedColor.b;
-          pixelsModified++;
-        }
+      if (mask[y * width + x] > 0) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
       }
     }
   }
 
-  return pixelsModified;
+  if (maxX < 0) return null;
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
 }
 
-function progressiveInpainting(pixels, mask, x, y, width, height) {
-  // Try increasingly larger radii to find good inpainting samples
-  const maxRadius = 20;
-
-  for (let radius = 3; radius <= maxRadius; radius += 2) {
-    let sumR = 0, sumG = 0, sumB = 0, count = 0;
-    let weightSum = 0;
-
-    for (let dy = -radius; dy <= radius; dy++) {
-      for (let dx = -radius; dx <= radius; dx++) {
+// Bounding boxes of the mask's connected regions (8-connected), largest first
+function getMaskRegions(mask, width, height) {
+  const visited = new Uint8Array(width * height);
+  const stack = new Int32Array(width * height);
+  const regions = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (mask[start] === 0 || visited[start]) continue;
+    let minX = width, minY = height, maxX = -1, maxY = -1, pixels = 0;
+    let top = 0;
+    stack[top++] = start;
+    visited[start] = 1;
+
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width;
+      const y = (i - x) / width;
+      pixels++;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+
+      for (let dy = -1; dy <= 1; dy++) {
         const ny = y + dy;
-        const nx = x + dx;
-
-        if (ny >= 0 && ny < height && nx >= 0 && nx < width) {
-          const nIdx = ny * width + nx;
-
-          // Only use pixels that are not part of watermark
-          if (mask[nIdx] === 0) {
-            const nPixelIdx = nIdx * 4;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            const weight = 1.0 / (1.0 + distance);
-
-            sumR += pixels[nPixelIdx] * weight;
-            sumG += pixels[nPixelIdx + 1] * weight;
-            sumB += pixels[nPixelIdx + 2] * weight;
-            weightSum += weight;
-            count++;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= width) continue;
+          const n = ny * width + nx;
+          if (mask[n] > 0 && !visited[n]) {
+            visited[n] = 1;
+            stack[top++] = n;
           }
         }
       }
     }
 
-    // If we found enough samples, use them
-    if (count >= 8) {
-      return {
-        r: Math.round(sumR / weightSum),
-        g: Math.round(sumG / weightSum),
-        b: Math.round(sumB / weightSum)
-      };
-    }
-  }
-
-  return null;
-}
-
-async function processWithSimpleFallback(imageBuffer) {
-  console.log('Fallback processing - returning original image');
-
-  // Simple fallback that doesn't corrupt the image
-  await new Promise(resolve => setTimeout(resolve, 1000));
-
-  // Return original image if Photon fails
-  return imageBuffer;
-}
-
-async function processPNGBytes(uint8Array, algorithm, watermarkText) {
-  console.log('Processing PNG - applying minimal filtering to avoid corruption');
-
-  const processed = new Uint8Array(uint8Array);
-
-  // Very conservative approach: only modify non-critical data
-  // Apply subtle filtering to potential metadata areas
-  for (let i = 100; i < processed.length - 100; i += 50) {
-    const current = processed[i];
-    const prev = processed[i - 1];
-    const next = processed[i + 1];
-
-    // Only modify if it looks like high-contrast watermark data
-    const variation = Math.abs(current - prev) + Math.abs(current - next);
-
-    if (variation > 100 && current > 150) { // High contrast + bright pixels
-      switch (algorithm) {
-        case 'edge':
-          processed[i] = Math.round(current * 0.9); // Slight dimming
-          break;
-        case 'frequency':
-          processed[i] = Math.round((current + prev + next) / 3);
-          break;
-        default:
-          processed[i] = Math.round(current * 0.95); // Very subtle change
-      }
-    }
-  }
-
-  return processed.buffer;
-}
-
-async function processJPEGBytes(uint8Array, algorithm, watermarkText) {
-  console.log('Processing JPEG - applying conservative filtering');
-
-  const processed = new Uint8Array(uint8Array);
-
-  // Very conservative: only touch potential image data, skip all markers
-  for (let i = 500; i < processed.length - 500; i += 200) {
-    // Skip JPEG markers completely
-    if (processed[i] === 0xFF || processed[i-1] === 0xFF) {
-      continue;
-    }
-
-    const current = processed[i];
-
-    // Only modify bright pixels that might be watermarks
-    if (current > 200) {
-      switch (algorithm) {
-        case 'edge':
-          processed[i] = Math.round(current * 0.92);
-          break;
-        case 'frequency':
-          processed[i] = Math.round(current * 0.88);
-          break;
-        default:
-          processed[i] = Math.round(current * 0.96);
-      }
-    }
-  }
-
-  return processed.buffer;
-}
-
-async function processGenericBytes(uint8Array, algorithm, watermarkText) {
-  console.log(`Processing unknown format - minimal changes to preserve structure`);
-
-  const processed = new Uint8Array(uint8Array);
-
-  // Extremely conservative: just dim bright pixels that might be watermarks
-  for (let i = 200; i < processed.length - 200; i += 100) {
-    const current = processed[i];
-
-    // Only modify very bright pixels (likely watermarks)
-    if (current > 220) {
-      switch (algorithm) {
-        case 'edge':
-          processed[i] = Math.round(current * 0.9);
-          break;
-        case 'frequency':
-          processed[i] = Math.round(current * 0.85);
-          break;
-        default:
-          processed[i] = Math.round(current * 0.93);
-      }
-    }
+    regions.push({ x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1, pixels });
   }
 
-  return processed.buffer;
+  regions.sort((a, b) => b.pixels - a.pixels);
+  return regions.slice(0, MAX_REPORTED_REGIONS);
 }
 
-// All legacy Canvas-based functions removed - now using Photon WebAssembly
-
 function getHTML() {
   return `<!DOCTYPE html>
 <html lang="en">
@@ -923,7 +1810,7 @@ function getHTML() {
         }
         .image-container {
             display: grid;
-            grid-template-columns: 1fr 1fr;
+            grid-template-columns: 1fr 1fr 1fr;
             gap: 20px;
             margin-top: 20px;
         }
@@ -950,6 +1837,55 @@ function getHTML() {
         .success { background: #efe; border: 2px solid #cfc; color: #363; }
         .info { background: #e6f3ff; border: 2px solid #b3d9ff; color: #0066cc; }
         input[type="file"] { display: none; }
+        .mask-editor {
+            display: none;
+            margin-bottom: 30px;
+            text-align: center;
+        }
+        .mask-toolbar {
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            gap: 10px;
+            margin-bottom: 15px;
+            flex-wrap: wrap;
+        }
+        .tool {
+            padding: 8px 16px;
+            border: 2px solid #eee;
+            border-radius: 8px;
+            background: white;
+            cursor: pointer;
+        }
+        .tool.active {
+            border-color: #667eea;
+            background: #f8faff;
+        }
+        .mask-stage {
+            position: relative;
+            display: inline-block;
+            line-height: 0;
+        }
+        .mask-stage img {
+            max-width: 100%;
+            max-height: 400px;
+            border-radius: 10px;
+        }
+        .mask-stage canvas {
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            opacity: 0.5;
+            cursor: crosshair;
+            touch-action: none;
+        }
+        .hint {
+            color: #666;
+            font-size: 0.9em;
+            margin-top: 10px;
+        }
         @media (max-width: 768px) {
             .controls, .image-container { grid-template-columns: 1fr; }
             .container { padding: 20px; }
@@ -965,14 +1901,60 @@ function getHTML() {
         <div class="upload-area" id="uploadArea" onclick="document.getElementById('fileInput').click()">
             <div class="upload-icon">📁</div>
             <p style="font-size: 1.2em; margin-bottom: 15px;">Drop image here or click to upload</p>
-            <p style="color: #666;">Supports JPG, PNG, BMP, TIFF</p>
+            <p style="color: #666;">Supports PNG, JPEG, WebP, GIF, BMP</p>
             <input type="file" id="fileInput" accept="image/*">
         </div>
 
-        <div class="controls" style="display: flex; justify-content: center;">
-            <div class="control-group" style="text-align: center;">
+        <div class="mask-editor" id="maskEditor">
+            <div class="mask-toolbar">
+                <button type="button" class="tool active" data-tool="brush">Brush</button>
+                <button type="button" class="tool" data-tool="box">Box</button>
+                <input type="range" id="brushSize" min="4" max="80" value="24" title="Brush size">
+                <button type="button" class="tool" id="clearMask">Clear</button>
+            </div>
+            <div class="mask-stage">
+                <img id="maskBase" alt="Mask editor">
+                <canvas id="maskCanvas"></canvas>
+            </div>
+            <p class="hint">Optional: paint or box the watermark to skip automatic detection</p>
+        </div>
+
+        <div class="controls">
+            <div class="control-group">
                 <label for="watermarkText">Watermark Text</label>
-                <input type="text" id="watermarkText" placeholder="e.g., SAMPLE" value="SAMPLE" style="width: 300px; text-align: center;">
+                <input type="text" id="watermarkText" placeholder="e.g., SAMPLE" value="SAMPLE">
+            </div>
+            <div class="control-group">
+                <label for="algorithm">Algorithm</label>
+                <select id="algorithm">
+                    <option value="basic">Basic</option>
+                    <option value="edge" selected>Edge-Preserving</option>
+                    <option value="frequency">Frequency Domain</option>
+                    <option value="exemplar">Exemplar (Patch-Based)</option>
+                    <option value="telea">Fast Marching (Telea)</option>
+                    <option value="reverse">Overlay Reversal</option>
+                </select>
+            </div>
+            <div class="control-group">
+                <label for="outputFormat">Output Format</label>
+                <select id="outputFormat">
+                    <option value="" selected>Same as input</option>
+                    <option value="png">PNG</option>
+                    <option value="jpeg">JPEG</option>
+                    <option value="webp">WebP (lossless)</option>
+                </select>
+            </div>
+            <div class="control-group">
+                <label for="quality">JPEG Quality</label>
+                <input type="number" id="quality" min="1" max="100" value="90">
+            </div>
+            <div class="control-group">
+                <label for="metadata">Metadata</label>
+                <select id="metadata">
+                    <option value="" selected>Colour profile only</option>
+                    <option value="keep">Keep all</option>
+                    <option value="strip">Strip all</option>
+                </select>
             </div>
         </div>
 
@@ -994,6 +1976,10 @@ function getHTML() {
                     <h3>Original</h3>
                     <img id="originalImage" alt="Original">
                 </div>
+                <div class="image-box" id="detectedBox">
+                    <h3>Detected Mask</h3>
+                    <img id="detectedImage" alt="Detected mask">
+                </div>
                 <div class="image-box">
                     <h3>Processed</h3>
                     <img id="processedImage" alt="Processed">
@@ -1007,6 +1993,7 @@ function getHTML() {
     <script>
         let selectedFile = null;
         let processedBlob = null;
+        let processedName = null;
 
         const fileInput = document.getElementById('fileInput');
         const uploadArea = document.getElementById('uploadArea');
@@ -1043,6 +2030,7 @@ function getHTML() {
                 const reader = new FileReader();
                 reader.onload = e => {
                     document.getElementById('originalImage').src = e.target.result;
+                    loadMaskEditor(e.target.result);
                 };
                 reader.readAsDataURL(file);
 
@@ -1056,6 +2044,7 @@ function getHTML() {
             if (!selectedFile) return;
 
             const text = document.getElementById('watermarkText').value;
+            const algorithm = document.getElementById('algorithm').value;
 
             processBtn.disabled = true;
             progressBar.style.display = 'block';
@@ -1063,50 +2052,64 @@ function getHTML() {
 
             try {
                 console.log('CLIENT: Starting image processing...');
-                showMessage('Processing image...', 'info');
-                updateProgress(20);
+                showMessage('Uploading image...', 'info');
+                updateProgress(0);
 
                 const formData = new FormData();
                 formData.append('image', selectedFile);
                 formData.append('text', text);
+                formData.append('algorithm', algorithm);
+                formData.append('output', document.getElementById('outputFormat').value);
+                formData.append('quality', document.getElementById('quality').value);
+                const metadata = document.getElementById('metadata').value;
+                if (metadata) {
+                    formData.append(metadata + '_metadata', 'true');
+                }
+                if (maskPainted) {
+                    formData.append('mask', await exportMask(), 'mask.png');
+                }
 
-                updateProgress(60);
-
-                console.log('CLIENT: Sending request to /api/remove-watermark...');
-                const response = await fetch('/api/remove-watermark', {
+                console.log('CLIENT: Sending request to /api/jobs...');
+                const created = await fetch('/api/jobs', {
                     method: 'POST',
                     body: formData
                 });
+                if (!created.ok) {
+                    throw new Error(await readErrorMessage(created));
+                }
+                const job = await waitForJob(await created.json());
 
-                console.log('CLIENT: Response received, status:', response.status);
-                updateProgress(90);
-
+                console.log('CLIENT: Job finished:', job.status);
+                const response = await fetch(job.result || '/api/jobs/' + job.id + '/result');
                 if (!response.ok) {
-                    let errorMessage = 'Processing failed';
-                    try {
-                        const contentType = response.headers.get('content-type');
-                        if (contentType && contentType.includes('application/json')) {
-                            const error = await response.json();
-                            errorMessage = error.error || errorMessage;
-                        } else {
-                            const errorText = await response.text();
-                            errorMessage = errorText || errorMessage;
-                        }
-                    } catch (e) {
-                        console.error('Failed to parse error response:', e);
-                    }
-                    throw new Error(errorMessage);
+                    throw new Error(await readErrorMessage(response));
                 }
 
                 processedBlob = await response.blob();
+                const disposition = response.headers.get('content-disposition') || '';
+                const filenameMatch = disposition.match(/filename="([^"]+)"/);
+                processedName = filenameMatch ? filenameMatch[1] : 'processed_' + selectedFile.name;
                 console.log('CLIENT: Processed blob received, size:', processedBlob.size);
                 updateProgress(100);
 
                 const url = URL.createObjectURL(processedBlob);
                 document.getElementById('processedImage').src = url;
+
+                // A painted mask bypasses detection, so there is nothing to preview
+                document.getElementById('detectedBox').style.display = maskPainted ? 'none' : 'block';
+                if (!maskPainted) {
+                    await showDetectedMask(text, algorithm);
+                }
                 result.style.display = 'block';
 
-                showMessage('Watermark removal complete!', 'success');
+                const fallback = response.headers.get('x-watermarknt-fallback');
+                const summary = response.headers.get('x-watermarknt-detection') + ' detection, ' +
+                    response.headers.get('x-watermarknt-coverage') + '% masked';
+                if (fallback && fallback !== 'none') {
+                    showMessage('Watermark removal complete with fallbacks (' + fallback + '): ' + summary, 'info');
+                } else {
+                    showMessage('Watermark removal complete! (' + summary + ')', 'success');
+                }
 
             } catch (error) {
                 showMessage(\`Error: \${error.message}\`, 'error');
@@ -1119,17 +2122,179 @@ function getHTML() {
             }
         }
 
+        const JOB_STAGES = {
+            decode: 'Decoding image',
+            detection: 'Detecting watermark',
+            inpainting: 'Removing watermark',
+            encode: 'Encoding result',
+            metadata: 'Writing metadata'
+        };
+
+        // Polls the job until it finishes, showing its stage and progress
+        async function waitForJob(job) {
+            while (job.status === 'queued' || job.status === 'running') {
+                showMessage(job.status === 'queued' ? 'Waiting to start...' : (JOB_STAGES[job.stage] || 'Processing') + '...', 'info');
+                updateProgress(job.progress);
+                await new Promise(resolve => setTimeout(resolve, 500));
+
+                const response = await fetch('/api/jobs/' + job.id);
+                if (!response.ok) {
+                    throw new Error(await readErrorMessage(response));
+                }
+                job = await response.json();
+            }
+            return job;
+        }
+
+        async function readErrorMessage(response) {
+            let errorMessage = 'Processing failed';
+            try {
+                const contentType = response.headers.get('content-type');
+                if (contentType && contentType.includes('application/json')) {
+                    const error = await response.json();
+                    errorMessage = error.details ? error.error + ': ' + error.details : error.error || errorMessage;
+                } else {
+                    const errorText = await response.text();
+                    errorMessage = errorText || errorMessage;
+                }
+            } catch (e) {
+                console.error('Failed to parse error response:', e);
+            }
+            return errorMessage;
+        }
+
+        async function showDetectedMask(text, algorithm) {
+            const formData = new FormData();
+            formData.append('image', selectedFile);
+            formData.append('text', text);
+            formData.append('algorithm', algorithm);
+            formData.append('format', 'overlay');
+
+            console.log('CLIENT: Sending request to /api/detect...');
+            const response = await fetch('/api/detect', {
+                method: 'POST',
+                body: formData
+            });
+            if (response.ok) {
+                document.getElementById('detectedImage').src = URL.createObjectURL(await response.blob());
+            }
+        }
+
         function downloadImage() {
             if (processedBlob) {
                 const url = URL.createObjectURL(processedBlob);
                 const a = document.createElement('a');
                 a.href = url;
-                a.download = \`processed_\${selectedFile.name}\`;
+                a.download = processedName;
                 a.click();
                 URL.revokeObjectURL(url);
             }
         }
 
+        // Mask editor: strokes are drawn at the image's natural resolution
+        const maskEditor = document.getElementById('maskEditor');
+        const maskBase = document.getElementById('maskBase');
+        const maskCanvas = document.getElementById('maskCanvas');
+        const maskContext = maskCanvas.getContext('2d');
+        let maskTool = 'brush';
+        let maskPainted = false;
+        let maskDrag = null;
+
+        function loadMaskEditor(src) {
+            maskBase.onload = () => {
+                maskCanvas.width = maskBase.naturalWidth;
+                maskCanvas.height = maskBase.naturalHeight;
+                clearMask();
+                maskEditor.style.display = 'block';
+            };
+            maskBase.src = src;
+        }
+
+        function clearMask() {
+            maskContext.clearRect(0, 0, maskCanvas.width, maskCanvas.height);
+            maskPainted = false;
+        }
+
+        function canvasPoint(event) {
+            const rect = maskCanvas.getBoundingClientRect();
+            return {
+                x: (event.clientX - rect.left) * maskCanvas.width / rect.width,
+                y: (event.clientY - rect.top) * maskCanvas.height / rect.height
+            };
+        }
+
+        function brushRadius() {
+            const rect = maskCanvas.getBoundingClientRect();
+            return document.getElementById('brushSize').value / 2 * maskCanvas.width / rect.width;
+        }
+
+        function paintLine(from, to) {
+            maskContext.strokeStyle = '#ff0000';
+            maskContext.lineCap = 'round';
+            maskContext.lineWidth = brushRadius() * 2;
+            maskContext.beginPath();
+            maskContext.moveTo(from.x, from.y);
+            maskContext.lineTo(to.x, to.y);
+            maskContext.stroke();
+        }
+
+        maskCanvas.addEventListener('pointerdown', e => {
+            maskCanvas.setPointerCapture(e.pointerId);
+            const point = canvasPoint(e);
+            maskDrag = {
+                start: point,
+                last: point,
+                snapshot: maskContext.getImageData(0, 0, maskCanvas.width, maskCanvas.height)
+            };
+            if (maskTool === 'brush') paintLine(point, point);
+            maskPainted = true;
+        });
+
+        maskCanvas.addEventListener('pointermove', e => {
+            if (!maskDrag) return;
+            const point = canvasPoint(e);
+            if (maskTool === 'brush') {
+                paintLine(maskDrag.last, point);
+            } else {
+                maskContext.putImageData(maskDrag.snapshot, 0, 0);
+                maskContext.fillStyle = '#ff0000';
+                maskContext.fillRect(maskDrag.start.x, maskDrag.start.y,
+                    point.x - maskDrag.start.x, point.y - maskDrag.start.y);
+            }
+            maskDrag.last = point;
+        });
+
+        ['pointerup', 'pointercancel'].forEach(type => {
+            maskCanvas.addEventListener(type, () => { maskDrag = null; });
+        });
+
+        document.querySelectorAll('.tool[data-tool]').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.tool[data-tool]').forEach(b => b.classList.remove('active'));
+                button.classList.add('active');
+                maskTool = button.dataset.tool;
+            });
+        });
+
+        document.getElementById('clearMask').addEventListener('click', clearMask);
+
+        // White-on-black PNG, the format /api/remove-watermark expects
+        function exportMask() {
+            const output = document.createElement('canvas');
+            output.width = maskCanvas.width;
+            output.height = maskCanvas.height;
+            const outputContext = output.getContext('2d');
+            const painted = maskContext.getImageData(0, 0, maskCanvas.width, maskCanvas.height);
+            const binary = outputContext.createImageData(output.width, output.height);
+            for (let i = 0; i < painted.data.length; i += 4) {
+                const value = painted.data[i + 3] > 0 ? 255 : 0;
+                binary.data[i] = binary.data[i + 1] = binary.data[i + 2] = value;
+                binary.data[i + 3] = 255;
+            }
+            outputContext.putImageData(binary, 0, 0);
+            return new Promise(resolve => output.toBlob(resolve, 'image/png'));
+        }
+
         function showMessage(message, type) {
             messages.innerHTML = \`<div class="message \${type}">\${message}</div>\`;
         }
@@ -0,0 +1,282 @@
+// Asynchronous removal jobs: POST /api/jobs stores the upload and returns an ID at once, the job
+// runs in the background, and clients poll GET /api/jobs/:id for its stage and progress before
+// fetching GET /api/jobs/:id/result.
+// With the JOBS Durable Object namespace bound, every job is its own object and runs from an alarm,
+// outside any client request. Otherwise jobs run in this isolate after the response is sent and are
+// kept in memory, which is enough for `wrangler dev` but does not survive restarts.
+//
+// Both keep a job in the same key-value layout (Durable Object storage, or a Map standing in for it):
+//   job              { id, status, stage, progress, createdAt, updatedAt, report, error }
+//   input, result    { length, contentType } / { length, status, headers }, with the bytes under
+//   input:N, result:N  in chunks small enough for a single storage value
+// status is queued, running, done or failed; a failed job's error is the error response body that
+// the synchronous endpoint would have returned.
+
+const JOB_TTL = 60 * 60 * 1000; // Finished jobs and their results are kept for an hour
+const CHUNK_BYTES = 128 * 1024; // Durable Object storage's limit per value
+const MAX_PUT_ENTRIES = 128; // ...and per put()
+
+// Pipeline stages in order, with their share of the progress bar
+const STAGES = [
+  { name: 'decode', weight: 10 },
+  { name: 'detection', weight: 30 },
+  { name: 'inpainting', weight: 45 },
+  { name: 'encode', weight: 10 },
+  { name: 'metadata', weight: 5 },
+];
+
+const memoryJobs = new Map(); // id -> { storage, expiresAt }
+
+// run(body, contentType, onStage) processes a stored upload and resolves to { response, report }:
+// the response the synchronous endpoint would give, and its report (null on failure). onStage(stage)
+// must be awaited as each pipeline stage finishes. Returns the new job's status.
+export async function createJob(env, ctx, body, contentType, run) {
+  if (env && env.JOBS) {
+    const id = env.JOBS.newUniqueId().toString();
+    const response = await jobObject(env, id).fetch('https://job/create', {
+      method: 'POST',
+      headers: { 'Content-Type': contentType, 'X-Job-Id': id },
+      body,
+    });
+    return response.json();
+  }
+
+  const now = Date.now();
+  for (const [id, job] of memoryJobs) {
+    if (job.expiresAt !== null && job.expiresAt < now) memoryJobs.delete(id);
+  }
+
+  const id = crypto.randomUUID();
+  const job = { storage: createMemoryStorage(), expiresAt: null };
+  memoryJobs.set(id, job);
+  const record = await storeJob(job.storage, id, body, contentType);
+
+  const running = runJob(job.storage, run).then(() => {
+    job.expiresAt = Date.now() + JOB_TTL;
+  });
+  if (ctx && ctx.waitUntil) ctx.waitUntil(running);
+  return record;
+}
+
+// The job's status, or null for an unknown (or expired) ID
+export async function getJob(env, id) {
+  if (env && env.JOBS) {
+    const stub = jobObject(env, id);
+    if (!stub) return null;
+    const response = await stub.fetch('https://job/status');
+    return response.ok ? response.json() : null;
+  }
+
+  const job = memoryJobs.get(id);
+  return job ? describeJob(await job.storage.get('job')) : null;
+}
+
+// The finished job's response (the image, or the error it failed with), replayed; null for an
+// unknown ID or a job that hasn't finished
+export async function getJobResult(env, id) {
+  if (env && env.JOBS) {
+    const stub = jobObject(env, id);
+    if (!stub) return null;
+    const response = await stub.fetch('https://job/result');
+    return response.status === 404 ? null : response;
+  }
+
+  const job = memoryJobs.get(id);
+  return job ? readResult(job.storage) : null;
+}
+
+// Durable Object entry points, for the RemovalJob class bound as JOBS
+export async function handleJobObjectRequest(state, request) {
+  const { storage } = state;
+  switch (new URL(request.url).pathname) {
+    case '/create': {
+      const record = await storeJob(storage, request.headers.get('X-Job-Id'),
+        await request.arrayBuffer(), request.headers.get('Content-Type'));
+      await storage.setAlarm(Date.now());
+      return jsonResponse(record);
+    }
+
+    case '/status': {
+      const record = await storage.get('job');
+      return record ? jsonResponse(describeJob(record)) : new Response(null, { status: 404 });
+    }
+
+    case '/result':
+      return (await readResult(storage)) || new Response(null, { status: 404 });
+  }
+  return new Response(null, { status: 404 });
+}
+
+export async function runJobAlarm(state, run) {
+  const { storage } = state;
+  const record = await storage.get('job');
+  if (!record) return;
+
+  // A job found still running was cut off (by the CPU limit or an eviction) and would only be cut
+  // off again, so it fails instead of being retried
+  if (record.status === 'running') {
+    await storeOutcome(storage, record, {
+      response: failureResponse('The job was interrupted before it finished'),
+      report: null,
+    });
+  } else if (record.status === 'queued') {
+    await runJob(storage, run);
+  } else {
+    await storage.deleteAll();
+    return;
+  }
+  await storage.setAlarm(Date.now() + JOB_TTL);
+}
+
+function jobObject(env, id) {
+  try {
+    return env.JOBS.get(env.JOBS.idFromString(id));
+  } catch (error) {
+    return null; // Not an ID this namespace issued
+  }
+}
+
+async function storeJob(storage, id, body, contentType) {
+  const now = new Date().toISOString();
+  const record = {
+    id,
+    status: 'queued',
+    stage: null,
+    progress: 0,
+    createdAt: now,
+    updatedAt: now,
+    report: null,
+    error: null,
+  };
+  const length = await putChunks(storage, 'input', new Uint8Array(body));
+  await storage.put({ job: record, input: { length, contentType } });
+  return describeJob(record);
+}
+
+async function runJob(storage, run) {
+  // Let the response that created the job go out before the processing takes over the isolate
+  await yieldToEventLoop();
+
+  const record = await storage.get('job');
+  const input = await storage.get('input');
+  await updateJob(storage, record, { status: 'running', stage: STAGES[0].name });
+
+  let outcome;
+  try {
+    const body = await getChunks(storage, 'input', input.length);
+    outcome = await run(body, input.contentType, async stage => {
+      const index = STAGES.findIndex(({ name }) => name === stage);
+      const next = STAGES[index + 1];
+      await updateJob(storage, record, {
+        stage: next ? next.name : stage,
+        progress: STAGES.slice(0, index + 1).reduce((sum, { weight }) => sum + weight, 0),
+      });
+      // Status requests are answered between stages
+      await yieldToEventLoop();
+    });
+  } catch (error) {
+    console.error('Job failed:', error);
+    outcome = { response: failureResponse(error.message), report: null };
+  }
+  await storeOutcome(storage, record, outcome);
+}
+
+// Keeps the response for replaying and finishes the job: done for a success, failed with the
+// response's error body otherwise
+async function storeOutcome(storage, record, { response, report }) {
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  const length = await putChunks(storage, 'result', bytes);
+  await storage.put({
+    result: { length, status: response.status, headers: Object.fromEntries(response.headers) },
+  });
+
+  if (response.ok) {
+    await finishJob(storage, record, 'done', report, null);
+  } else {
+    await finishJob(storage, record, 'failed', null, JSON.parse(new TextDecoder().decode(bytes)));
+  }
+}
+
+async function finishJob(storage, record, status, report, error) {
+  await updateJob(storage, record, {
+    status,
+    stage: null,
+    progress: status === 'done' ? 100 : record.progress,
+    report,
+    error,
+  });
+  console.log(`Job ${record.id} ${status}`);
+}
+
+async function updateJob(storage, record, changes) {
+  Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+  await storage.put({ job: record });
+}
+
+async function readResult(storage) {
+  const result = await storage.get('result');
+  if (!result) return null;
+  return new Response(await getChunks(storage, 'result', result.length), {
+    status: result.status,
+    headers: result.headers,
+  });
+}
+
+// The client's view of a job record: where to fetch the result once it's done
+function describeJob(record) {
+  if (!record) return null;
+  return { ...record, result: record.status === 'done' ? `/api/jobs/${record.id}/result` : null };
+}
+
+// Stores bytes as prefix:0, prefix:1, ...; returns their length
+async function putChunks(storage, prefix, bytes) {
+  let entries = {};
+  let count = 0;
+  for (let offset = 0, n = 0; offset < bytes.length; offset += CHUNK_BYTES, n++) {
+    entries[`${prefix}:${n}`] = bytes.slice(offset, offset + CHUNK_BYTES);
+    if (++count === MAX_PUT_ENTRIES) {
+      await storage.put(entries);
+      entries = {};
+      count = 0;
+    }
+  }
+  if (count > 0) await storage.put(entries);
+  return bytes.length;
+}
+
+async function getChunks(storage, prefix, length) {
+  const output = new Uint8Array(length);
+  const chunks = await Promise.all(
+    Array.from({ length: Math.ceil(length / CHUNK_BYTES) }, (_, n) => storage.get(`${prefix}:${n}`)));
+  chunks.forEach((chunk, n) => output.set(chunk, n * CHUNK_BYTES));
+  return output;
+}
+
+// The parts of the Durable Object storage API that jobs use
+function createMemoryStorage() {
+  const data = new Map();
+  return {
+    async get(key) {
+      return data.get(key);
+    },
+    async put(entries) {
+      for (const [key, value] of Object.entries(entries)) data.set(key, value);
+    },
+  };
+}
+
+// The 500 the synchronous endpoint gives for an unexpected failure
+function failureResponse(details) {
+  return new Response(JSON.stringify({ error: 'Failed to process image', details }), {
+    status: 500,
+    headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
+  });
+}
+
+function jsonResponse(body) {
+  return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+}
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
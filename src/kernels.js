@@ -0,0 +1,120 @@
+import * as reference from './pixel-kernels.js';
+import * as morphology from './morphology.js';
+import { DEFAULT_DETECTION_PARAMS, brightSearchArea, enhancedSearchArea } from './detection-params.js';
+
+// The pixel kernels, run by the Rust/WASM module built from kernels/ (`npm run build:kernels`)
+// when it is deployed, and by the JS reference implementations otherwise. Both produce identical
+// output, so callers never need to know which one ran.
+
+// Not a literal, so bundling succeeds without a built src/kernels.wasm and the import fails at
+// runtime instead; wrangler uploads the file when it exists (find_additional_modules)
+const KERNELS_MODULE = './kernels.wasm';
+
+let wasm = null;
+let loading = null;
+
+// Instantiates the WASM kernels once per isolate; resolves either way
+export function loadKernels() {
+  loading ??= import(KERNELS_MODULE)
+    .then(module => initKernels(module.default))
+    .catch(error => console.log(`WASM kernels unavailable, using JS implementations: ${error.message}`));
+  return loading;
+}
+
+// Uses an already compiled WebAssembly.Module, or null to go back to the JS implementations
+export function initKernels(module) {
+  wasm = module ? new WebAssembly.Instance(module, {}).exports : null;
+  console.log(`Pixel kernels: ${kernelBackend()}`);
+}
+
+export function kernelBackend() {
+  return wasm ? 'wasm' : 'js';
+}
+
+// params: see src/detection-params.js; the search area is resolved here for the WASM kernel
+export function detectBrightRegions(pixels, width, height, params = DEFAULT_DETECTION_PARAMS) {
+  if (!wasm) return reference.detectBrightRegions(pixels, width, height, params);
+  const area = brightSearchArea(width, height, params);
+  return maskFromPixels(wasm.watermark_mask_bright_regions, pixels, width, height,
+    area.x0, area.y0, area.x1, area.y1, params.brightIntensity, params.contrastIntensity, params.minContrast);
+}
+
+export function createEnhancedWatermarkMask(pixels, width, height, params = DEFAULT_DETECTION_PARAMS) {
+  if (!wasm) return reference.createEnhancedWatermarkMask(pixels, width, height, params);
+  const area = enhancedSearchArea(width, height, params);
+  return maskFromPixels(wasm.watermark_mask_enhanced, pixels, width, height,
+    area.x0, area.y0, area.x1, area.y1, area.radius, params.enhancedIntensity, params.edgeIntensity,
+    params.minEdgeStrength, params.uniformIntensity, params.maxColorVariance);
+}
+
+export function dilateMask(mask, width, height, radius) {
+  if (!wasm) return morphology.dilateMask(mask, width, height, radius);
+  return maskFromMask(wasm.mask_dilate, mask, width, height, radius);
+}
+
+export function erodeMask(mask, width, height, radius) {
+  if (!wasm) return morphology.erodeMask(mask, width, height, radius);
+  return maskFromMask(wasm.mask_erode, mask, width, height, radius);
+}
+
+// Edits pixels in place; returns the number of pixels filled
+export function fillWithWindowMeans(pixels, mask, width, height, radius) {
+  if (!wasm) return morphology.fillWithWindowMeans(pixels, mask, width, height, radius);
+  return inpaintInPlace(wasm.inpaint_window_means, pixels, mask, width, height, radius);
+}
+
+// Edits pixels in place; returns the number of pixels filled
+export function applyBoundaryBasedInpainting(pixels, mask, width, height) {
+  if (!wasm) return reference.applyBoundaryBasedInpainting(pixels, mask, width, height);
+  return inpaintInPlace(wasm.inpaint_boundary, pixels, mask, width, height);
+}
+
+// Buffers live in the module's linear memory for the duration of one call. Views onto it are
+// taken afresh after every call, since a kernel that grows the memory detaches the old ones.
+
+function maskFromPixels(kernel, pixels, width, height, ...args) {
+  const pixelsPtr = copyIn(pixels);
+  const maskPtr = wasm.alloc(width * height);
+  try {
+    kernel(pixelsPtr, maskPtr, width, height, ...args);
+    return view(maskPtr, width * height).slice();
+  } finally {
+    wasm.dealloc(pixelsPtr, pixels.length);
+    wasm.dealloc(maskPtr, width * height);
+  }
+}
+
+function maskFromMask(kernel, mask, width, height, radius) {
+  const maskPtr = copyIn(mask);
+  const outputPtr = wasm.alloc(width * height);
+  try {
+    kernel(maskPtr, outputPtr, width, height, radius);
+    return view(outputPtr, width * height).slice();
+  } finally {
+    wasm.dealloc(maskPtr, mask.length);
+    wasm.dealloc(outputPtr, width * height);
+  }
+}
+
+function inpaintInPlace(kernel, pixels, mask, width, height, ...args) {
+  const pixelsPtr = copyIn(pixels);
+  const maskPtr = copyIn(mask);
+  try {
+    const filled = kernel(pixelsPtr, maskPtr, width, height, ...args);
+    pixels.set(view(pixelsPtr, pixels.length));
+    return filled;
+  } finally {
+    wasm.dealloc(pixelsPtr, pixels.length);
+    wasm.dealloc(maskPtr, mask.length);
+  }
+}
+
+function copyIn(data) {
+  const ptr = wasm.alloc(data.length);
+  view(ptr, data.length).set(data);
+  return ptr;
+}
+
+function view(ptr, length) {
+  return new Uint8Array(wasm.memory.buffer, ptr, length);
+}
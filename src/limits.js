@@ -0,0 +1,34 @@
+// Upload limits, configurable per deployment with wrangler.toml [vars]:
+//   MAX_UPLOAD_BYTES   largest accepted image file, in bytes
+//   MAX_MEGAPIXELS     largest accepted image, in decoded megapixels
+//   TILE_MEGAPIXELS    images above this are detected on a reduced copy and inpainted in tiles
+// Missing or invalid values fall back to the defaults.
+
+export const DEFAULT_LIMITS = {
+  maxBytes: 25 * 1024 * 1024,
+  // Each RGBA copy of an 8 MP image is 32 MB. The decoded pixels, Photon's copy on its WASM heap
+  // (which never shrinks) and the pipeline's working copies are held at once, so a larger image
+  // would crowd the Worker's 128 MB memory limit.
+  maxPixels: 8000000,
+  tilePixels: 4000000,
+};
+
+// Returns { maxBytes, maxPixels, tilePixels }
+export function readLimits(env) {
+  return {
+    maxBytes: readPositive(env, 'MAX_UPLOAD_BYTES', 1, DEFAULT_LIMITS.maxBytes),
+    maxPixels: readPositive(env, 'MAX_MEGAPIXELS', 1e6, DEFAULT_LIMITS.maxPixels),
+    tilePixels: readPositive(env, 'TILE_MEGAPIXELS', 1e6, DEFAULT_LIMITS.tilePixels),
+  };
+}
+
+function readPositive(env, name, unit, fallback) {
+  const value = env && env[name];
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    console.log(`Ignoring invalid ${name}: ${value}`);
+    return fallback;
+  }
+  return Math.round(number * unit);
+}
@@ -0,0 +1,143 @@
+import { decodeImage } from './image-decode.js';
+import { processingError, isProcessingError } from './errors.js';
+
+// User-supplied watermark masks for /api/remove-watermark.
+// A mask is either an image (white = watermark, black = keep) or JSON shapes in image pixels:
+//   [{ "x": 10, "y": 20, "width": 100, "height": 40 }, { "points": [[0, 0], [50, 0], [25, 40]] }]
+
+// Parses the `mask` form field (file or string); throws with a readable message when invalid.
+// Mask images are held to maxPixels on their header, like any other input, before decoding.
+export async function parseMaskUpload(field, maxPixels) {
+  if (typeof field === 'string') {
+    return parseMaskShapes(field);
+  }
+
+  const bytes = new Uint8Array(await field.arrayBuffer());
+  const isJSON = (field.type || '').includes('json') || /\.json$/i.test(field.name || '') || startsWithJSON(bytes);
+
+  if (isJSON) {
+    return parseMaskShapes(new TextDecoder().decode(bytes));
+  }
+
+  return parseMaskImage(bytes, maxPixels);
+}
+
+function startsWithJSON(bytes) {
+  for (const byte of bytes) {
+    if (byte === 0x20 || byte === 0x0a || byte === 0x0d || byte === 0x09) continue;
+    return byte === 0x5b || byte === 0x7b; // '[' or '{'
+  }
+  return false;
+}
+
+function parseMaskImage(bytes, maxPixels) {
+  let image;
+  try {
+    image = decodeImage(bytes, maxPixels);
+  } catch (error) {
+    if (!isProcessingError(error)) throw new Error('Mask image could not be decoded');
+    throw processingError(error.code, `Mask image: ${error.message}`, error.extra);
+  }
+
+  const { pixels, width, height } = image;
+
+  // Bright, non-transparent pixels mark the watermark
+  const data = new Uint8Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    const p = i * 4;
+    const intensity = (pixels[p] + pixels[p + 1] + pixels[p + 2]) / 3;
+    data[i] = intensity >= 128 && pixels[p + 3] >= 128 ? 255 : 0;
+  }
+
+  return { type: 'bitmap', width, height, data };
+}
+
+function parseMaskShapes(json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error('Mask JSON could not be parsed');
+  }
+
+  const shapes = Array.isArray(parsed) ? parsed : parsed && parsed.shapes;
+  if (!Array.isArray(shapes) || shapes.length === 0) {
+    throw new Error('Mask JSON must be a non-empty array of rectangles or polygons');
+  }
+
+  return {
+    type: 'shapes',
+    shapes: shapes.map((shape, index) => {
+      if (shape && Array.isArray(shape.points)) {
+        const valid = shape.points.length >= 3 && shape.points.every(point =>
+          Array.isArray(point) && point.length === 2 && point.every(Number.isFinite));
+        if (!valid) {
+          throw new Error(`Mask shape ${index}: polygon needs at least 3 [x, y] points`);
+        }
+        return { points: shape.points };
+      }
+
+      const { x, y, width, height } = shape || {};
+      if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+        throw new Error(`Mask shape ${index}: expected { x, y, width, height } or { points }`);
+      }
+      return { x, y, width, height };
+    }),
+  };
+}
+
+// Renders a parsed mask at the image's size. A bitmap must already be that size: scaling one
+// would move its edges off the watermark's, so it's rejected instead.
+export function rasterizeMask(maskInput, width, height) {
+  if (maskInput.type === 'bitmap') {
+    if (maskInput.width !== width || maskInput.height !== height) {
+      throw processingError('invalid_mask',
+        `Mask image is ${maskInput.width}x${maskInput.height}, but the image is ${width}x${height}`,
+        { maskWidth: maskInput.width, maskHeight: maskInput.height, width, height });
+    }
+    return new Uint8Array(maskInput.data);
+  }
+
+  const mask = new Uint8Array(width * height);
+
+  for (const shape of maskInput.shapes) {
+    if (shape.points) {
+      fillPolygon(mask, width, height, shape.points);
+    } else {
+      const x0 = Math.max(0, Math.floor(shape.x));
+      const y0 = Math.max(0, Math.floor(shape.y));
+      const x1 = Math.min(width, Math.ceil(shape.x + shape.width));
+      const y1 = Math.min(height, Math.ceil(shape.y + shape.height));
+      for (let y = y0; y < y1; y++) {
+        mask.fill(255, y * width + x0, y * width + Math.max(x0, x1));
+      }
+    }
+  }
+
+  return mask;
+}
+
+// Even-odd scanline fill, sampling at pixel centers
+function fillPolygon(mask, width, height, points) {
+  for (let y = 0; y < height; y++) {
+    const sampleY = y + 0.5;
+    const crossings = [];
+
+    for (let i = 0; i < points.length; i++) {
+      const [x1, y1] = points[i];
+      const [x2, y2] = points[(i + 1) % points.length];
+      if ((y1 <= sampleY && y2 > sampleY) || (y2 <= sampleY && y1 > sampleY)) {
+        crossings.push(x1 + (sampleY - y1) * (x2 - x1) / (y2 - y1));
+      }
+    }
+
+    crossings.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const x0 = Math.max(0, Math.ceil(crossings[i] - 0.5));
+      const x1 = Math.min(width - 1, Math.floor(crossings[i + 1] - 0.5));
+      for (let x = x0; x <= x1; x++) {
+        mask[y * width + x] = 255;
+      }
+    }
+  }
+}
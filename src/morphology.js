@@ -0,0 +1,108 @@
+// Square-window mask morphology and window averages whose cost doesn't depend on the radius.
+// A square window is separable, so dilation and erosion run as a horizontal then a vertical pass,
+// each sliding a count of set pixels along the line. Window means keep per-column sums over the
+// rows in the window, moved down one row at a time, and slide a running total across them.
+
+// Pixels within `radius` of a set pixel (in a (2r+1)² window) become 255, the rest 0
+export function dilateMask(mask, width, height, radius) {
+  const rows = slidingPass(mask, height, width, width, 1, radius, false);
+  return slidingPass(rows, width, height, 1, width, radius, false);
+}
+
+// Pixels whose whole (2r+1)² window is set and inside the image stay 255, the rest become 0
+export function erodeMask(mask, width, height, radius) {
+  const rows = slidingPass(mask, height, width, width, 1, radius, true);
+  return slidingPass(rows, width, height, 1, width, radius, true);
+}
+
+// One direction of a square window: `lines` lines of `length` pixels, lineStep apart, with
+// pixelStep between neighbours. A pixel is set when any (or with `all`, every) pixel within
+// `radius` along its line is; pixels past the ends count as unset.
+function slidingPass(mask, lines, length, lineStep, pixelStep, radius, all) {
+  const output = new Uint8Array(mask.length);
+  const full = 2 * radius + 1;
+
+  for (let line = 0; line < lines; line++) {
+    const start = line * lineStep;
+    let count = 0;
+    for (let n = 0; n < Math.min(radius, length); n++) {
+      if (mask[start + n * pixelStep] > 0) count++;
+    }
+    for (let n = 0; n < length; n++) {
+      const enter = n + radius;
+      if (enter < length && mask[start + enter * pixelStep] > 0) count++;
+      const leave = n - radius - 1;
+      if (leave >= 0 && mask[start + leave * pixelStep] > 0) count--;
+      if (all ? count === full : count > 0) output[start + n * pixelStep] = 255;
+    }
+  }
+
+  return output;
+}
+
+// Replaces every masked pixel's RGB with the mean of the unmasked pixels in its (2r+1)² window,
+// clipped to the image; alpha is kept. Masked pixels never contribute, so filled pixels don't feed
+// into later ones. Pixels without an unmasked neighbour are left alone. Returns the number filled.
+export function fillWithWindowMeans(pixels, mask, width, height, radius) {
+  // Per-column sums of R, G, B and unmasked pixel count over rows y - r..y + r
+  const columns = new Uint32Array(width * 4);
+  const addRow = (y, sign) => {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (mask[i] > 0) continue;
+      const p = i * 4;
+      const c = x * 4;
+      columns[c] += sign * pixels[p];
+      columns[c + 1] += sign * pixels[p + 1];
+      columns[c + 2] += sign * pixels[p + 2];
+      columns[c + 3] += sign;
+    }
+  };
+
+  for (let y = 0; y < Math.min(radius, height); y++) addRow(y, 1);
+
+  let filled = 0;
+  for (let y = 0; y < height; y++) {
+    if (y + radius < height) addRow(y + radius, 1);
+    if (y - radius - 1 >= 0) addRow(y - radius - 1, -1);
+
+    let sumR = 0, sumG = 0, sumB = 0, count = 0;
+    for (let x = 0; x < Math.min(radius, width); x++) {
+      const c = x * 4;
+      sumR += columns[c];
+      sumG += columns[c + 1];
+      sumB += columns[c + 2];
+      count += columns[c + 3];
+    }
+
+    for (let x = 0; x < width; x++) {
+      const enter = x + radius;
+      if (enter < width) {
+        const c = enter * 4;
+        sumR += columns[c];
+        sumG += columns[c + 1];
+        sumB += columns[c + 2];
+        count += columns[c + 3];
+      }
+      const leave = x - radius - 1;
+      if (leave >= 0) {
+        const c = leave * 4;
+        sumR -= columns[c];
+        sumG -= columns[c + 1];
+        sumB -= columns[c + 2];
+        count -= columns[c + 3];
+      }
+
+      const i = y * width + x;
+      if (mask[i] > 0 && count > 0) {
+        const p = i * 4;
+        pixels[p] = Math.round(sumR / count);
+        pixels[p + 1] = Math.round(sumG / count);
+        pixels[p + 2] = Math.round(sumB / count);
+        filled++;
+      }
+    }
+  }
+
+  return filled;
+}
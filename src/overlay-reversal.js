@@ -0,0 +1,217 @@
+import { applyFastMarchingInpainting } from './telea-inpainting.js';
+
+// Semi-transparent overlay reversal.
+// A stamp blended at partial opacity leaves the content underneath recoverable:
+//   observed = alpha * colour + (1 - alpha) * original
+// The background under the mask is guessed by fast-marching inpainting; comparing it with what is
+// observed gives the blend ratio of every masked pixel, whose most common value is the overlay's alpha.
+// The blend is then inverted inside the overlay, so the real content comes back instead of
+// being hallucinated by an inpainter.
+
+const MIN_ALPHA = 0.05;
+const MAX_ALPHA = 0.92;     // Above this the original is too quantized to recover; treat as opaque
+const MIN_SAMPLES = 50;     // Overlay pixels needed for an estimate
+const RATIO_BINS = 100;
+const VOTE_RADIUS = 3;      // Membership is voted over a (2r+1)^2 window
+
+// Estimates { color, alpha, matte } from one or more same-size images carrying the same overlay.
+// samples: [{ pixels, mask }], where mask covers the overlay (a loose mask is fine).
+// matte holds the per-pixel overlay alpha (0 outside the stamp, up to `alpha` inside).
+export function estimateOverlay(samples, width, height) {
+  const prepared = samples.map(({ pixels, mask }) => {
+    const background = new Uint8Array(pixels);
+    applyFastMarchingInpainting(background, mask, width, height);
+    return { pixels, mask, background };
+  });
+
+  // First guess: a white overlay at the most common brightening ratio
+  let color = [255, 255, 255];
+  let alpha = estimateAlphaFromRatios(prepared, color);
+  if (alpha === null) {
+    console.log('Overlay estimation: no brightened pixels inside the mask');
+    return null;
+  }
+
+  let members = prepared.map(sample => classifyOverlay(sample, color, alpha, width, height));
+
+  // Colour from the classified overlay. Colour and alpha trade off against each other, so alpha
+  // stays at the ratio estimate rather than being re-fitted (which drifts towards darker, denser overlays)
+  const refinedColor = estimateColor(prepared, members, alpha);
+  if (refinedColor) {
+    color = refinedColor;
+    members = prepared.map(sample => classifyOverlay(sample, color, alpha, width, height));
+  }
+
+  const matte = buildMatte(prepared, members, color, alpha, width, height);
+  console.log(`Overlay estimate: colour rgb(${color.map(Math.round).join(', ')}), alpha ${alpha.toFixed(3)}` +
+    ` from ${samples.length} image(s)`);
+
+  return { color, alpha, matte };
+}
+
+export function isReversible(overlay) {
+  return !!overlay && overlay.alpha <= MAX_ALPHA;
+}
+
+// Inverts the blend wherever the matte is set; returns the number of pixels changed
+export function reverseOverlay(pixels, overlay, width, height) {
+  const { color, matte } = overlay;
+  let modified = 0;
+
+  for (let i = 0; i < width * height; i++) {
+    const a = Math.min(matte[i], MAX_ALPHA);
+    if (a <= 0) continue;
+
+    const p = i * 4;
+    for (let c = 0; c < 3; c++) {
+      const value = (pixels[p + c] - a * color[c]) / (1 - a);
+      pixels[p + c] = Math.round(Math.min(255, Math.max(0, value)));
+    }
+    modified++;
+  }
+
+  return modified;
+}
+
+// Mode of (observed - background) / (colour - background) over masked pixels
+// Restricted to the overlay members once they are known, otherwise to the whole mask
+function estimateAlphaFromRatios(prepared, color, members = null) {
+  const ratios = [];
+  for (const [s, { pixels, mask, background }] of prepared.entries()) {
+    const region = members ? members[s] : mask;
+    for (let i = 0; i < region.length; i++) {
+      if (region[i] === 0) continue;
+      const p = i * 4;
+      let numerator = 0, denominator = 0;
+      for (let c = 0; c < 3; c++) {
+        const headroom = color[c] - background[p + c];
+        numerator += (pixels[p + c] - background[p + c]) * headroom;
+        denominator += headroom * headroom;
+      }
+      if (denominator < 40 * 40 * 3) continue; // Background too close to the overlay colour to tell
+
+      const ratio = numerator / denominator;
+      if (ratio >= MIN_ALPHA * 2) ratios.push(ratio); // Skip the unblended margin around the stamp
+    }
+  }
+
+  return ratioMode(ratios);
+}
+
+// Peak of a smoothed histogram of blend ratios in [MIN_ALPHA, 1]
+function ratioMode(ratios) {
+  const bins = new Float64Array(RATIO_BINS + 1);
+  let total = 0;
+  for (const ratio of ratios) {
+    if (ratio < MIN_ALPHA || ratio > 1) continue;
+    bins[Math.round(ratio * RATIO_BINS)]++;
+    total++;
+  }
+  if (total < MIN_SAMPLES) return null;
+
+  let best = 0;
+  let bestCount = -1;
+  for (let b = 1; b < RATIO_BINS; b++) {
+    const smoothed = bins[b - 1] + 2 * bins[b] + bins[b + 1];
+    if (smoothed > bestCount) {
+      bestCount = smoothed;
+      best = b;
+    }
+  }
+  return best / RATIO_BINS;
+}
+
+// Overlay membership: pixels the blend model explains better than the plain background, voted
+// over a window so errors in the inpainted background don't punch holes into the stamp
+function classifyOverlay({ pixels, mask, background }, color, alpha, width, height) {
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (mask[i] > 0) {
+        const p = i * 4;
+        let plain = 0, blended = 0;
+        for (let c = 0; c < 3; c++) {
+          plain += Math.abs(pixels[p + c] - background[p + c]);
+          blended += Math.abs(pixels[p + c] - (alpha * color[c] + (1 - alpha) * background[p + c]));
+        }
+        rowSum += plain - blended;
+      }
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+
+  const members = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - VOTE_RADIUS), y1 = Math.min(height, y + VOTE_RADIUS + 1);
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (mask[i] === 0) continue;
+      const x0 = Math.max(0, x - VOTE_RADIUS), x1 = Math.min(width, x + VOTE_RADIUS + 1);
+      const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+        - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+      members[i] = sum > 0 ? 1 : 0;
+    }
+  }
+  return members;
+}
+
+// Colour as the per-channel median of what the blend model implies for each overlay pixel,
+// (observed - (1 - alpha) * background) / alpha; medians shrug off the inpainted background's errors
+function estimateColor(prepared, members, alpha) {
+  const channels = [[], [], []];
+  prepared.forEach(({ pixels, background }, s) => {
+    const member = members[s];
+    for (let i = 0; i < member.length; i++) {
+      if (!member[i]) continue;
+      const p = i * 4;
+      for (let c = 0; c < 3; c++) {
+        channels[c].push((pixels[p + c] - (1 - alpha) * background[p + c]) / alpha);
+      }
+    }
+  });
+
+  if (channels[0].length < MIN_SAMPLES) return null;
+  return channels.map(values => {
+    values.sort((a, b) => a - b);
+    return Math.min(255, Math.max(0, values[Math.floor(values.length / 2)]));
+  });
+}
+
+// Full alpha inside the overlay; anti-aliased edge pixels get a fractional alpha from their background
+function buildMatte(prepared, members, color, alpha, width, height) {
+  const matte = new Float32Array(width * height);
+
+  prepared.forEach(({ pixels, background }, s) => {
+    const member = members[s];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const edge = (x > 0 && member[i - 1] !== member[i]) || (x < width - 1 && member[i + 1] !== member[i]) ||
+          (y > 0 && member[i - width] !== member[i]) || (y < height - 1 && member[i + width] !== member[i]);
+
+        if (!edge) {
+          matte[i] += member[i] ? alpha : 0;
+          continue;
+        }
+
+        // Project the observed change onto the overlay direction
+        const p = i * 4;
+        let numerator = 0, denominator = 0;
+        for (let c = 0; c < 3; c++) {
+          const headroom = color[c] - background[p + c];
+          numerator += (pixels[p + c] - background[p + c]) * headroom;
+          denominator += headroom * headroom;
+        }
+        const fraction = denominator > 0 ? numerator / denominator : (member[i] ? alpha : 0);
+        matte[i] += Math.min(alpha, Math.max(0, fraction));
+      }
+    }
+  });
+
+  for (let i = 0; i < matte.length; i++) {
+    matte[i] /= prepared.length;
+  }
+  return matte;
+}
@@ -0,0 +1,282 @@
+import { DEFAULT_DETECTION_PARAMS, brightSearchArea, enhancedSearchArea } from './detection-params.js';
+
+// JS reference implementations of the mask detection and inpainting kernels.
+// src/kernels.js runs the Rust/WASM builds of these from kernels/ when they are available and
+// falls back to these otherwise; the two must agree pixel for pixel (test/kernels.test.mjs).
+
+// Contrast is measured against the mean of the (2r+1)² window around a pixel, which window sums
+// give in constant time. It equals the mean absolute difference from the neighbours whenever the
+// pixel is brighter (or darker) than all of them, as bold watermark text is.
+const CONTRAST_RADIUS = 3;
+
+// Bright, high-contrast pixels in the search area: by default the central 60% of the image, where
+// large watermarks typically appear (see src/detection-params.js)
+export function detectBrightRegions(pixels, width, height, params = DEFAULT_DETECTION_PARAMS) {
+  const mask = new Uint8Array(width * height);
+  const area = brightSearchArea(width, height, params);
+  const x0 = Math.max(5, area.x0);
+  const x1 = Math.min(width - 5, area.x1);
+  const y0 = Math.max(5, area.y0);
+  const y1 = Math.min(height - 5, area.y1);
+  if (x0 >= x1 || y0 >= y1) return mask;
+
+  // Per-column sums of R + G + B over the rows of the contrast window, for the columns the
+  // windows reach; moved down a row at a time, with a running total slid across them
+  const columnStart = Math.max(0, x0 - CONTRAST_RADIUS);
+  const columnEnd = Math.min(width, x1 + CONTRAST_RADIUS);
+  const columns = new Int32Array(columnEnd - columnStart);
+  const addRow = (y, sign) => {
+    for (let x = columnStart; x < columnEnd; x++) {
+      const p = (y * width + x) * 4;
+      columns[x - columnStart] += sign * (pixels[p] + pixels[p + 1] + pixels[p + 2]);
+    }
+  };
+  for (let y = Math.max(0, y0 - CONTRAST_RADIUS); y < Math.min(height, y0 + CONTRAST_RADIUS); y++) addRow(y, 1);
+
+  // More aggressive detection for large, bold text watermarks
+  for (let y = y0; y < y1; y++) {
+    if (y + CONTRAST_RADIUS < height) addRow(y + CONTRAST_RADIUS, 1);
+    if (y > y0 && y - CONTRAST_RADIUS - 1 >= 0) addRow(y - CONTRAST_RADIUS - 1, -1);
+    const rows = Math.min(height - 1, y + CONTRAST_RADIUS) - Math.max(0, y - CONTRAST_RADIUS) + 1;
+
+    let windowSum = 0;
+    for (let x = Math.max(0, x0 - CONTRAST_RADIUS); x < Math.min(width, x0 + CONTRAST_RADIUS); x++) {
+      windowSum += columns[x - columnStart];
+    }
+
+    for (let x = x0; x < x1; x++) {
+      if (x + CONTRAST_RADIUS < width) windowSum += columns[x + CONTRAST_RADIUS - columnStart];
+      if (x > x0 && x - CONTRAST_RADIUS - 1 >= 0) windowSum -= columns[x - CONTRAST_RADIUS - 1 - columnStart];
+      const idx = (y * width + x) * 4;
+
+      // Get pixel intensity
+      const sum = pixels[idx] + pixels[idx + 1] + pixels[idx + 2];
+      const intensity = sum / 3;
+
+      // For large bold watermarks, look for:
+      // 1. Bright pixels (white/light text)
+      // 2. High contrast with surroundings
+      // 3. Consistent patterns (not isolated pixels)
+      // Very bright pixels pass on their own, so contrast is only checked for the band below
+      const isConsistentBright = intensity > params.brightIntensity; // Very bright pixels (common in bold watermarks)
+      let isBrightWatermark = false;
+      if (!isConsistentBright && intensity > params.contrastIntensity) {
+        const columnCount = Math.min(width - 1, x + CONTRAST_RADIUS) - Math.max(0, x - CONTRAST_RADIUS) + 1;
+        const neighbours = rows * columnCount - 1;
+        // Contrast with the surroundings: how far the pixel is from its neighbours' mean
+        const contrast = Math.abs(intensity - (windowSum - sum) / 3 / neighbours);
+        isBrightWatermark = contrast > params.minContrast; // Bright text with contrast
+      }
+
+      if (isBrightWatermark || isConsistentBright) {
+        mask[y * width + x] = 255;
+      }
+    }
+  }
+
+  return mask;
+}
+
+// Multi-criteria mask (brightness, Sobel edges, colour uniformity) within the search area: by
+// default the central disc (see src/detection-params.js)
+export function createEnhancedWatermarkMask(pixels, width, height, params = DEFAULT_DETECTION_PARAMS) {
+  const mask = new Uint8Array(width * height);
+  const area = enhancedSearchArea(width, height, params);
+
+  // Focus on center region for large watermarks
+  const centerX = Math.floor(width / 2);
+  const centerY = Math.floor(height / 2);
+
+  for (let y = area.y0; y < area.y1; y++) {
+    for (let x = area.x0; x < area.x1; x++) {
+      const distFromCenter = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
+      if (distFromCenter > area.radius) continue;
+
+      const idx = (y * width + x) * 4;
+      const r = pixels[idx];
+      const g = pixels[idx + 1];
+      const b = pixels[idx + 2];
+      const intensity = (r + g + b) / 3;
+
+      // Multi-criteria detection for better watermark identification
+      let isWatermark = false;
+
+      // Criterion 1: Brightness-based detection
+      if (intensity > params.enhancedIntensity) {
+        isWatermark = true;
+      }
+
+      // Criterion 2: Edge-based detection for text boundaries
+      if (intensity > params.edgeIntensity) {
+        const edgeStrength = calculateEdgeStrength(pixels, x, y, width, height);
+        if (edgeStrength > params.minEdgeStrength) {
+          isWatermark = true;
+        }
+      }
+
+      // Criterion 3: Color uniformity (watermarks often have consistent color)
+      if (intensity > params.uniformIntensity) {
+        const colorVariance = Math.abs(r - g) + Math.abs(g - b) + Math.abs(r - b);
+        if (colorVariance < params.maxColorVariance) { // Low color variance indicates uniform watermark
+          isWatermark = true;
+        }
+      }
+
+      if (isWatermark) {
+        mask[y * width + x] = 255;
+      }
+    }
+  }
+
+  return mask;
+}
+
+// Sobel gradient magnitude of the mean intensity at (x, y); 0 on the image border
+export function calculateEdgeStrength(pixels, x, y, width, height) {
+  if (x < 1 || x >= width - 1 || y < 1 || y >= height - 1) return 0;
+
+  const getIntensity = (px, py) => {
+    const idx = (py * width + px) * 4;
+    return (pixels[idx] + pixels[idx + 1] + pixels[idx + 2]) / 3;
+  };
+
+  // Simple Sobel edge detection
+  const gx = -getIntensity(x-1, y-1) + getIntensity(x+1, y-1) +
+             -2*getIntensity(x-1, y) + 2*getIntensity(x+1, y) +
+             -getIntensity(x-1, y+1) + getIntensity(x+1, y+1);
+
+  const gy = -getIntensity(x-1, y-1) - 2*getIntensity(x, y-1) - getIntensity(x+1, y-1) +
+             getIntensity(x-1, y+1) + 2*getIntensity(x, y+1) + getIntensity(x+1, y+1);
+
+  return Math.sqrt(gx * gx + gy * gy);
+}
+
+export function applyBoundaryBasedInpainting(pixels, mask, width, height) {
+  // Fill from the mask boundary inward: each pass inpaints the pixels touching known
+  // ones, which then serve as samples for the next ring. The rings are queued breadth-first from
+  // the pixels just filled, so they come in order of distance from the known pixels and each pass
+  // visits only its ring instead of the whole image.
+  const remaining = new Uint8Array(mask);
+  const queued = new Uint8Array(mask.length);
+  let ring = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      if (remaining[idx] > 0 && touchesKnownPixel(remaining, x, y, width, height)) {
+        ring.push(idx);
+        queued[idx] = 1;
+      }
+    }
+  }
+  let pixelsModified = 0;
+
+  while (ring.length > 0) {
+    const filled = [];
+    // Pixels without enough known samples yet are tried again with the next ring
+    const next = [];
+
+    for (const idx of ring) {
+      const x = idx % width;
+      // Use progressive distance-based inpainting
+      const inpaintedColor = progressiveInpainting(pixels, remaining, x, (idx - x) / width, width, height);
+      if (inpaintedColor) {
+        filled.push(idx, inpaintedColor);
+      } else {
+        next.push(idx);
+      }
+    }
+
+    if (filled.length === 0) break;
+
+    for (let i = 0; i < filled.length; i += 2) {
+      const idx = filled[i];
+      const color = filled[i + 1];
+      const pixelIdx = idx * 4;
+
+      pixels[pixelIdx] = color.r;
+      pixels[pixelIdx + 1] = color.g;
+      pixels[pixelIdx + 2] = color.b;
+      remaining[idx] = 0;
+      pixelsModified++;
+    }
+
+    // The next ring: masked pixels touching the ones just filled
+    for (let i = 0; i < filled.length; i += 2) {
+      const idx = filled[i];
+      const x = idx % width;
+      const y = (idx - x) / width;
+      for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+          const n = ny * width + nx;
+          if (remaining[n] > 0 && !queued[n]) {
+            queued[n] = 1;
+            next.push(n);
+          }
+        }
+      }
+    }
+    ring = next;
+  }
+
+  return pixelsModified;
+}
+
+function touchesKnownPixel(mask, x, y, width, height) {
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      const ny = y + dy;
+      const nx = x + dx;
+
+      if (ny >= 0 && ny < height && nx >= 0 && nx < width && mask[ny * width + nx] === 0) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+function progressiveInpainting(pixels, mask, x, y, width, height) {
+  // Try increasingly larger radii to find good inpainting samples
+  const maxRadius = 20;
+
+  for (let radius = 3; radius <= maxRadius; radius += 2) {
+    let sumR = 0, sumG = 0, sumB = 0, count = 0;
+    let weightSum = 0;
+
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        const ny = y + dy;
+        const nx = x + dx;
+
+        if (ny >= 0 && ny < height && nx >= 0 && nx < width) {
+          const nIdx = ny * width + nx;
+
+          // Only use pixels that are not part of watermark
+          if (mask[nIdx] === 0) {
+            const nPixelIdx = nIdx * 4;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            const weight = 1.0 / (1.0 + distance);
+
+            sumR += pixels[nPixelIdx] * weight;
+            sumG += pixels[nPixelIdx + 1] * weight;
+            sumB += pixels[nPixelIdx + 2] * weight;
+            weightSum += weight;
+            count++;
+          }
+        }
+      }
+    }
+
+    // If we found enough samples, use them
+    if (count >= 8) {
+      return {
+        r: Math.round(sumR / weightSum),
+        g: Math.round(sumG / weightSum),
+        b: Math.round(sumB / weightSum)
+      };
+    }
+  }
+
+  return null;
+}
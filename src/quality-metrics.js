@@ -0,0 +1,159 @@
+import { calculateEdgeStrength } from './pixel-kernels.js';
+
+// Image quality metrics, for /api/evaluate and the regression tests. Images are same-sized RGBA
+// pixel arrays and masks have a byte per pixel (non-zero = masked); alpha is ignored throughout.
+// psnr and ssim compare a rectangle, { x, y, width, height }, of two images.
+
+const SSIM_WINDOW = 8;
+const SSIM_STRIDE = 4;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+// The Sobel strength the enhanced mask detector takes for a text boundary
+const CONTOUR_EDGE_STRENGTH = 30;
+
+// Peak signal-to-noise ratio in dB over the RGB channels; Infinity for identical pixels
+export function psnr(a, b, width, rect) {
+  let squaredError = 0;
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      const p = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        const diff = a[p + c] - b[p + c];
+        squaredError += diff * diff;
+      }
+    }
+  }
+  const mse = squaredError / (rect.width * rect.height * 3);
+  return mse === 0 ? Infinity : 10 * Math.log10(255 * 255 / mse);
+}
+
+// Mean structural similarity of the luma over 8×8 windows at a stride of 4; 1 for identical pixels
+export function ssim(a, b, width, rect) {
+  const lumaA = luma(a, width, rect);
+  const lumaB = luma(b, width, rect);
+  const window = Math.min(SSIM_WINDOW, rect.width, rect.height);
+  let total = 0;
+  let windows = 0;
+
+  for (let y0 = 0; y0 + window <= rect.height; y0 += SSIM_STRIDE) {
+    for (let x0 = 0; x0 + window <= rect.width; x0 += SSIM_STRIDE) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+      for (let y = y0; y < y0 + window; y++) {
+        for (let x = x0; x < x0 + window; x++) {
+          const i = y * rect.width + x;
+          sumA += lumaA[i];
+          sumB += lumaB[i];
+          sumAA += lumaA[i] * lumaA[i];
+          sumBB += lumaB[i] * lumaB[i];
+          sumAB += lumaA[i] * lumaB[i];
+        }
+      }
+      const n = window * window;
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      const varianceA = sumAA / n - meanA * meanA;
+      const varianceB = sumBB / n - meanB * meanB;
+      const covariance = sumAB / n - meanA * meanB;
+      total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+        ((meanA * meanA + meanB * meanB + SSIM_C1) * (varianceA + varianceB + SSIM_C2));
+      windows++;
+    }
+  }
+
+  return windows === 0 ? 1 : total / windows;
+}
+
+// The share of the watermark's energy (squared RGB difference from the clean image) left inside the
+// mask: 0 when the masked pixels match the clean image, 1 when they are as far from it as the input
+// was. null when the input already matched the clean image there.
+export function residualEnergy(input, output, clean, mask) {
+  let before = 0;
+  let after = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] === 0) continue;
+    const p = i * 4;
+    for (let c = 0; c < 3; c++) {
+      const inputDiff = input[p + c] - clean[p + c];
+      const outputDiff = output[p + c] - clean[p + c];
+      before += inputDiff * inputDiff;
+      after += outputDiff * outputDiff;
+    }
+  }
+  return before === 0 ? null : after / before;
+}
+
+// How much changed where removal should leave the image alone: { changedPixels, changedFraction,
+// meanAbsoluteError }, the error averaged over the RGB channels of every unmasked pixel
+export function outsideMaskChange(input, output, mask) {
+  let unmasked = 0;
+  let changedPixels = 0;
+  let absoluteError = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] > 0) continue;
+    const p = i * 4;
+    let pixelError = 0;
+    for (let c = 0; c < 3; c++) {
+      pixelError += Math.abs(input[p + c] - output[p + c]);
+    }
+    unmasked++;
+    if (pixelError > 0) changedPixels++;
+    absoluteError += pixelError;
+  }
+  return {
+    changedPixels,
+    changedFraction: unmasked === 0 ? 0 : changedPixels / unmasked,
+    meanAbsoluteError: unmasked === 0 ? 0 : absoluteError / (unmasked * 3),
+  };
+}
+
+// No-reference: how sharp the watermark's contours (masked pixels that are edges in the input) still
+// are in the output, as the ratio of their mean edge strength after and before. 0 when the contours
+// are gone, 1 when they are untouched. { ratio, contourPixels }; ratio is null without contours.
+export function edgeResidue(input, output, mask, width, height) {
+  let before = 0;
+  let after = 0;
+  let contourPixels = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      if (mask[y * width + x] === 0) continue;
+      const strength = calculateEdgeStrength(input, x, y, width, height);
+      if (strength <= CONTOUR_EDGE_STRENGTH) continue;
+      before += strength;
+      after += calculateEdgeStrength(output, x, y, width, height);
+      contourPixels++;
+    }
+  }
+  return { ratio: contourPixels === 0 ? null : after / before, contourPixels };
+}
+
+// No-reference: mean edge strength along the mask's boundary (masked pixels with an unmasked
+// neighbour), where a fill that doesn't meet its surroundings leaves a seam: { input, output }
+export function boundaryEdgeStrength(input, output, mask, width, height) {
+  let before = 0;
+  let after = 0;
+  let boundaryPixels = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      if (mask[i] === 0) continue;
+      if (mask[i - 1] > 0 && mask[i + 1] > 0 && mask[i - width] > 0 && mask[i + width] > 0) continue;
+      before += calculateEdgeStrength(input, x, y, width, height);
+      after += calculateEdgeStrength(output, x, y, width, height);
+      boundaryPixels++;
+    }
+  }
+  return boundaryPixels === 0
+    ? { input: 0, output: 0 }
+    : { input: before / boundaryPixels, output: after / boundaryPixels };
+}
+
+function luma(pixels, width, rect) {
+  const output = new Float64Array(rect.width * rect.height);
+  for (let y = 0; y < rect.height; y++) {
+    for (let x = 0; x < rect.width; x++) {
+      const p = ((rect.y + y) * width + rect.x + x) * 4;
+      output[y * rect.width + x] = 0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2];
+    }
+  }
+  return output;
+}
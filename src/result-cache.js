@@ -0,0 +1,88 @@
+// Processed results, keyed by a hash of the upload and every option that affects the output, so
+// resubmitting the same image with the same settings skips the processing.
+// Uses the Cache API where the runtime has one (deployed, and under `wrangler dev`), which is
+// per data centre and may evict early; otherwise the most recent results are kept in this
+// isolate's memory.
+
+const CACHE_VERSION = 2; // Bump when a change alters the output for the same input and options
+const CACHE_TTL = 24 * 60 * 60; // Seconds
+const CACHE_ORIGIN = 'https://result-cache.watermarknt.invalid/';
+const MAX_MEMORY_ENTRIES = 16;
+
+const memoryCache = new Map(); // key -> { status, headers, bytes }, oldest first
+
+// Hex SHA-256 of the inputs. Binary values (images, masks, references) are hashed on their own and
+// stand in for their bytes, so the key is a digest of a small JSON document.
+export async function resultCacheKey(inputs) {
+  const normalized = await digestBinaries({ version: CACHE_VERSION, ...inputs });
+  return sha256(new TextEncoder().encode(JSON.stringify(normalized)));
+}
+
+export function resultETag(key) {
+  return `"${key}"`;
+}
+
+// If-None-Match holds the ETag, or * when `stored` (a result exists for it); weak validators match too
+export function matchesETag(ifNoneMatch, etag, stored = false) {
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch.split(',').some(tag => {
+    const value = tag.trim().replace(/^W\//, '');
+    return value === etag || (stored && value === '*');
+  });
+}
+
+// The stored response, or null
+export async function readCachedResult(key) {
+  if (typeof caches !== 'undefined') {
+    const cached = await caches.default.match(CACHE_ORIGIN + key);
+    if (!cached) return null;
+    const headers = new Headers(cached.headers);
+    headers.delete('Cache-Control');
+    return new Response(cached.body, { status: cached.status, headers });
+  }
+
+  const entry = memoryCache.get(key);
+  if (!entry) return null;
+  memoryCache.delete(key);
+  memoryCache.set(key, entry);
+  return new Response(entry.bytes, { status: entry.status, headers: entry.headers });
+}
+
+// Stores a copy of the response; the caller's response is left unread
+export async function cacheResult(key, response) {
+  const copy = response.clone();
+  if (typeof caches !== 'undefined') {
+    const headers = new Headers(copy.headers);
+    headers.set('Cache-Control', `max-age=${CACHE_TTL}`);
+    await caches.default.put(CACHE_ORIGIN + key, new Response(copy.body, { status: copy.status, headers }));
+    return;
+  }
+
+  memoryCache.set(key, {
+    status: copy.status,
+    headers: Object.fromEntries(copy.headers),
+    bytes: new Uint8Array(await copy.arrayBuffer()),
+  });
+  while (memoryCache.size > MAX_MEMORY_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+async function digestBinaries(value) {
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    return { sha256: await sha256(value) };
+  }
+  if (Array.isArray(value)) {
+    return Promise.all(value.map(digestBinaries));
+  }
+  if (value && typeof value === 'object') {
+    const entries = await Promise.all(Object.entries(value).map(async ([name, item]) => [name, await digestBinaries(item)]));
+    return Object.fromEntries(entries);
+  }
+  return value;
+}
+
+async function sha256(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,197 @@
+// Fast-marching inpainting (Telea 2004).
+// Masked pixels are filled in order of their distance from the mask boundary, computed on the fly
+// by the fast marching method. Each pixel is estimated from the already-known pixels around it,
+// extrapolated along their image gradient and weighted by direction, distance and level-set
+// proximity, so colour gradients carry into the middle of wide masks instead of flattening out.
+
+const INPAINT_RADIUS = 6; // Neighbourhood contributing to each filled pixel
+
+const KNOWN = 0;
+const BAND = 1;
+const INSIDE = 2;
+
+export function applyFastMarchingInpainting(pixels, mask, width, height) {
+  const size = width * height;
+  const flags = new Uint8Array(size);
+  const distance = new Float32Array(size);
+  const heap = [];
+
+  for (let i = 0; i < size; i++) {
+    if (mask[i] > 0) {
+      flags[i] = INSIDE;
+      distance[i] = Infinity;
+    }
+  }
+
+  // The narrow band starts as the known pixels bordering the mask
+  for (let i = 0; i < size; i++) {
+    if (flags[i] !== KNOWN) continue;
+    const x = i % width;
+    const y = Math.floor(i / width);
+    if ((x > 0 && flags[i - 1] === INSIDE) || (x < width - 1 && flags[i + 1] === INSIDE) ||
+        (y > 0 && flags[i - width] === INSIDE) || (y < height - 1 && flags[i + width] === INSIDE)) {
+      flags[i] = BAND;
+      heapPush(heap, distance, i);
+    }
+  }
+
+  const values = new Float32Array(size * 3);
+  for (let i = 0; i < size; i++) {
+    values[i * 3] = pixels[i * 4];
+    values[i * 3 + 1] = pixels[i * 4 + 1];
+    values[i * 3 + 2] = pixels[i * 4 + 2];
+  }
+
+  let modified = 0;
+  while (heap.length > 0) {
+    const current = heapPop(heap, distance);
+    flags[current] = KNOWN;
+    const cx = current % width;
+    const cy = Math.floor(current / width);
+
+    const neighbours = [[cx - 1, cy], [cx + 1, cy], [cx, cy - 1], [cx, cy + 1]];
+    for (const [x, y] of neighbours) {
+      if (x < 0 || x >= width || y < 0 || y >= height) continue;
+      const i = y * width + x;
+      if (flags[i] !== INSIDE) continue;
+
+      distance[i] = Math.min(
+        solveEikonal(flags, distance, width, height, x - 1, y, x, y - 1),
+        solveEikonal(flags, distance, width, height, x + 1, y, x, y - 1),
+        solveEikonal(flags, distance, width, height, x - 1, y, x, y + 1),
+        solveEikonal(flags, distance, width, height, x + 1, y, x, y + 1)
+      );
+
+      inpaintPixel(values, flags, distance, width, height, x, y);
+      pixels[i * 4] = Math.round(values[i * 3]);
+      pixels[i * 4 + 1] = Math.round(values[i * 3 + 1]);
+      pixels[i * 4 + 2] = Math.round(values[i * 3 + 2]);
+      modified++;
+
+      flags[i] = BAND;
+      heapPush(heap, distance, i);
+    }
+  }
+
+  return modified;
+}
+
+// Arrival time from two orthogonal neighbours, |grad T| = 1
+function solveEikonal(flags, distance, width, height, x1, y1, x2, y2) {
+  const valid1 = x1 >= 0 && x1 < width && y1 >= 0 && y1 < height && flags[y1 * width + x1] !== INSIDE;
+  const valid2 = x2 >= 0 && x2 < width && y2 >= 0 && y2 < height && flags[y2 * width + x2] !== INSIDE;
+  const t1 = valid1 ? distance[y1 * width + x1] : Infinity;
+  const t2 = valid2 ? distance[y2 * width + x2] : Infinity;
+
+  if (valid1 && valid2) {
+    const r = Math.sqrt(Math.max(0, 2 - (t1 - t2) * (t1 - t2)));
+    const s = (t1 + t2 - r) / 2;
+    if (s >= t1 && s >= t2) return s;
+    if (s + r >= t1 && s + r >= t2) return s + r;
+    return Infinity;
+  }
+  if (valid1) return 1 + t1;
+  if (valid2) return 1 + t2;
+  return Infinity;
+}
+
+// Central difference along one axis using only pixels that are not still unknown
+function gradientAt(field, flags, width, height, x, y, axis, channels = 1, channel = 0) {
+  const step = axis === 0 ? 1 : width;
+  const position = axis === 0 ? x : y;
+  const limit = axis === 0 ? width : height;
+  const i = y * width + x;
+  const hasPrev = position > 0 && flags[i - step] !== INSIDE;
+  const hasNext = position < limit - 1 && flags[i + step] !== INSIDE;
+
+  if (hasPrev && hasNext) return (field[(i + step) * channels + channel] - field[(i - step) * channels + channel]) / 2;
+  if (hasNext) return field[(i + step) * channels + channel] - field[i * channels + channel];
+  if (hasPrev) return field[i * channels + channel] - field[(i - step) * channels + channel];
+  return 0;
+}
+
+function inpaintPixel(values, flags, distance, width, height, x, y) {
+  const i = y * width + x;
+  let normalX = gradientAt(distance, flags, width, height, x, y, 0);
+  let normalY = gradientAt(distance, flags, width, height, x, y, 1);
+  const normalLength = Math.hypot(normalX, normalY);
+  if (normalLength > 0) {
+    normalX /= normalLength;
+    normalY /= normalLength;
+  }
+
+  const sums = [0, 0, 0];
+  const lows = [255, 255, 255];
+  const highs = [0, 0, 0];
+  let weightSum = 0;
+
+  for (let dy = -INPAINT_RADIUS; dy <= INPAINT_RADIUS; dy++) {
+    const ny = y + dy;
+    if (ny < 0 || ny >= height) continue;
+    for (let dx = -INPAINT_RADIUS; dx <= INPAINT_RADIUS; dx++) {
+      const nx = x + dx;
+      if (nx < 0 || nx >= width || (dx === 0 && dy === 0)) continue;
+      const lengthSq = dx * dx + dy * dy;
+      if (lengthSq > INPAINT_RADIUS * INPAINT_RADIUS) continue;
+      const n = ny * width + nx;
+      if (flags[n] === INSIDE) continue;
+
+      // r points from the neighbour to the pixel being filled
+      const rx = -dx, ry = -dy;
+      const length = Math.sqrt(lengthSq);
+      const direction = Math.max(1e-6, Math.abs(rx * normalX + ry * normalY) / length);
+      const proximity = 1 / lengthSq;
+      const level = 1 / (1 + Math.abs(distance[n] - distance[i]));
+      const weight = direction * proximity * level;
+
+      for (let c = 0; c < 3; c++) {
+        const value = values[n * 3 + c];
+        const gx = gradientAt(values, flags, width, height, nx, ny, 0, 3, c);
+        const gy = gradientAt(values, flags, width, height, nx, ny, 1, 3, c);
+        sums[c] += weight * (value + gx * rx + gy * ry);
+        lows[c] = Math.min(lows[c], value);
+        highs[c] = Math.max(highs[c], value);
+      }
+      weightSum += weight;
+    }
+  }
+
+  // Linear extrapolation overshoots at hard edges (line art), so stay within the neighbours' range
+  if (weightSum > 0) {
+    for (let c = 0; c < 3; c++) {
+      values[i * 3 + c] = Math.min(highs[c], Math.max(lows[c], sums[c] / weightSum));
+    }
+  }
+}
+
+// Binary min-heap of pixel indices, keyed by their current distance
+function heapPush(heap, keys, index) {
+  heap.push(index);
+  let child = heap.length - 1;
+  while (child > 0) {
+    const parent = (child - 1) >> 1;
+    if (keys[heap[parent]] <= keys[heap[child]]) break;
+    [heap[parent], heap[child]] = [heap[child], heap[parent]];
+    child = parent;
+  }
+}
+
+function heapPop(heap, keys) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let parent = 0;
+    for (;;) {
+      const left = parent * 2 + 1;
+      const right = left + 1;
+      let smallest = parent;
+      if (left < heap.length && keys[heap[left]] < keys[heap[smallest]]) smallest = left;
+      if (right < heap.length && keys[heap[right]] < keys[heap[smallest]]) smallest = right;
+      if (smallest === parent) break;
+      [heap[parent], heap[smallest]] = [heap[smallest], heap[parent]];
+      parent = smallest;
+    }
+  }
+  return top;
+}
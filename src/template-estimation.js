@@ -0,0 +1,182 @@
+import { fft2d, nextPowerOfTwo } from './fft.js';
+import { estimateOverlay } from './overlay-reversal.js';
+import { dilateMask } from './kernels.js';
+
+// Shared watermark template from a set of images carrying the same mark at the same position
+// (Dekel et al., "On the Effectiveness of Visible Watermarks", 2017).
+// Card art differs from image to image while the mark does not, so the per-pixel median of the
+// luminance gradients keeps only the watermark's edges. Integrating that gradient field (a Poisson
+// solve) gives the watermark's footprint, and the overlay colour and alpha matte are then
+// estimated over it from the images themselves.
+
+const MIN_IMAGES = 3;          // A median of fewer images doesn't suppress the content
+const OVERLAY_SAMPLES = 6;     // Images used for the colour and alpha estimate
+const SUPPORT_THRESHOLD = 0.3; // Fraction of the peak integrated response counted as watermark
+const SUPPORT_MARGIN = 2;      // Pixels added around the footprint for anti-aliased edges
+
+// Working memory, in bytes per pixel, of the estimate's stages. Every image's RGBA stays in memory
+// throughout; the median takes two Int16 gradient planes per image, and Float32 gx and gy; the
+// Poisson solve keeps gx and gy and adds Float64 re and im planes over the power-of-two padded
+// size; the overlay estimate holds an inpainted copy and a membership plane for each of its
+// samples, the fast-marching state, a Float64 integral image and the footprint, masks and mattes.
+const IMAGE_BYTES = 4;
+const GRADIENT_STACK_BYTES = 4;
+const MEDIAN_BYTES = 8;
+const FFT_BYTES = 16;
+const OVERLAY_BYTES = (4 + 1) * OVERLAY_SAMPLES + 20 + 8 + 22;
+
+// images: [{ pixels, width, height }] of equal size. Returns
+// { width, height, mask, color, alpha, matte } where color/alpha/matte are null for opaque marks.
+export function estimateTemplate(images) {
+  if (images.length < MIN_IMAGES) {
+    throw new Error(`At least ${MIN_IMAGES} images of the same size are needed, got ${images.length}`);
+  }
+  const { width, height } = images[0];
+
+  const { gx, gy } = medianGradients(images, width, height);
+  const footprint = integrateGradients(gx, gy, width, height);
+  const { core, mask } = thresholdFootprint(footprint, width, height);
+
+  let maskedPixels = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] > 0) maskedPixels++;
+  }
+  console.log(`Template footprint covers ${maskedPixels} pixels from ${images.length} images`);
+  if (maskedPixels === 0) {
+    return { width, height, mask, color: null, alpha: null, matte: null };
+  }
+
+  const samples = images.slice(0, OVERLAY_SAMPLES).map(image => ({ pixels: image.pixels, mask }));
+  const overlay = estimateOverlay(samples, width, height);
+
+  if (!overlay) {
+    return { width, height, mask, color: null, alpha: null, matte: null };
+  }
+
+  // Per-image overlay classification has holes wherever the background resembles the mark;
+  // the footprint is reliable, so its core gets the full alpha and only the margin keeps the estimate
+  const matte = new Float32Array(width * height);
+  for (let i = 0; i < matte.length; i++) {
+    matte[i] = core[i] ? overlay.alpha : overlay.matte[i];
+  }
+
+  return { width, height, mask, color: overlay.color, alpha: overlay.alpha, matte };
+}
+
+// Peak bytes estimateTemplate needs for images holding `totalPixels` in all, at width x height
+export function templateMemoryBytes(totalPixels, width, height) {
+  const pixels = width * height;
+  const padded = nextPowerOfTwo(width + 2) * nextPowerOfTwo(height + 2);
+  return totalPixels * IMAGE_BYTES + Math.max(
+    totalPixels * GRADIENT_STACK_BYTES + pixels * MEDIAN_BYTES,
+    pixels * MEDIAN_BYTES + padded * FFT_BYTES,
+    pixels * OVERLAY_BYTES
+  );
+}
+
+// Per-pixel median across images of forward-difference luminance gradients
+function medianGradients(images, width, height) {
+  const count = images.length;
+  const stackX = new Int16Array(width * height * count);
+  const stackY = new Int16Array(width * height * count);
+
+  images.forEach(({ pixels }, n) => {
+    const luminance = new Int16Array(width * height);
+    for (let i = 0; i < luminance.length; i++) {
+      luminance[i] = Math.round((pixels[i * 4] + pixels[i * 4 + 1] + pixels[i * 4 + 2]) / 3);
+    }
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        stackX[i * count + n] = x < width - 1 ? luminance[i + 1] - luminance[i] : 0;
+        stackY[i * count + n] = y < height - 1 ? luminance[i + width] - luminance[i] : 0;
+      }
+    }
+  });
+
+  const gx = new Float32Array(width * height);
+  const gy = new Float32Array(width * height);
+  const column = new Int16Array(count);
+  const median = (stack, i) => {
+    for (let n = 0; n < count; n++) column[n] = stack[i * count + n];
+    column.sort();
+    return count % 2 ? column[count >> 1] : (column[(count >> 1) - 1] + column[count >> 1]) / 2;
+  };
+
+  for (let i = 0; i < width * height; i++) {
+    gx[i] = median(stackX, i);
+    gy[i] = median(stackY, i);
+  }
+
+  return { gx, gy };
+}
+
+// Least-squares integration of a gradient field: solves laplacian(J) = div(G) in the Fourier domain.
+// The field is zero-padded, which the periodic FFT solve treats as a flat border.
+function integrateGradients(gx, gy, width, height) {
+  const paddedWidth = nextPowerOfTwo(width + 2);
+  const paddedHeight = nextPowerOfTwo(height + 2);
+  const re = new Float64Array(paddedWidth * paddedHeight);
+  const im = new Float64Array(paddedWidth * paddedHeight);
+
+  // Backward-difference divergence, matching the forward-difference gradients
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const divergence = gx[i] - (x > 0 ? gx[i - 1] : 0) + gy[i] - (y > 0 ? gy[i - width] : 0);
+      re[y * paddedWidth + x] = divergence;
+    }
+  }
+
+  fft2d(re, im, paddedWidth, paddedHeight);
+  for (let v = 0; v < paddedHeight; v++) {
+    const ly = 2 * Math.cos(2 * Math.PI * v / paddedHeight) - 2;
+    for (let u = 0; u < paddedWidth; u++) {
+      const i = v * paddedWidth + u;
+      const eigenvalue = 2 * Math.cos(2 * Math.PI * u / paddedWidth) - 2 + ly;
+      if (eigenvalue === 0) {
+        re[i] = 0;
+        im[i] = 0;
+      } else {
+        re[i] /= eigenvalue;
+        im[i] /= eigenvalue;
+      }
+    }
+  }
+  fft2d(re, im, paddedWidth, paddedHeight, true);
+
+  const footprint = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      footprint[y * width + x] = re[y * paddedWidth + x];
+    }
+  }
+  return footprint;
+}
+
+// The mark is whichever polarity stands out from the image border's level.
+// Returns the thresholded core and the mask, which pads the core for anti-aliased edges.
+function thresholdFootprint(footprint, width, height) {
+  const border = [];
+  for (let x = 0; x < width; x++) {
+    border.push(footprint[x], footprint[(height - 1) * width + x]);
+  }
+  for (let y = 0; y < height; y++) {
+    border.push(footprint[y * width], footprint[y * width + width - 1]);
+  }
+  border.sort((a, b) => a - b);
+  const level = border[border.length >> 1];
+
+  const sorted = Float32Array.from(footprint).sort();
+  const high = sorted[Math.floor(sorted.length * 0.999)] - level;
+  const low = level - sorted[Math.floor(sorted.length * 0.001)];
+  const sign = high >= low ? 1 : -1;
+  const threshold = SUPPORT_THRESHOLD * Math.max(high, low);
+
+  const core = new Uint8Array(width * height);
+  for (let i = 0; i < core.length; i++) {
+    if (sign * (footprint[i] - level) > threshold) core[i] = 1;
+  }
+
+  return { core, mask: dilateMask(core, width, height, SUPPORT_MARGIN) };
+}
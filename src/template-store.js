@@ -0,0 +1,88 @@
+import { encodeBase64, decodeBase64 } from './base64.js';
+
+// Watermark templates, stored by ID for reuse on later removal requests.
+// Uses the TEMPLATES KV namespace when it is bound; otherwise templates live in this isolate's
+// memory, which is enough for `wrangler dev` but does not survive restarts.
+
+const memoryStore = new Map();
+const KEY_PREFIX = 'template:';
+
+export async function saveTemplate(env, template, imageCount) {
+  const id = crypto.randomUUID();
+  const record = {
+    id,
+    createdAt: new Date().toISOString(),
+    width: template.width,
+    height: template.height,
+    imageCount,
+    color: template.color ? template.color.map(Math.round) : null,
+    alpha: template.alpha,
+    mask: encodeBase64(template.mask),
+    // Alpha quantized to 1/255 steps, like an 8-bit matte
+    matte: template.matte ? encodeBase64(Uint8Array.from(template.matte, a => Math.round(a * 255))) : null,
+  };
+
+  if (env && env.TEMPLATES) {
+    await env.TEMPLATES.put(KEY_PREFIX + id, JSON.stringify(record));
+  } else {
+    memoryStore.set(id, record);
+  }
+  return record;
+}
+
+export async function loadTemplate(env, id) {
+  const record = env && env.TEMPLATES
+    ? await env.TEMPLATES.get(KEY_PREFIX + id, 'json')
+    : memoryStore.get(id) || null;
+  if (!record) return null;
+
+  return {
+    ...record,
+    mask: decodeBase64(record.mask),
+    matte: record.matte ? Float32Array.from(decodeBase64(record.matte), value => value / 255) : null,
+  };
+}
+
+// Summary without the pixel data, for API responses
+export function describeTemplate(template) {
+  let maskedPixels = 0;
+  const mask = typeof template.mask === 'string' ? decodeBase64(template.mask) : template.mask;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] > 0) maskedPixels++;
+  }
+
+  return {
+    id: template.id,
+    createdAt: template.createdAt,
+    width: template.width,
+    height: template.height,
+    imageCount: template.imageCount,
+    color: template.color,
+    alpha: template.alpha,
+    reversible: template.matte !== null,
+    maskedPixels,
+  };
+}
+
+// The template's mask, and overlay when it has one, at another image size (nearest neighbour)
+export function fitTemplate(template, width, height) {
+  const resample = (data, Type) => {
+    if (template.width === width && template.height === height) return data;
+    const output = new Type(width * height);
+    for (let y = 0; y < height; y++) {
+      const sy = Math.min(template.height - 1, Math.floor(y * template.height / height));
+      for (let x = 0; x < width; x++) {
+        const sx = Math.min(template.width - 1, Math.floor(x * template.width / width));
+        output[y * width + x] = data[sy * template.width + sx];
+      }
+    }
+    return output;
+  };
+
+  return {
+    mask: resample(template.mask, Uint8Array),
+    overlay: template.matte
+      ? { color: template.color, alpha: template.alpha, matte: resample(template.matte, Float32Array) }
+      : null,
+  };
+}
@@ -0,0 +1,533 @@
+import { fft2d, nextPowerOfTwo } from './fft.js';
+import { getGlyph, hasGlyph } from './glyphs.js';
+
+// Text-aware watermark detection: the watermark string is rendered as a stroke template
+// at several scales, widths and rotations and matched against the image's gradient field
+// with normalized cross-correlation. Gradients are signed, so light text only matches light
+// text. The best match is refined per glyph and rendered as the mask.
+
+const STROKE_WIDTH = 0.24;    // Stroke width relative to text height (heavy sans-serif)
+const LETTER_SPACING = 0.03;  // Gap between glyph outlines relative to text height
+const MASK_MARGIN = 0.05;     // Extra mask border relative to text height, for font mismatch
+
+const COARSE_SIZE = 128;      // Long side of the FFT search level
+const FINE_SIZE = 320;        // Long side of the refinement level
+const HEIGHT_FRACTIONS = [0.07, 0.08, 0.093, 0.107, 0.122, 0.141, 0.162, 0.186, 0.214, 0.246, 0.283, 0.326]; // Of the shorter side
+const ASPECTS = [0.3, 0.42, 0.6];             // Glyph width relative to height
+const ANGLES = [-45, -30, -15, 0, 15, 30, 45]; // Includes the diagonal slant of preview stamps
+const MIN_SIGNIFICANCE = 5.5; // Minimum correlation z-score for a confident match
+const GRADIENT_SOFTNESS = 40; // Sobel magnitude below which gradients are attenuated
+
+export function detectTextWatermark(pixels, width, height, text) {
+  const chars = [...(text || '')];
+  if (!chars.some(hasGlyph)) return null;
+
+  const coarse = buildEdgeLevel(pixels, width, height, Math.max(1, Math.ceil(Math.max(width, height) / COARSE_SIZE)));
+  const match = searchCoarse(coarse, chars, width, height);
+
+  if (!match || match.significance < MIN_SIGNIFICANCE) {
+    console.log(`Text "${text}" not found (best significance ${match ? match.significance.toFixed(2) : 'n/a'})`);
+    return null;
+  }
+
+  const fine = buildEdgeLevel(pixels, width, height, Math.max(1, Math.ceil(Math.max(width, height) / FINE_SIZE)));
+  const pose = refinePose(fine, chars, match.pose);
+  const adjustments = refineGlyphs(fine, chars, pose);
+
+  const mask = new Uint8Array(width * height);
+  const layout = buildTextLayout(chars, pose.aspect, adjustments);
+  const margin = Math.max(MASK_MARGIN, 2 / pose.height);
+  const template = renderLayout(layout, pose.height, pose.angle, STROKE_WIDTH / 2 + margin);
+  const originX = Math.round(pose.cx) + template.originX;
+  const originY = Math.round(pose.cy) + template.originY;
+
+  for (let ty = 0; ty < template.height; ty++) {
+    const y = originY + ty;
+    if (y < 0 || y >= height) continue;
+    for (let tx = 0; tx < template.width; tx++) {
+      const x = originX + tx;
+      if (x >= 0 && x < width && template.data[ty * template.width + tx] > 0) {
+        mask[y * width + x] = 255;
+      }
+    }
+  }
+
+  console.log(`Text "${text}" matched at ${Math.round(pose.cx)},${Math.round(pose.cy)} ` +
+    `height ${Math.round(pose.height)}px angle ${pose.angle}° (score ${match.score.toFixed(3)}, significance ${match.significance.toFixed(2)})`);
+
+  return {
+    mask,
+    match: {
+      text,
+      score: match.score,
+      significance: match.significance,
+      x: Math.round(pose.cx),
+      y: Math.round(pose.cy),
+      height: Math.round(pose.height),
+      angle: pose.angle,
+    },
+  };
+}
+
+// Layout of the text in units of text height, centered on the origin.
+// `adjustments` optionally shifts ({ dx, dy }) or widens ({ scale }) individual glyphs.
+function buildTextLayout(chars, aspect, adjustments = null) {
+  const glyphs = [];
+  let cursor = 0;
+
+  chars.forEach((char, index) => {
+    const glyph = getGlyph(char);
+    const boxWidth = glyph.w * aspect;
+    const adjust = (adjustments && adjustments[index]) || { dx: 0, dy: 0, scale: 1 };
+    const glyphWidth = boxWidth * adjust.scale;
+    const centerX = cursor + boxWidth / 2 + adjust.dx;
+    const segments = [];
+
+    for (const stroke of glyph.strokes) {
+      for (let i = 0; i < stroke.length - 1; i++) {
+        segments.push(
+          centerX + (stroke[i][0] - 0.5) * glyphWidth, stroke[i][1] + adjust.dy,
+          centerX + (stroke[i + 1][0] - 0.5) * glyphWidth, stroke[i + 1][1] + adjust.dy
+        );
+      }
+    }
+
+    if (segments.length > 0) {
+      glyphs.push({ index, segments });
+    }
+
+    cursor += boxWidth + STROKE_WIDTH + LETTER_SPACING;
+  });
+
+  const textWidth = Math.max(0, cursor - STROKE_WIDTH - LETTER_SPACING);
+
+  for (const glyph of glyphs) {
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (let i = 0; i < glyph.segments.length; i += 2) {
+      glyph.segments[i] -= textWidth / 2;
+      glyph.segments[i + 1] -= 0.5;
+      minX = Math.min(minX, glyph.segments[i]);
+      maxX = Math.max(maxX, glyph.segments[i]);
+      minY = Math.min(minY, glyph.segments[i + 1]);
+      maxY = Math.max(maxY, glyph.segments[i + 1]);
+    }
+    glyph.bounds = { minX, maxX, minY, maxY };
+  }
+
+  return { glyphs, width: textWidth };
+}
+
+// Rasterises the layout at `heightPx` pixels per unit, rotated by `angle` degrees around the
+// text center. Returns antialiased coverage plus the template's offset from the text center.
+function renderLayout(layout, heightPx, angle, halfStroke, glyphIndex = -1) {
+  const glyphs = glyphIndex >= 0 ? layout.glyphs.filter(g => g.index === glyphIndex) : layout.glyphs;
+  const cos = Math.cos(angle * Math.PI / 180);
+  const sin = Math.sin(angle * Math.PI / 180);
+
+  // Rotated bounding box of the selected glyphs, with padding for edge filtering
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const glyph of glyphs) {
+    const { bounds } = glyph;
+    for (const [ux, uy] of [
+      [bounds.minX - halfStroke, bounds.minY - halfStroke], [bounds.maxX + halfStroke, bounds.minY - halfStroke],
+      [bounds.minX - halfStroke, bounds.maxY + halfStroke], [bounds.maxX + halfStroke, bounds.maxY + halfStroke],
+    ]) {
+      const px = (ux * cos - uy * sin) * heightPx;
+      const py = (ux * sin + uy * cos) * heightPx;
+      minX = Math.min(minX, px);
+      maxX = Math.max(maxX, px);
+      minY = Math.min(minY, py);
+      maxY = Math.max(maxY, py);
+    }
+  }
+
+  const padding = 2;
+  const originX = Math.floor(minX) - padding;
+  const originY = Math.floor(minY) - padding;
+  const templateWidth = Math.max(1, Math.ceil(maxX) + padding - originX);
+  const templateHeight = Math.max(1, Math.ceil(maxY) + padding - originY);
+  const data = new Float32Array(templateWidth * templateHeight);
+
+  for (let ty = 0; ty < templateHeight; ty++) {
+    for (let tx = 0; tx < templateWidth; tx++) {
+      // Back into text units
+      const px = (originX + tx + 0.5) / heightPx;
+      const py = (originY + ty + 0.5) / heightPx;
+      const ux = px * cos + py * sin;
+      const uy = -px * sin + py * cos;
+
+      let best = Infinity;
+      for (const glyph of glyphs) {
+        const { bounds, segments } = glyph;
+        if (ux < bounds.minX - halfStroke || ux > bounds.maxX + halfStroke ||
+            uy < bounds.minY - halfStroke || uy > bounds.maxY + halfStroke) continue;
+
+        for (let i = 0; i < segments.length; i += 4) {
+          const d = segmentDistanceSq(ux, uy, segments[i], segments[i + 1], segments[i + 2], segments[i + 3]);
+          if (d < best) best = d;
+        }
+      }
+
+      if (best < Infinity) {
+        const coverage = (halfStroke - Math.sqrt(best)) * heightPx + 0.5;
+        data[ty * templateWidth + tx] = Math.max(0, Math.min(1, coverage));
+      }
+    }
+  }
+
+  return { data, width: templateWidth, height: templateHeight, originX, originY };
+}
+
+function segmentDistanceSq(px, py, x1, y1, x2, y2) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSq = dx * dx + dy * dy;
+  let t = lengthSq > 0 ? ((px - x1) * dx + (py - y1) * dy) / lengthSq : 0;
+  t = Math.max(0, Math.min(1, t));
+  const ex = px - (x1 + t * dx);
+  const ey = py - (y1 + t * dy);
+  return ex * ex + ey * ey;
+}
+
+// Downsampled luminance gradients plus summed-area tables for window statistics
+function buildEdgeLevel(pixels, width, height, factor) {
+  const levelWidth = Math.max(1, Math.floor(width / factor));
+  const levelHeight = Math.max(1, Math.floor(height / factor));
+  const luminance = new Float32Array(levelWidth * levelHeight);
+
+  // A side shorter than the factor still gets one cell, averaged over the pixels there are
+  for (let ly = 0; ly < levelHeight; ly++) {
+    const y1 = Math.min((ly + 1) * factor, height);
+    for (let lx = 0; lx < levelWidth; lx++) {
+      const x1 = Math.min((lx + 1) * factor, width);
+      let sum = 0;
+      for (let y = ly * factor; y < y1; y++) {
+        for (let x = lx * factor; x < x1; x++) {
+          const idx = (y * width + x) * 4;
+          sum += (pixels[idx] + pixels[idx + 1] + pixels[idx + 2]) / 3;
+        }
+      }
+      luminance[ly * levelWidth + lx] = sum / ((y1 - ly * factor) * (x1 - lx * factor));
+    }
+  }
+
+  const { gx, gy } = gradientField(luminance, levelWidth, levelHeight);
+  const stride = levelWidth + 1;
+  const sumX = new Float64Array(stride * (levelHeight + 1));
+  const sumY = new Float64Array(stride * (levelHeight + 1));
+  const sumSq = new Float64Array(stride * (levelHeight + 1));
+
+  for (let y = 0; y < levelHeight; y++) {
+    for (let x = 0; x < levelWidth; x++) {
+      const vx = gx[y * levelWidth + x];
+      const vy = gy[y * levelWidth + x];
+      const i = (y + 1) * stride + x + 1;
+      sumX[i] = vx + sumX[i - 1] + sumX[i - stride] - sumX[i - stride - 1];
+      sumY[i] = vy + sumY[i - 1] + sumY[i - stride] - sumY[i - stride - 1];
+      sumSq[i] = vx * vx + vy * vy + sumSq[i - 1] + sumSq[i - stride] - sumSq[i - stride - 1];
+    }
+  }
+
+  return { factor, width: levelWidth, height: levelHeight, gx, gy, sumX, sumY, sumSq };
+}
+
+// Sobel gradients followed by a 3x3 box blur, so near-misses still correlate
+function gradientField(values, width, height) {
+  const rawX = new Float32Array(width * height);
+  const rawY = new Float32Array(width * height);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      rawX[i] = -values[i - width - 1] + values[i - width + 1]
+                - 2 * values[i - 1] + 2 * values[i + 1]
+                - values[i + width - 1] + values[i + width + 1];
+      rawY[i] = -values[i - width - 1] - 2 * values[i - width] - values[i - width + 1]
+                + values[i + width - 1] + 2 * values[i + width] + values[i + width + 1];
+    }
+  }
+
+  // Soft-normalise magnitudes: faint overlay edges weigh as much as bold print
+  for (let i = 0; i < rawX.length; i++) {
+    const scale = 1 / (Math.sqrt(rawX[i] * rawX[i] + rawY[i] * rawY[i]) + GRADIENT_SOFTNESS);
+    rawX[i] *= scale;
+    rawY[i] *= scale;
+  }
+
+  return { gx: boxBlur3(rawX, width, height), gy: boxBlur3(rawY, width, height) };
+}
+
+function boxBlur3(values, width, height) {
+  const blurred = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0, count = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const ny = y + dy;
+          const nx = x + dx;
+          if (ny >= 0 && ny < height && nx >= 0 && nx < width) {
+            sum += values[ny * width + nx];
+            count++;
+          }
+        }
+      }
+      blurred[y * width + x] = sum / count;
+    }
+  }
+
+  return blurred;
+}
+
+function templateEdges(layout, level, pose, glyphIndex = -1) {
+  const heightPx = pose.height / level.factor;
+  const template = renderLayout(layout, heightPx, pose.angle, STROKE_WIDTH / 2, glyphIndex);
+  const { gx, gy } = gradientField(template.data, template.width, template.height);
+  template.gx = gx;
+  template.gy = gy;
+  return template;
+}
+
+// Exhaustive scale/width/angle search; correlations come from FFTs of the gradient field
+function searchCoarse(level, chars, width, height) {
+  const fftWidth = nextPowerOfTwo(level.width);
+  const fftHeight = nextPowerOfTwo(level.height);
+  const size = fftWidth * fftHeight;
+
+  // The gradient field is packed as gx + i*gy; Re(G * conj(T)) is then the dot product
+  // of image and template gradients
+  const imageRe = new Float64Array(size);
+  const imageIm = new Float64Array(size);
+  for (let y = 0; y < level.height; y++) {
+    for (let x = 0; x < level.width; x++) {
+      imageRe[y * fftWidth + x] = level.gx[y * level.width + x];
+      imageIm[y * fftWidth + x] = level.gy[y * level.width + x];
+    }
+  }
+  fft2d(imageRe, imageIm, fftWidth, fftHeight);
+
+  let best = null;
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+
+  for (const aspect of ASPECTS) {
+    const layout = buildTextLayout(chars, aspect);
+    for (const fraction of HEIGHT_FRACTIONS) {
+      const textHeight = fraction * Math.min(width, height);
+      if (layout.width * textHeight > Math.max(width, height)) continue;
+
+      for (const angle of ANGLES) {
+        const pose = { height: textHeight, aspect, angle };
+        const template = templateEdges(layout, level, pose);
+        if (template.width > level.width || template.height > level.height) continue;
+
+        re.fill(0);
+        im.fill(0);
+        const norm = placeZeroMean(template, re, im, fftWidth);
+        if (norm === 0) continue;
+
+        fft2d(re, im, fftWidth, fftHeight);
+        for (let i = 0; i < size; i++) {
+          // G * conj(T)
+          const tRe = re[i];
+          const tIm = im[i];
+          re[i] = imageRe[i] * tRe + imageIm[i] * tIm;
+          im[i] = imageIm[i] * tRe - imageRe[i] * tIm;
+        }
+        fft2d(re, im, fftWidth, fftHeight, true);
+
+        for (let v = 0; v <= level.height - template.height; v++) {
+          for (let u = 0; u <= level.width - template.width; u++) {
+            const variance = windowVariance(level, u, v, template.width, template.height);
+            if (variance <= 1e-6) continue;
+
+            const score = re[v * fftWidth + u] / (norm * Math.sqrt(variance));
+            const z = significance(score, template);
+            if (!best || z > best.significance) {
+              best = {
+                score,
+                significance: z,
+                pose: {
+                  ...pose,
+                  cx: (u - template.originX) * level.factor,
+                  cy: (v - template.originY) * level.factor,
+                },
+              };
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+// Writes the zero-mean template gradients into FFT buffers and returns their norm
+function placeZeroMean(template, re, im, stride) {
+  const { gx, gy, width, height } = template;
+  let meanX = 0, meanY = 0;
+  for (let i = 0; i < gx.length; i++) {
+    meanX += gx[i];
+    meanY += gy[i];
+  }
+  meanX /= gx.length;
+  meanY /= gy.length;
+
+  let normSq = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const vx = gx[y * width + x] - meanX;
+      const vy = gy[y * width + x] - meanY;
+      re[y * stride + x] = vx;
+      im[y * stride + x] = vy;
+      normSq += vx * vx + vy * vy;
+    }
+  }
+
+  return Math.sqrt(normSq);
+}
+
+// Raw NCC favours small templates, which fit anything; under noise the correlation of a
+// template with n independent samples has a spread of 1/sqrt(n), so rank by z-score instead.
+// The 3x3 gradient blur makes neighbouring samples dependent, hence the division by 9.
+function significance(score, template) {
+  return score * Math.sqrt(template.width * template.height / 9);
+}
+
+function windowVariance(level, u, v, windowWidth, windowHeight) {
+  const stride = level.width + 1;
+  const a = v * stride + u;
+  const b = a + windowWidth;
+  const c = (v + windowHeight) * stride + u;
+  const d = c + windowWidth;
+  const sumX = level.sumX[d] - level.sumX[b] - level.sumX[c] + level.sumX[a];
+  const sumY = level.sumY[d] - level.sumY[b] - level.sumY[c] + level.sumY[a];
+  const sumSq = level.sumSq[d] - level.sumSq[b] - level.sumSq[c] + level.sumSq[a];
+  return sumSq - (sumX * sumX + sumY * sumY) / (windowWidth * windowHeight);
+}
+
+// Direct NCC over the overlap of the template (top-left at u, v) and the level
+function correlateAt(level, template, u, v) {
+  const x0 = Math.max(0, -u);
+  const y0 = Math.max(0, -v);
+  const x1 = Math.min(template.width, level.width - u);
+  const y1 = Math.min(template.height, level.height - v);
+  if (x1 - x0 < 4 || y1 - y0 < 4) return -1;
+
+  let sumFX = 0, sumFY = 0, sumFF = 0, sumTX = 0, sumTY = 0, sumTT = 0, sumFT = 0;
+  for (let ty = y0; ty < y1; ty++) {
+    const row = (v + ty) * level.width + u;
+    for (let tx = x0; tx < x1; tx++) {
+      const fx = level.gx[row + tx];
+      const fy = level.gy[row + tx];
+      const t = ty * template.width + tx;
+      const tX = template.gx[t];
+      const tY = template.gy[t];
+      sumFX += fx;
+      sumFY += fy;
+      sumFF += fx * fx + fy * fy;
+      sumTX += tX;
+      sumTY += tY;
+      sumTT += tX * tX + tY * tY;
+      sumFT += fx * tX + fy * tY;
+    }
+  }
+
+  const n = (x1 - x0) * (y1 - y0);
+  const varianceF = sumFF - (sumFX * sumFX + sumFY * sumFY) / n;
+  const varianceT = sumTT - (sumTX * sumTX + sumTY * sumTY) / n;
+  const denominator = varianceF * varianceT;
+  return denominator > 1e-9 ? (sumFT - (sumFX * sumTX + sumFY * sumTY) / n) / Math.sqrt(denominator) : -1;
+}
+
+// Best integer offset of a template around its expected position on the level
+function bestOffset(level, template, centerX, centerY, searchX, searchY, cos = 1, sin = 0) {
+  let best = { score: -Infinity, offsetX: 0, offsetY: 0 };
+
+  for (let sv = -searchY; sv <= searchY; sv++) {
+    for (let su = -searchX; su <= searchX; su++) {
+      // Search along the text axes so rotated text keeps its baseline
+      const offsetX = Math.round(su * cos - sv * sin);
+      const offsetY = Math.round(su * sin + sv * cos);
+      const u = Math.round(centerX) + offsetX + template.originX;
+      const v = Math.round(centerY) + offsetY + template.originY;
+      const score = correlateAt(level, template, u, v);
+
+      if (score > best.score) {
+        best = { score, significance: significance(score, template), offsetX, offsetY, su, sv };
+      }
+    }
+  }
+
+  return best;
+}
+
+function refinePose(level, chars, coarsePose) {
+  let best = { significance: -Infinity, pose: coarsePose };
+  const search = 3;
+
+  for (const aspectScale of [0.9, 1, 1.1]) {
+    const aspect = coarsePose.aspect * aspectScale;
+    const layout = buildTextLayout(chars, aspect);
+
+    for (const heightScale of [0.88, 0.94, 1, 1.06, 1.12]) {
+      for (const angleOffset of [-5, 0, 5]) {
+        const pose = {
+          ...coarsePose,
+          aspect,
+          height: coarsePose.height * heightScale,
+          angle: coarsePose.angle + angleOffset,
+        };
+        const template = templateEdges(layout, level, pose);
+        const offset = bestOffset(level, template, pose.cx / level.factor, pose.cy / level.factor, search, search);
+
+        if (offset.significance > best.significance) {
+          best = {
+            significance: offset.significance,
+            pose: {
+              ...pose,
+              cx: (Math.round(pose.cx / level.factor) + offset.offsetX) * level.factor,
+              cy: (Math.round(pose.cy / level.factor) + offset.offsetY) * level.factor,
+            },
+          };
+        }
+      }
+    }
+  }
+
+  return best.pose;
+}
+
+// Fonts differ in glyph widths and spacing, so each glyph is nudged and widened on its own
+function refineGlyphs(level, chars, pose) {
+  const adjustments = chars.map(() => ({ dx: 0, dy: 0, scale: 1 }));
+  const heightPx = pose.height / level.factor;
+  const cos = Math.cos(pose.angle * Math.PI / 180);
+  const sin = Math.sin(pose.angle * Math.PI / 180);
+  const searchX = Math.max(1, Math.ceil(0.15 * heightPx));
+  const searchY = Math.max(1, Math.ceil(0.06 * heightPx));
+  const centerX = pose.cx / level.factor;
+  const centerY = pose.cy / level.factor;
+
+  chars.forEach((char, index) => {
+    if (!hasGlyph(char)) return;
+
+    let best = { significance: -Infinity };
+    for (const scale of [0.85, 1, 1.15]) {
+      const trial = adjustments.map((adjust, i) => (i === index ? { dx: 0, dy: 0, scale } : adjust));
+      const layout = buildTextLayout(chars, pose.aspect, trial);
+      const template = templateEdges(layout, level, pose, index);
+      const offset = bestOffset(level, template, centerX, centerY, searchX, searchY, cos, sin);
+
+      if (offset.significance > best.significance) {
+        best = { significance: offset.significance, scale, su: offset.su, sv: offset.sv };
+      }
+    }
+
+    adjustments[index] = { dx: best.su / heightPx, dy: best.sv / heightPx, scale: best.scale };
+  });
+
+  return adjustments;
+}
@@ -0,0 +1,308 @@
+import { fft2d, nextPowerOfTwo } from './fft.js';
+import { downscaleImage } from './tiling.js';
+
+// Repeating watermarks: the same logo or text stamped in a grid, often diagonal, over the whole
+// image. A high-pass of the luma keeps the marks' strokes and drops the artwork's shading, and its
+// autocorrelation, computed through FFTs on a reduced copy, peaks at the shifts that map the grid
+// onto itself. Long straight lines in the artwork correlate with themselves along their whole
+// length, so the power spectrum is first reduced to its isolated peaks, which a grid has and lines
+// don't. The shortest strong peaks give the grid's two lattice vectors. Folding the whole image
+// into one grid cell and averaging then keeps what every tile shares, the watermark, while the
+// artwork under each copy differs and averages out.
+
+const ANALYSIS_SIZE = 256;     // Long side of the reduced copy the lattice is estimated on
+const HIGH_PASS_RADIUS = 4;    // Box blur radius subtracted from the luma, at the analysis size
+const MIN_PERIOD = 12;         // Shortest lattice vector, in analysis pixels; shorter is texture
+const SPECTRUM_RADIUS = 4;     // Window of the power spectrum's local mean, in frequency bins
+const SPECTRUM_PEAK = 3;       // Spectral power kept above this many times its local mean
+const MIN_OVERLAP = 0.25;      // Smallest share of the image a shifted copy must overlap
+const MIN_CORRELATION = 0.2;   // Mean autocorrelation, as a share of the zero shift's, at the grid's shifts
+const STRONG_PEAK = 0.7;       // Share of the strongest autocorrelation peak a lattice vector needs
+const SIGNAL_FRACTION = 0.3;   // Share of the cell template's extreme counted as watermark
+const MIN_SIGNAL = 4;          // Smallest template high-pass (luma levels) counted as watermark
+
+// Returns { mask, lattice } or null when no repeating grid is found. lattice is
+// { vectors, period, angle, correlation, polarity }: vectors are the grid's two basis shifts
+// { x, y } in pixels, shortest first, period the first one's length, angle its direction in degrees
+// from the x axis (y down), and polarity 'light' or 'dark'. The mask is unrefined; callers dilate it.
+export function detectTiledWatermark(pixels, width, height) {
+  const scale = Math.max(1, Math.ceil(Math.max(width, height) / ANALYSIS_SIZE));
+  const reduced = scale > 1 ? downscaleImage(pixels, width, height, scale) : { pixels, width, height };
+  const lattice = estimateLattice(highPass(luma(reduced.pixels), reduced.width, reduced.height, HIGH_PASS_RADIUS),
+    reduced.width, reduced.height);
+  if (!lattice) {
+    console.log('No repeating watermark grid found');
+    return null;
+  }
+
+  const vectors = lattice.vectors.map(({ x, y }) => ({ x: x * scale, y: y * scale }));
+  const cell = foldIntoCell(highPass(luma(pixels), width, height, HIGH_PASS_RADIUS * scale), width, height, vectors);
+  const { mask, polarity, maskedPixels } = thresholdCell(cell, width, height);
+  // A lattice in the artwork's own detail (evenly spaced strokes, say) folds into a cell with no mark
+  if (maskedPixels === 0) {
+    console.log('Repeating grid found, but no watermark stands out in its cell');
+    return null;
+  }
+
+  const period = Math.hypot(vectors[0].x, vectors[0].y);
+  const angle = Math.atan2(vectors[0].y, vectors[0].x) * 180 / Math.PI;
+  console.log(`Repeating watermark: period ${period.toFixed(1)}px at ${angle.toFixed(1)}°, ` +
+    `second vector ${Math.hypot(vectors[1].x, vectors[1].y).toFixed(1)}px, correlation ${lattice.correlation.toFixed(2)}, ` +
+    `${polarity} marks over ${maskedPixels} pixels`);
+  return {
+    mask,
+    lattice: {
+      vectors: vectors.map(({ x, y }) => ({ x: round(x), y: round(y) })),
+      period: round(period),
+      angle: round(angle),
+      correlation: round(lattice.correlation),
+      polarity,
+    },
+  };
+}
+
+// Mean of R, G and B
+function luma(pixels) {
+  const output = new Float32Array(pixels.length / 4);
+  for (let i = 0; i < output.length; i++) {
+    output[i] = (pixels[i * 4] + pixels[i * 4 + 1] + pixels[i * 4 + 2]) / 3;
+  }
+  return output;
+}
+
+// The values minus their (2r+1)² box mean, from a summed-area table; the box is clipped at the edges
+function highPass(values, width, height, radius) {
+  const stride = width + 1;
+  const sums = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    for (let x = 0; x < width; x++) {
+      row += values[y * width + x];
+      sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + row;
+    }
+  }
+
+  const output = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - radius);
+    const y1 = Math.min(height, y + radius + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - radius);
+      const x1 = Math.min(width, x + radius + 1);
+      const sum = sums[y1 * stride + x1] - sums[y0 * stride + x1] - sums[y1 * stride + x0] + sums[y0 * stride + x0];
+      output[y * width + x] = values[y * width + x] - sum / ((x1 - x0) * (y1 - y0));
+    }
+  }
+  return output;
+}
+
+// { vectors, correlation } with two sub-pixel lattice vectors, or null. The autocorrelation is
+// taken over a zero-padded copy, so shifts don't wrap around, and of the spectrum's isolated peaks
+// alone: power above SPECTRUM_PEAK times its neighbourhood's mean.
+function estimateLattice(signal, width, height) {
+  const fftWidth = nextPowerOfTwo(width * 2);
+  const fftHeight = nextPowerOfTwo(height * 2);
+  const re = new Float64Array(fftWidth * fftHeight);
+  const im = new Float64Array(fftWidth * fftHeight);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      re[y * fftWidth + x] = signal[y * width + x];
+    }
+  }
+  fft2d(re, im, fftWidth, fftHeight);
+  const power = new Float64Array(re.length);
+  for (let i = 0; i < re.length; i++) {
+    power[i] = re[i] * re[i] + im[i] * im[i];
+  }
+  const background = wrappedBoxMean(power, fftWidth, fftHeight, SPECTRUM_RADIUS);
+  for (let i = 0; i < re.length; i++) {
+    re[i] = i === 0 ? 0 : Math.max(0, power[i] - SPECTRUM_PEAK * background[i]);
+    im[i] = 0;
+  }
+  fft2d(re, im, fftWidth, fftHeight, true);
+
+  if (re[0] <= 0) return null;
+  const correlation = (dx, dy) => {
+    const overlap = (width - Math.abs(dx)) * (height - Math.abs(dy));
+    if (overlap < MIN_OVERLAP * width * height) return -Infinity;
+    const lag = ((dy + fftHeight) % fftHeight) * fftWidth + (dx + fftWidth) % fftWidth;
+    return re[lag] / re[0];
+  };
+
+  // Local maxima over half the lag plane (the autocorrelation is symmetric), strongest first
+  const peaks = [];
+  for (let dy = 0; dy < height; dy++) {
+    for (let dx = -width + 1; dx < width; dx++) {
+      if (dy === 0 && dx <= 0) continue;
+      if (dx * dx + dy * dy < MIN_PERIOD * MIN_PERIOD) continue;
+      const value = correlation(dx, dy);
+      if (value < MIN_CORRELATION) continue;
+      let isPeak = true;
+      for (let ny = -1; ny <= 1 && isPeak; ny++) {
+        for (let nx = -1; nx <= 1; nx++) {
+          if ((nx || ny) && correlation(dx + nx, dy + ny) > value) {
+            isPeak = false;
+            break;
+          }
+        }
+      }
+      if (isPeak) peaks.push({ dx, dy, value });
+    }
+  }
+  if (peaks.length === 0) return null;
+  peaks.sort((a, b) => b.value - a.value);
+
+  // Multiples of the lattice vectors peak as well, sometimes higher; the basis is the shortest
+  // strong peak and the shortest strong one at least MIN_PERIOD off its line
+  const strong = peaks.filter(peak => peak.value >= STRONG_PEAK * peaks[0].value)
+    .sort((a, b) => Math.hypot(a.dx, a.dy) - Math.hypot(b.dx, b.dy));
+  const first = strong[0];
+  const length = Math.hypot(first.dx, first.dy);
+  const second = strong.find(peak => Math.abs(peak.dx * first.dy - peak.dy * first.dx) / length >= MIN_PERIOD);
+  if (!second) return null;
+  const vectors = reduceBasis(refinePeak(first, correlation), refinePeak(second, correlation));
+
+  // A grid peaks at the combinations of its vectors too, where chance peaks in the artwork don't;
+  // combinations too long to overlap the image enough are left out
+  let total = 0;
+  let counted = 0;
+  for (const [k, l] of [[1, 0], [0, 1], [1, 1], [1, -1], [2, 0], [0, 2]]) {
+    const x = Math.round(k * vectors[0].x + l * vectors[1].x);
+    const y = Math.round(k * vectors[0].y + l * vectors[1].y);
+    let value = -Infinity;
+    for (let ny = -1; ny <= 1; ny++) {
+      for (let nx = -1; nx <= 1; nx++) value = Math.max(value, correlation(x + nx, y + ny));
+    }
+    if (value === -Infinity) continue;
+    total += value;
+    counted++;
+  }
+  const score = counted >= 3 ? total / counted : 0;
+  return score >= MIN_CORRELATION ? { vectors, correlation: score } : null;
+}
+
+// Mean over a (2r+1)² window that wraps around the edges, as the spectrum does
+function wrappedBoxMean(values, width, height, radius) {
+  const rows = new Float64Array(values.length);
+  for (let y = 0; y < height; y++) {
+    let sum = 0;
+    for (let n = -radius; n <= radius; n++) sum += values[y * width + (n + width) % width];
+    for (let x = 0; x < width; x++) {
+      rows[y * width + x] = sum;
+      sum += values[y * width + (x + radius + 1) % width] - values[y * width + (x - radius + width) % width];
+    }
+  }
+  const output = new Float64Array(values.length);
+  const area = (2 * radius + 1) ** 2;
+  for (let x = 0; x < width; x++) {
+    let sum = 0;
+    for (let n = -radius; n <= radius; n++) sum += rows[((n + height) % height) * width + x];
+    for (let y = 0; y < height; y++) {
+      output[y * width + x] = sum / area;
+      sum += rows[((y + radius + 1) % height) * width + x] - rows[((y - radius + height) % height) * width + x];
+    }
+  }
+  return output;
+}
+
+// Sub-pixel peak position from a parabola through each axis's neighbours
+function refinePeak({ dx, dy, value }, correlation) {
+  const offset = (before, after) => {
+    const curvature = before - 2 * value + after;
+    return Number.isFinite(curvature) && curvature < 0 ? Math.max(-0.5, Math.min(0.5, (before - after) / (2 * curvature))) : 0;
+  };
+  return {
+    x: dx + offset(correlation(dx - 1, dy), correlation(dx + 1, dy)),
+    y: dy + offset(correlation(dx, dy - 1), correlation(dx, dy + 1)),
+  };
+}
+
+// Lagrange-Gauss reduction to the shortest, most nearly orthogonal basis of the same lattice, so the
+// grid copies averaged are the nearest ones
+function reduceBasis(a, b) {
+  const norm = v => v.x * v.x + v.y * v.y;
+  for (;;) {
+    if (norm(b) < norm(a)) [a, b] = [b, a];
+    const m = Math.round((a.x * b.x + a.y * b.y) / norm(a));
+    if (m === 0) return [a, b];
+    b = { x: b.x - m * a.x, y: b.y - m * a.y };
+  }
+}
+
+// Mean of the values at each position within a grid cell, over every copy of the cell in the
+// image: { template, columns, rows, binOf }, where the cell is sampled about once per pixel along
+// each vector and binOf(x, y) gives a pixel's sample. Positions are taken from the image centre, so
+// an error in the vectors drifts over half the image rather than all of it.
+function foldIntoCell(values, width, height, [a, b]) {
+  const columns = Math.ceil(Math.hypot(a.x, a.y));
+  const rows = Math.ceil(Math.hypot(b.x, b.y));
+  const determinant = a.x * b.y - a.y * b.x;
+  const binOf = (x, y) => {
+    const cx = x - width / 2;
+    const cy = y - height / 2;
+    const s = (cx * b.y - cy * b.x) / determinant;
+    const t = (a.x * cy - a.y * cx) / determinant;
+    const column = Math.min(columns - 1, Math.floor((s - Math.floor(s)) * columns));
+    const row = Math.min(rows - 1, Math.floor((t - Math.floor(t)) * rows));
+    return row * columns + column;
+  };
+
+  const sums = new Float64Array(columns * rows);
+  const counts = new Uint32Array(columns * rows);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const bin = binOf(x, y);
+      sums[bin] += values[y * width + x];
+      counts[bin]++;
+    }
+  }
+  const means = new Float32Array(columns * rows);
+  for (let i = 0; i < means.length; i++) {
+    means[i] = counts[i] > 0 ? sums[i] / counts[i] : 0;
+  }
+
+  // 3×3 smoothing quiets samples that drew on few copies or strong edges; the cell tiles the plane,
+  // so its neighbourhoods wrap around
+  const template = new Float32Array(columns * rows);
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      let sum = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          sum += means[((row + dy + rows) % rows) * columns + (column + dx + columns) % columns];
+        }
+      }
+      template[row * columns + column] = sum / 9;
+    }
+  }
+  return { template, columns, rows, binOf };
+}
+
+// Masks the pixels whose cell sample is past SIGNAL_FRACTION of the template's extreme, on the side
+// with the larger one: light marks raise the high-pass, dark ones lower it
+function thresholdCell({ template, binOf }, width, height) {
+  let high = 0;
+  let low = 0;
+  for (const value of template) {
+    high = Math.max(high, value);
+    low = Math.min(low, value);
+  }
+  const sign = high >= -low ? 1 : -1;
+  const threshold = Math.max(MIN_SIGNAL, SIGNAL_FRACTION * (sign > 0 ? high : -low));
+
+  const mask = new Uint8Array(width * height);
+  let maskedPixels = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (sign * template[binOf(x, y)] > threshold) {
+        mask[y * width + x] = 255;
+        maskedPixels++;
+      }
+    }
+  }
+  return { mask, polarity: sign > 0 ? 'light' : 'dark', maskedPixels };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,155 @@
+import { dilateMask } from './kernels.js';
+
+// Processing large images piecewise.
+// Detection runs on a reduced copy and its mask is scaled back up; inpainting runs tile by tile at
+// full resolution. Tiles carry an overlapping margin of context and are filled in raster order, and
+// pixels filled by earlier tiles count as known to later ones, so each fill continues from its
+// neighbours' across the tile border instead of meeting it at a seam. Only masked pixels inside a
+// tile's own core are written back, and tiles without any are skipped.
+
+const TILE_OVERLAP = 64; // Context margin: wider than any inpainter's sampling neighbourhood
+
+// Returns { scale, tileSize, overlap } for images over tilePixels, null for images processed whole
+export function planTiling(width, height, tilePixels) {
+  if (width * height <= tilePixels) return null;
+  return {
+    scale: Math.ceil(Math.sqrt(width * height / tilePixels)),
+    tileSize: Math.max(TILE_OVERLAP, Math.floor(Math.sqrt(tilePixels)) - 2 * TILE_OVERLAP),
+    overlap: TILE_OVERLAP,
+  };
+}
+
+// Box-filtered RGBA copy, `scale` times smaller in each direction
+export function downscaleImage(pixels, width, height, scale) {
+  const outWidth = Math.ceil(width / scale);
+  const outHeight = Math.ceil(height / scale);
+  const output = new Uint8Array(outWidth * outHeight * 4);
+
+  for (let oy = 0; oy < outHeight; oy++) {
+    const y1 = Math.min(height, (oy + 1) * scale);
+    for (let ox = 0; ox < outWidth; ox++) {
+      const x1 = Math.min(width, (ox + 1) * scale);
+      const sums = [0, 0, 0, 0];
+      let count = 0;
+      for (let y = oy * scale; y < y1; y++) {
+        for (let x = ox * scale; x < x1; x++) {
+          const p = (y * width + x) * 4;
+          sums[0] += pixels[p];
+          sums[1] += pixels[p + 1];
+          sums[2] += pixels[p + 2];
+          sums[3] += pixels[p + 3];
+          count++;
+        }
+      }
+      const o = (oy * outWidth + ox) * 4;
+      for (let c = 0; c < 4; c++) {
+        output[o + c] = Math.round(sums[c] / count);
+      }
+    }
+  }
+
+  return { pixels: output, width: outWidth, height: outHeight };
+}
+
+// A reduced pixel is masked when any pixel of its block is
+export function downscaleMask(mask, width, height, scale) {
+  const outWidth = Math.ceil(width / scale);
+  const output = new Uint8Array(outWidth * Math.ceil(height / scale));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x] > 0) {
+        output[Math.floor(y / scale) * outWidth + Math.floor(x / scale)] = 255;
+      }
+    }
+  }
+  return output;
+}
+
+// Full-resolution mask from a reduced one. The reduced mask is grown by a pixel first, since its
+// edges are only accurate to a block and the watermark's own edge may lie anywhere within it.
+export function upscaleMask(mask, smallWidth, smallHeight, width, height) {
+  const grown = dilateMask(mask, smallWidth, smallHeight, 1);
+  return upscalePlane(grown, smallWidth, smallHeight, width, height, Uint8Array);
+}
+
+// Nearest-neighbour resampling of a single-channel plane
+export function upscalePlane(data, smallWidth, smallHeight, width, height, Type) {
+  const output = new Type(width * height);
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(smallHeight - 1, Math.floor(y * smallHeight / height));
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(smallWidth - 1, Math.floor(x * smallWidth / width));
+      output[y * width + x] = data[sy * smallWidth + sx];
+    }
+  }
+  return output;
+}
+
+// The { x, y, width, height } window of a single-channel plane
+export function cropPlane(data, width, rect, Type) {
+  const output = new Type(rect.width * rect.height);
+  for (let y = 0; y < rect.height; y++) {
+    const start = (rect.y + y) * width + rect.x;
+    output.set(data.subarray(start, start + rect.width), y * rect.width);
+  }
+  return output;
+}
+
+// Runs processTile(tilePixels, tileMask, tileWidth, tileHeight, rect) over the masked tiles; the
+// callback edits tilePixels in place. Returns the number of tiles processed.
+export function processInTiles(pixels, mask, width, height, plan, processTile) {
+  const { tileSize, overlap } = plan;
+  const pending = new Uint8Array(mask); // Cleared as tiles are filled
+  let tiles = 0;
+
+  for (let y0 = 0; y0 < height; y0 += tileSize) {
+    for (let x0 = 0; x0 < width; x0 += tileSize) {
+      const y1 = Math.min(height, y0 + tileSize);
+      const x1 = Math.min(width, x0 + tileSize);
+      if (!hasMaskedPixel(mask, width, x0, y0, x1, y1)) continue;
+
+      const rect = {
+        x: Math.max(0, x0 - overlap),
+        y: Math.max(0, y0 - overlap),
+      };
+      rect.width = Math.min(width, x1 + overlap) - rect.x;
+      rect.height = Math.min(height, y1 + overlap) - rect.y;
+
+      const tilePixels = new Uint8Array(rect.width * rect.height * 4);
+      for (let y = 0; y < rect.height; y++) {
+        const start = ((rect.y + y) * width + rect.x) * 4;
+        tilePixels.set(pixels.subarray(start, start + rect.width * 4), y * rect.width * 4);
+      }
+      const tileMask = cropPlane(pending, width, rect, Uint8Array);
+
+      processTile(tilePixels, tileMask, rect.width, rect.height, rect);
+      tiles++;
+
+      // Only this tile's own masked pixels are kept; the margin belongs to its neighbours
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = y * width + x;
+          if (mask[i] === 0) continue;
+          const p = i * 4;
+          const t = ((y - rect.y) * rect.width + (x - rect.x)) * 4;
+          pixels[p] = tilePixels[t];
+          pixels[p + 1] = tilePixels[t + 1];
+          pixels[p + 2] = tilePixels[t + 2];
+          pixels[p + 3] = tilePixels[t + 3];
+          pending[i] = 0;
+        }
+      }
+    }
+  }
+
+  return tiles;
+}
+
+function hasMaskedPixel(mask, width, x0, y0, x1, y1) {
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      if (mask[y * width + x] > 0) return true;
+    }
+  }
+  return false;
+}
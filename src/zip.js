@@ -0,0 +1,217 @@
+import { crc32 } from './crc32.js';
+
+// Minimal ZIP archive support for batch processing.
+// Reading handles stored and deflated entries (what every common archiver writes); deflate is
+// undone with the runtime's DecompressionStream. Writing stores entries uncompressed, since the
+// images in a batch are already compressed. ZIP64 and encrypted entries are not supported.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+export function isZip(bytes) {
+  return bytes.length >= 4 && readUint32(bytes, 0) === LOCAL_HEADER;
+}
+
+// Lists the archive's file entries: [{ name, size, read(maxBytes) }], where read() resolves to the
+// entry's bytes and rejects for entries that can't be extracted. size is what the header declares;
+// inflating stops as soon as the output passes it or maxBytes, so a small archive can't expand
+// without bound. Throws if the archive itself is unreadable.
+export function readZip(bytes) {
+  const end = findEndOfCentralDirectory(bytes);
+  if (end < 0) {
+    throw new Error('Not a ZIP archive (no end of central directory)');
+  }
+
+  const entryCount = readUint16(bytes, end + 10);
+  const directoryOffset = readUint32(bytes, end + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+  for (let n = 0; n < entryCount; n++) {
+    if (offset + 46 > bytes.length || readUint32(bytes, offset) !== CENTRAL_HEADER) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const flags = readUint16(bytes, offset + 8);
+    const method = readUint16(bytes, offset + 10);
+    const compressedSize = readUint32(bytes, offset + 20);
+    const size = readUint32(bytes, offset + 24);
+    const nameLength = readUint16(bytes, offset + 28);
+    const extraLength = readUint16(bytes, offset + 30);
+    const commentLength = readUint16(bytes, offset + 32);
+    const localOffset = readUint32(bytes, offset + 42);
+    const nameBytes = bytes.subarray(offset + 46, offset + 46 + nameLength);
+    const name = new TextDecoder(flags & FLAG_UTF8 ? 'utf-8' : 'latin1').decode(nameBytes);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue; // Directory
+
+    entries.push({
+      name,
+      size,
+      read: (maxBytes = Infinity) => readEntry(bytes, { name, flags, method, compressedSize, size, localOffset }, maxBytes),
+    });
+  }
+
+  return entries;
+}
+
+// Builds a stored (uncompressed) archive from [{ name, data }]
+export function writeZip(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(new Date());
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data } of files) {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const local = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(local.buffer);
+    view.setUint32(0, LOCAL_HEADER, true);
+    view.setUint16(4, 20, true);              // Version needed: 2.0
+    view.setUint16(6, FLAG_UTF8, true);
+    view.setUint16(8, METHOD_STORE, true);
+    view.setUint16(10, time, true);
+    view.setUint16(12, date, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, data.length, true);
+    view.setUint32(22, data.length, true);
+    view.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+
+    const central = new Uint8Array(46 + nameBytes.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, CENTRAL_HEADER, true);
+    centralView.setUint16(4, 20, true);       // Version made by
+    centralView.setUint16(6, 20, true);
+    centralView.setUint16(8, FLAG_UTF8, true);
+    centralView.setUint16(10, METHOD_STORE, true);
+    centralView.setUint16(12, time, true);
+    centralView.setUint16(14, date, true);
+    centralView.setUint32(16, crc, true);
+    centralView.setUint32(20, data.length, true);
+    centralView.setUint32(24, data.length, true);
+    centralView.setUint16(28, nameBytes.length, true);
+    centralView.setUint32(42, offset, true);
+    central.set(nameBytes, 46);
+
+    locals.push(local, data);
+    centrals.push(central);
+    offset += local.length + data.length;
+  }
+
+  const directorySize = centrals.reduce((sum, central) => sum + central.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, directorySize, true);
+  endView.setUint32(16, offset, true);
+
+  const output = new Uint8Array(offset + directorySize + end.length);
+  let position = 0;
+  for (const part of [...locals, ...centrals, end]) {
+    output.set(part, position);
+    position += part.length;
+  }
+  return output;
+}
+
+async function readEntry(bytes, entry, maxBytes) {
+  if (entry.flags & FLAG_ENCRYPTED) {
+    throw new Error('Encrypted ZIP entries are not supported');
+  }
+  if (entry.localOffset + 30 > bytes.length || readUint32(bytes, entry.localOffset) !== LOCAL_HEADER) {
+    throw new Error('Corrupt ZIP entry header');
+  }
+
+  // The local header's name and extra field lengths can differ from the central directory's
+  const start = entry.localOffset + 30 + readUint16(bytes, entry.localOffset + 26) + readUint16(bytes, entry.localOffset + 28);
+  if (start + entry.compressedSize > bytes.length) {
+    throw new Error('ZIP entry is truncated');
+  }
+  const data = bytes.subarray(start, start + entry.compressedSize);
+
+  switch (entry.method) {
+    case METHOD_STORE:
+      if (data.length > maxBytes) {
+        throw new Error(`ZIP entry is over ${maxBytes} bytes`);
+      }
+      if (data.length !== entry.size) {
+        throw new Error('ZIP entry size does not match its header');
+      }
+      return data;
+
+    case METHOD_DEFLATE:
+      return inflate(data, entry.size, maxBytes);
+
+    default:
+      throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+  }
+}
+
+// Inflates chunk by chunk, giving up once the output passes the declared size or maxBytes
+async function inflate(data, size, maxBytes) {
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > maxBytes || total > size) {
+      await reader.cancel();
+      throw new Error(total > maxBytes
+        ? `ZIP entry inflates to over ${maxBytes} bytes`
+        : 'ZIP entry inflates past the size in its header');
+    }
+    chunks.push(value);
+  }
+  if (total !== size) {
+    throw new Error('ZIP entry size does not match its header');
+  }
+
+  const output = new Uint8Array(total);
+  let position = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, position);
+    position += chunk.length;
+  }
+  return output;
+}
+
+// The end record sits at the very end, followed only by an optional comment of up to 64 KB
+function findEndOfCentralDirectory(bytes) {
+  const stop = Math.max(0, bytes.length - 22 - 0xffff);
+  for (let offset = bytes.length - 22; offset >= stop; offset--) {
+    if (readUint32(bytes, offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  return -1;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1),
+    date: ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate(),
+  };
+}
+
+function readUint16(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function readUint32(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
@@ -0,0 +1,129 @@
+// The jobs store without a JOBS Durable Object binding: jobs run in this isolate and are kept in
+// memory. The Durable Object path shares its storage layout and runs in the regression suite.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJob, getJob, getJobResult } from '../src/jobs.js';
+
+const CHUNK_BYTES = 128 * 1024;
+const STAGES = ['decode', 'detection', 'inpainting', 'encode', 'metadata'];
+
+describe('memory jobs', () => {
+  it('runs a job in the background and replays its response', async () => {
+    const input = pattern(1000, 1);
+    const output = pattern(5000, 2);
+    const seen = [];
+    const { job, done } = await submit(input, 'multipart/form-data; boundary=x', async (body, contentType, onStage) => {
+      assert.deepEqual(body, input);
+      assert.equal(contentType, 'multipart/form-data; boundary=x');
+      for (const stage of STAGES) {
+        await onStage(stage);
+        const { status, stage: current, progress } = await getJob({}, job.id);
+        seen.push([status, current, progress]);
+      }
+      return {
+        response: new Response(output, { status: 200, headers: { 'Content-Type': 'image/png', 'X-Watermarknt-Detection': 'text' } }),
+        report: { algorithm: 'edge' },
+      };
+    });
+
+    assert.equal(job.status, 'queued');
+    assert.deepEqual([job.stage, job.progress, job.result], [null, 0, null]);
+    assert.equal(await getJobResult({}, job.id), null);
+
+    await done;
+    // Each stage reports the next one as running, with the finished stages' share of the progress
+    assert.deepEqual(seen, [
+      ['running', 'detection', 10],
+      ['running', 'inpainting', 40],
+      ['running', 'encode', 85],
+      ['running', 'metadata', 95],
+      ['running', 'metadata', 100],
+    ]);
+
+    const finished = await getJob({}, job.id);
+    assert.equal(finished.status, 'done');
+    assert.equal(finished.progress, 100);
+    assert.deepEqual(finished.report, { algorithm: 'edge' });
+    assert.equal(finished.result, `/api/jobs/${job.id}/result`);
+
+    const result = await getJobResult({}, job.id);
+    assert.equal(result.status, 200);
+    assert.equal(result.headers.get('Content-Type'), 'image/png');
+    assert.equal(result.headers.get('X-Watermarknt-Detection'), 'text');
+    assert.deepEqual(new Uint8Array(await result.arrayBuffer()), output);
+  });
+
+  it('returns null for unknown IDs', async () => {
+    assert.equal(await getJob({}, 'no-such-job'), null);
+    assert.equal(await getJobResult({}, 'no-such-job'), null);
+  });
+
+  it('stores uploads and results in 128 KB chunks without losing bytes', async () => {
+    for (const length of [CHUNK_BYTES - 1, CHUNK_BYTES, CHUNK_BYTES + 1, 3 * CHUNK_BYTES + 17]) {
+      const input = pattern(length, length);
+      const output = pattern(length + 5, length + 5);
+      const { job, done } = await submit(input, 'application/octet-stream', async body => {
+        assert.deepEqual(body, input, `input of ${length} bytes`);
+        return { response: new Response(output), report: null };
+      });
+      await done;
+      const result = await getJobResult({}, job.id);
+      assert.deepEqual(new Uint8Array(await result.arrayBuffer()), output, `result of ${length + 5} bytes`);
+    }
+  });
+
+  it('reports an error response as a failed job with its body', async () => {
+    const error = { error: 'No watermark detected', code: 'no_watermark_detected', details: 'The mask came out empty' };
+    const { job, done } = await submit(pattern(10, 3), 'application/octet-stream', async (body, contentType, onStage) => {
+      await onStage('decode');
+      await onStage('detection');
+      return {
+        response: new Response(JSON.stringify(error), { status: 422, headers: { 'Content-Type': 'application/json' } }),
+        report: null,
+      };
+    });
+    await done;
+
+    const failed = await getJob({}, job.id);
+    assert.equal(failed.status, 'failed');
+    assert.deepEqual(failed.error, error);
+    assert.deepEqual([failed.stage, failed.progress, failed.result, failed.report], [null, 40, null, null]);
+
+    const result = await getJobResult({}, job.id);
+    assert.equal(result.status, 422);
+    assert.deepEqual(await result.json(), error);
+  });
+
+  it('reports a thrown error as a failed job with the 500 a request would get', async () => {
+    const { job, done } = await submit(pattern(10, 4), 'application/octet-stream', async () => {
+      throw new Error('Out of memory');
+    });
+    await done;
+
+    const failed = await getJob({}, job.id);
+    const error = { error: 'Failed to process image', details: 'Out of memory' };
+    assert.equal(failed.status, 'failed');
+    assert.deepEqual(failed.error, error);
+
+    const result = await getJobResult({}, job.id);
+    assert.equal(result.status, 500);
+    assert.equal(result.headers.get('Access-Control-Allow-Origin'), '*');
+    assert.deepEqual(await result.json(), error);
+  });
+});
+
+// Creates a job with an empty env, so the memory store is used; done settles when it has run
+async function submit(body, contentType, run) {
+  const pending = [];
+  const job = await createJob({}, { waitUntil: promise => pending.push(promise) }, body, contentType, run);
+  return { job, done: Promise.all(pending) };
+}
+
+// Deterministic bytes that differ between seeds and from one chunk to the next
+function pattern(length, seed) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    bytes[i] = (i * 31 + seed * 17 + (i >> 10)) & 0xff;
+  }
+  return bytes;
+}
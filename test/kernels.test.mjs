@@ -0,0 +1,247 @@
+// Parity between the Rust/WASM kernels and their JS references: every kernel must return the same
+// mask or pixels, byte for byte. The WASM suite needs a built src/kernels.wasm
+// (`npm run build:kernels`). Without one, parity still holds through test/golden/kernels.txt: the
+// JS references are checked against its digests here, and the Rust kernels by `cargo test`.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import * as kernels from '../src/kernels.js';
+import * as reference from '../src/pixel-kernels.js';
+import * as morphology from '../src/morphology.js';
+import { DEFAULT_DETECTION_PARAMS, parseDetectionParams, brightSearchArea, enhancedSearchArea } from '../src/detection-params.js';
+
+const VECTORS = new URL('./golden/kernels.txt', import.meta.url);
+const UPDATE = process.env.UPDATE_GOLDENS === '1';
+
+const wasmModule = await readFile(new URL('../src/kernels.wasm', import.meta.url))
+  .then(bytes => new WebAssembly.Module(bytes))
+  .catch(() => null);
+if (!wasmModule) {
+  console.warn('\n*** src/kernels.wasm is not built: the WASM parity suite is SKIPPED. Only the golden vectors ' +
+    'check the JS kernels here; run `cargo test --manifest-path kernels/Cargo.toml` for the Rust side, ' +
+    'or `npm run build:kernels` to run the full suite. ***\n');
+}
+
+// Sizes include odd dimensions and images smaller than the windows and search regions
+const SIZES = [[1, 1], [3, 7], [17, 12], [64, 64], [121, 90], [300, 419]];
+const RADII = [0, 1, 3, 6, 8, 25];
+// Overridden thresholds and search areas, including regions of interest at the image edges
+const PARAMS = [
+  { brightIntensity: 180, contrastIntensity: 120, minContrast: 8, searchWindow: 0.9 },
+  { enhancedIntensity: 230, edgeIntensity: 100, minEdgeStrength: 60, uniformIntensity: 90, maxColorVariance: 40, searchRadius: 0.7 },
+  { roi: 'top-left' },
+  { roi: 'right', minContrast: 0 },
+  { roi: { x: 0.1, y: 0.5, width: 0.3, height: 0.5 } },
+].map(overrides => parseDetectionParams(JSON.stringify(overrides)));
+
+describe('WASM kernels', { skip: !wasmModule && 'src/kernels.wasm is not built' }, () => {
+  before(() => kernels.initKernels(wasmModule));
+  after(() => kernels.initKernels(null));
+
+  it('uses the WASM backend', () => {
+    assert.equal(kernels.kernelBackend(), 'wasm');
+  });
+
+  for (const [width, height] of SIZES) {
+    describe(`${width}x${height}`, () => {
+      const pixels = syntheticImage(width, height, width * 7919 + height);
+      const mask = syntheticMask(width, height, width * 104729 + height);
+
+      it('createEnhancedWatermarkMask', () => {
+        assert.deepEqual(
+          kernels.createEnhancedWatermarkMask(pixels, width, height),
+          reference.createEnhancedWatermarkMask(pixels, width, height),
+        );
+      });
+
+      it('detectBrightRegions', () => {
+        assert.deepEqual(
+          kernels.detectBrightRegions(pixels, width, height),
+          reference.detectBrightRegions(pixels, width, height),
+        );
+      });
+
+      it('detection with overridden params', () => {
+        for (const params of PARAMS) {
+          assert.deepEqual(
+            kernels.createEnhancedWatermarkMask(pixels, width, height, params),
+            reference.createEnhancedWatermarkMask(pixels, width, height, params),
+            JSON.stringify(params),
+          );
+          assert.deepEqual(
+            kernels.detectBrightRegions(pixels, width, height, params),
+            reference.detectBrightRegions(pixels, width, height, params),
+            JSON.stringify(params),
+          );
+        }
+      });
+
+      it('dilateMask and erodeMask', () => {
+        for (const radius of RADII) {
+          assert.deepEqual(kernels.dilateMask(mask, width, height, radius), morphology.dilateMask(mask, width, height, radius), `dilate radius ${radius}`);
+          assert.deepEqual(kernels.erodeMask(mask, width, height, radius), morphology.erodeMask(mask, width, height, radius), `erode radius ${radius}`);
+        }
+      });
+
+      it('fillWithWindowMeans', () => {
+        for (const radius of RADII) {
+          const expected = new Uint8Array(pixels);
+          const actual = new Uint8Array(pixels);
+          assert.equal(
+            kernels.fillWithWindowMeans(actual, mask, width, height, radius),
+            morphology.fillWithWindowMeans(expected, mask, width, height, radius),
+          );
+          assert.deepEqual(actual, expected, `radius ${radius}`);
+        }
+      });
+
+      it('applyBoundaryBasedInpainting', () => {
+        const expected = new Uint8Array(pixels);
+        const actual = new Uint8Array(pixels);
+        assert.equal(
+          kernels.applyBoundaryBasedInpainting(actual, mask, width, height),
+          reference.applyBoundaryBasedInpainting(expected, mask, width, height),
+        );
+        assert.deepEqual(actual, expected);
+      });
+    });
+  }
+
+  it('leaves the caller\'s buffers untouched apart from the pixels it inpaints', () => {
+    const [width, height] = [64, 64];
+    const pixels = syntheticImage(width, height, 1);
+    const mask = syntheticMask(width, height, 2);
+    const maskCopy = new Uint8Array(mask);
+    const pixelsCopy = new Uint8Array(pixels);
+
+    kernels.dilateMask(mask, width, height, 4);
+    kernels.createEnhancedWatermarkMask(pixels, width, height);
+    assert.deepEqual(mask, maskCopy);
+    assert.deepEqual(pixels, pixelsCopy);
+  });
+});
+
+describe('golden vectors', () => {
+  it('match the JS reference kernels', async () => {
+    const lines = goldenVectors();
+    if (UPDATE) {
+      await writeFile(VECTORS, [
+        '# Kernel outputs from the JS references, checked by test/kernels.test.mjs and, for the Rust',
+        '# kernels, by kernels/tests/vectors.rs. Regenerate with `npm run test:update-goldens`.',
+        '# <kernel> <width> <height> <image seed> <mask seed> <arguments> = <filled pixels> <FNV-1a digest>',
+        ...lines,
+      ].join('\n') + '\n');
+      return;
+    }
+    const expected = (await readFile(VECTORS, 'utf8')).split('\n').filter(line => line && !line.startsWith('#'));
+    assert.equal(lines.length, expected.length, 'Vector count differs; regenerate with npm run test:update-goldens');
+    lines.forEach((line, i) => assert.equal(line, expected[i]));
+  });
+});
+
+describe('JS fallback', () => {
+  it('runs the reference implementations without a WASM module', () => {
+    kernels.initKernels(null);
+    const [width, height] = [40, 30];
+    const pixels = syntheticImage(width, height, 3);
+    const mask = syntheticMask(width, height, 4);
+
+    assert.equal(kernels.kernelBackend(), 'js');
+    assert.deepEqual(kernels.detectBrightRegions(pixels, width, height), reference.detectBrightRegions(pixels, width, height));
+    assert.deepEqual(kernels.dilateMask(mask, width, height, 2), morphology.dilateMask(mask, width, height, 2));
+  });
+});
+
+// One line per kernel call over the parity suite's sizes, parameters and radii. The search areas
+// and thresholds are written out as the WASM wrappers in src/kernels.js pass them, so the Rust
+// side needn't resolve detection parameters. Kernels that edit pixels in place also give the
+// number of pixels filled; the others give -1.
+function goldenVectors() {
+  const lines = [];
+  for (const [width, height] of SIZES) {
+    const imageSeed = width * 7919 + height;
+    const maskSeed = width * 104729 + height;
+    const pixels = syntheticImage(width, height, imageSeed);
+    const mask = syntheticMask(width, height, maskSeed);
+    const line = (kernel, args, filled, output) =>
+      lines.push([kernel, width, height, imageSeed, maskSeed, ...args, '=', filled, fnv1a(output)].join(' '));
+
+    for (const params of [DEFAULT_DETECTION_PARAMS, ...PARAMS]) {
+      const enhanced = enhancedSearchArea(width, height, params);
+      line('enhanced', [enhanced.x0, enhanced.y0, enhanced.x1, enhanced.y1, enhanced.radius, params.enhancedIntensity,
+        params.edgeIntensity, params.minEdgeStrength, params.uniformIntensity, params.maxColorVariance],
+      -1, reference.createEnhancedWatermarkMask(pixels, width, height, params));
+      const bright = brightSearchArea(width, height, params);
+      line('bright', [bright.x0, bright.y0, bright.x1, bright.y1, params.brightIntensity, params.contrastIntensity, params.minContrast],
+        -1, reference.detectBrightRegions(pixels, width, height, params));
+    }
+    for (const radius of RADII) {
+      line('dilate', [radius], -1, morphology.dilateMask(mask, width, height, radius));
+      line('erode', [radius], -1, morphology.erodeMask(mask, width, height, radius));
+      const filled = new Uint8Array(pixels);
+      line('means', [radius], morphology.fillWithWindowMeans(filled, mask, width, height, radius), filled);
+    }
+    const filled = new Uint8Array(pixels);
+    line('boundary', [], reference.applyBoundaryBasedInpainting(filled, mask, width, height), filled);
+  }
+  return lines;
+}
+
+function fnv1a(bytes) {
+  let hash = 0x811c9dc5;
+  for (const byte of bytes) {
+    hash = Math.imul(hash ^ byte, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Noise over a mid-tone background with light, near-grey text-like bars, so every branch of the
+// brightness, edge and colour-uniformity thresholds is exercised
+function syntheticImage(width, height, seed) {
+  const random = mulberry32(seed);
+  const pixels = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4;
+      const bar = (x >> 2) % 3 === 0 && (y >> 3) % 2 === 0;
+      const base = bar ? 150 + random() * 105 : 40 + random() * 160;
+      const tint = bar ? 8 : 60;
+      pixels[p] = clamp(base + (random() - 0.5) * tint);
+      pixels[p + 1] = clamp(base + (random() - 0.5) * tint);
+      pixels[p + 2] = clamp(base + (random() - 0.5) * tint);
+      pixels[p + 3] = 200 + Math.floor(random() * 56);
+    }
+  }
+  return pixels;
+}
+
+// Blobs of masked pixels with values other than 255, which count as set
+function syntheticMask(width, height, seed) {
+  const random = mulberry32(seed);
+  const mask = new Uint8Array(width * height);
+  const blobs = Math.max(1, Math.floor(width * height / 400));
+  for (let n = 0; n < blobs; n++) {
+    const cx = random() * width;
+    const cy = random() * height;
+    const radius = 1 + random() * 6;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if ((x - cx) ** 2 + (y - cy) ** 2 <= radius * radius) mask[y * width + x] = 1 + Math.floor(random() * 255);
+      }
+    }
+  }
+  return mask;
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,1393 @@
+// Regression suite: runs the Worker in workerd through wrangler's local dev server, checks its
+// routes, and compares the output for every sample/ card and algorithm against a golden image.
+// Goldens hold only the region that processing changed, at the position recorded in
+// test/golden/goldens.json, with the pixels it left alone cleared to transparent so they compress
+// away; everywhere else a golden is the input card, since unmasked pixels never change.
+// After an intended change in output, regenerate them with `npm run test:update-goldens` and
+// look over the new images before committing them.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import { deflateSync } from 'node:zlib';
+import { unstable_startWorker } from 'wrangler';
+import { PhotonImage } from '@cf-wasm/photon/node';
+import { psnr, ssim } from '../src/quality-metrics.js';
+import { encodePng } from './support/png.mjs';
+import { deflatedZip } from './support/zip.mjs';
+import { readZip } from '../src/zip.js';
+import { crc32 } from '../src/crc32.js';
+import { readMetadata, writeMetadata } from '../src/image-metadata.js';
+import { detectTextWatermark } from '../src/text-detection.js';
+import { roiBounds } from '../src/detection-params.js';
+
+const SAMPLE_DIR = new URL('../sample/', import.meta.url);
+const GOLDEN_DIR = new URL('./golden/', import.meta.url);
+const GOLDEN_INDEX = new URL('goldens.json', GOLDEN_DIR);
+const UPDATE = process.env.UPDATE_GOLDENS === '1';
+
+const ALGORITHMS = ['basic', 'edge', 'frequency', 'exemplar', 'telea', 'reverse'];
+const TEXT = 'SAMPLE';
+// Text the cards don't carry, so detection falls back to the brightness-based detectors
+const MISSING_TEXT = 'NOT ON CARD';
+
+// Required over the region where the golden or the new output differs from the input card
+const MIN_PSNR = 35;
+const MIN_SSIM = 0.95;
+
+const cards = (await readdir(SAMPLE_DIR)).filter(name => name.endsWith('.png')).sort();
+const goldens = UPDATE ? {} : JSON.parse(await readFile(GOLDEN_INDEX, 'utf8').catch(() => '{}'));
+
+let worker;
+
+before(async () => {
+  worker = await startWorker();
+});
+
+after(async () => {
+  await worker.dispose();
+  if (UPDATE) {
+    await writeFile(GOLDEN_INDEX, JSON.stringify(goldens, null, 2) + '\n');
+  }
+});
+
+describe('routes', () => {
+  it('serves the web UI at /', async () => {
+    const response = await worker.fetch('http://localhost/');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Content-Type'), 'text/html');
+    assert.match(await response.text(), /<html/);
+  });
+
+  it('reports health and the algorithms at /api/health', async () => {
+    const response = await worker.fetch('http://localhost/api/health');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+    const health = await response.json();
+    assert.equal(health.status, 'healthy');
+    assert.deepEqual(health.algorithms, ALGORITHMS);
+  });
+
+  it('answers CORS preflights', async () => {
+    const response = await worker.fetch('http://localhost/api/remove-watermark', { method: 'OPTIONS' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+    assert.match(response.headers.get('Access-Control-Allow-Methods'), /POST/);
+  });
+
+  it('returns 404 for unknown paths and wrong methods', async () => {
+    for (const [path, method] of [['/nope', 'GET'], ['/api/remove-watermark', 'GET'], ['/api/health/extra', 'GET']]) {
+      const response = await worker.fetch(`http://localhost${path}`, { method });
+      assert.equal(response.status, 404, `${method} ${path}`);
+      assert.equal(await response.text(), 'Not Found');
+    }
+  });
+
+  it('rejects a removal request without an image', async () => {
+    const response = await postForm('/api/remove-watermark', new FormData());
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'No image file provided' });
+  });
+
+  it('scores a removal at /api/evaluate', async () => {
+    const card = await readFile(new URL(cards[0], SAMPLE_DIR));
+    const form = new FormData();
+    form.append('image', new Blob([card], { type: 'image/png' }), cards[0]);
+    form.append('ground_truth', new Blob([card], { type: 'image/png' }), cards[0]);
+
+    const response = await postForm('/api/evaluate', form);
+    assert.equal(response.status, 200);
+    const { groundTruth, metrics, report } = await response.json();
+    assert.equal(groundTruth, true);
+    assert.equal(report.detection.method, 'text');
+    // Against the input itself: the input scores perfectly, and everything removal did is residue
+    assert.equal(metrics.fullReference.input.psnr, 100);
+    assert.ok(metrics.fullReference.output.maskPsnr < 100);
+    assert.equal(metrics.fullReference.residualEnergy, null);
+    assert.equal(metrics.outsideMask.changedPixels, 0);
+    assert.ok(metrics.edgeResidue.ratio < 1);
+  });
+
+  it('finds a repeating watermark grid at /api/detect', async () => {
+    const card = decodePng(await readFile(new URL(cards[0], SAMPLE_DIR)));
+    // Rings 90px apart along 30°, in rows 75px apart across them
+    const angle = 30 * Math.PI / 180;
+    const tiled = stampGrid(card, angle, 90, 75);
+
+    const detect = async (pixels, tiledParam) => {
+      const form = new FormData();
+      form.append('image', new Blob([encodePng(pixels, card.width, card.height)], { type: 'image/png' }), 'tiled.png');
+      form.append('text', MISSING_TEXT);
+      form.append('format', 'json');
+      form.append('params', JSON.stringify({ tiled: tiledParam }));
+      const response = await postForm('/api/detect', form);
+      assert.equal(response.status, 200);
+      return response.json();
+    };
+
+    const { method, match, coverage } = await detect(tiled, true);
+    assert.equal(method, 'tiled');
+    assert.equal(match.polarity, 'light');
+    const periods = match.vectors.map(({ x, y }) => Math.hypot(x, y)).sort((a, b) => a - b);
+    assert.ok(Math.abs(periods[0] - 75) < 1 && Math.abs(periods[1] - 90) < 1, `periods ${periods}`);
+    // The grid's directions, modulo a half turn: the rows' and across them
+    const directions = match.vectors.map(({ x, y }) => ((Math.atan2(y, x) * 180 / Math.PI) + 180) % 180).sort((a, b) => a - b);
+    assert.ok(Math.abs(directions[0] - 30) < 1 && Math.abs(directions[1] - 120) < 1, `directions ${directions}`);
+    assert.ok(coverage > 5 && coverage < 40, `coverage ${coverage}`);
+
+    assert.notEqual((await detect(tiled, false)).method, 'tiled');
+    assert.notEqual((await detect(card.pixels, true)).method, 'tiled');
+  });
+
+  it('carries on past a grid whose cell holds no mark', async () => {
+    // Three evenly spaced bars repeat, but a single word isn't a watermark grid
+    const image = paintStrokes(gradientImage(400, 400, 185, 235), { x: 140, y: 180, width: 160, height: 50 }, [30, 30, 30]);
+    const { method } = await detectJson(image, { params: { tiled: true, color: '#1e1e1e' } });
+    assert.equal(method, 'color');
+  });
+});
+
+describe('errors and strict mode', () => {
+  const STROKES = { x: 140, y: 180, width: 160, height: 50 };
+  const dark = paintStrokes(gradientImage(400, 400, 185, 235), STROKES, [30, 30, 30]);
+  const light = paintStrokes(gradientImage(400, 400, 20, 70), STROKES, [245, 245, 245]);
+  const colour = JSON.stringify({ color: '#1e1e1e' });
+  const expectError = async (fields, status, code) => {
+    const response = await postForm('/api/remove-watermark', buildForm(fields));
+    assert.equal(response.status, status, await response.clone().text());
+    assert.equal(response.headers.get('Content-Type'), 'application/json');
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), status >= 500 ? '*' : null);
+    const body = await response.json();
+    assert.equal(body.code, code);
+    return body;
+  };
+  const file = (bytes, name) => ({ bytes, name, type: 'application/octet-stream' });
+
+  it('reports undecodable uploads by code', async () => {
+    const tiff = await expectError({ image: file(Uint8Array.of(0x49, 0x49, 0x2a, 0, 8, 0, 0, 0), 'scan.tif') }, 415, 'unsupported_format');
+    assert.equal(tiff.format, 'tiff');
+    assert.match(tiff.details, /TIFF images are not supported/);
+    assert.equal((await expectError({ image: file(Uint8Array.of(1, 2, 3, 4), 'notes.txt') }, 415, 'unsupported_format')).format, null);
+
+    const brokenHeader = dark.png.slice(0, 40);
+    brokenHeader.set([0, 0, 0, 0], 12); // IHDR renamed
+    assert.match((await expectError({ image: file(brokenHeader, 'broken.png') }, 422, 'invalid_image')).details, /IHDR/);
+
+    const truncated = dark.png.slice(0, 100);
+    assert.match((await expectError({ image: file(truncated, 'truncated.png') }, 422, 'decode_failed')).details, /400x400, possibly truncated/);
+  });
+
+  it('reports an empty mask as no_watermark_detected', async () => {
+    const flat = gradientImage(200, 200, 100, 100);
+    const detected = await expectError({ image: flat.png, algorithm: 'basic', text: MISSING_TEXT }, 422, 'no_watermark_detected');
+    assert.equal(detected.detection, 'brightness');
+
+    const outside = await expectError({ image: flat.png, mask: '[{ "x": 500, "y": 500, "width": 50, "height": 50 }]' }, 422, 'no_watermark_detected');
+    assert.equal(outside.detection, 'user');
+    assert.match(outside.details, /does not cover any pixels/);
+  });
+
+  it('falls back without strict and refuses to with it', async () => {
+    for (const [fields, stage, reason] of [
+      [{ image: light.png, algorithm: 'basic', text: MISSING_TEXT }, 'detection', /^Text "NOT ON CARD" not found; brightness-based detection used$/],
+      [{ image: dark.png, params: JSON.stringify({ color: '#1e1e1e', tiled: true }) }, 'detection', /^No repeating watermark found; colour-target detection used$/],
+      [{ image: dark.png, algorithm: 'reverse', params: colour }, 'reverse', /edge-preserving inpainting used$/],
+    ]) {
+      const lenient = await postForm('/api/remove-watermark', buildForm(fields));
+      assert.equal(lenient.status, 200, await lenient.clone().text());
+      assert.equal(lenient.headers.get('X-Watermarknt-Fallback'), stage);
+
+      const strict = await expectError({ ...fields, strict: 'true' }, 422, 'fallback_required');
+      assert.equal(strict.stage, stage);
+      assert.match(strict.details, reason);
+    }
+  });
+
+  it('processes as asked in strict mode when nothing falls back', async () => {
+    const card = await readFile(new URL(cards[0], SAMPLE_DIR));
+    const response = await postForm('/api/remove-watermark', buildForm({
+      image: file(card, cards[0]), algorithm: 'basic', text: TEXT, strict: 'true', response: 'json',
+    }));
+    assert.equal(response.status, 200, await response.clone().text());
+    const { report } = await response.json();
+    assert.equal(report.detection.method, 'text');
+    assert.deepEqual(report.fallbacks, []);
+  });
+});
+
+describe('output formats', () => {
+  const MARK = { x: 60, y: 70, width: 80, height: 30 };
+  const image = paintStrokes(gradientImage(200, 200, 185, 235), MARK, [30, 30, 30]);
+  const remove = (bytes, name, fields = {}) => postForm('/api/remove-watermark', buildForm({
+    image: { bytes, name, type: 'application/octet-stream' }, mask: JSON.stringify([MARK]), algorithm: 'basic', ...fields,
+  }));
+  const expectImage = async (response, format, filename) => {
+    assert.equal(response.status, 200, await response.clone().text());
+    assert.equal(response.headers.get('Content-Type'), `image/${format}`);
+    assert.equal(response.headers.get('Content-Disposition'), `attachment; filename="${filename}"`);
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    assert.equal(formatOf(bytes), format, `${filename} holds ${formatOf(bytes)} bytes`);
+    return bytes;
+  };
+
+  it('answers in the format that was uploaded', async () => {
+    await expectImage(await remove(image.png, 'card.png'), 'png', 'processed_card.png');
+    await expectImage(await remove(encodeAs(image, 'jpeg'), 'card.jpg'), 'jpeg', 'processed_card.jpg');
+    await expectImage(await remove(encodeAs(image, 'webp'), 'card.webp'), 'webp', 'processed_card.webp');
+    // Formats that aren't encoded are returned as PNG
+    await expectImage(await remove(encodeBmp(image), 'scan.bmp'), 'png', 'processed_scan.png');
+  });
+
+  it('encodes the requested output and renames the file to match', async () => {
+    const jpeg = encodeAs(image, 'jpeg');
+    await expectImage(await remove(jpeg, 'card.jpg', { output: 'png' }), 'png', 'processed_card.png');
+    await expectImage(await remove(jpeg, 'card.JPEG', { output: 'webp' }), 'webp', 'processed_card.webp');
+    await expectImage(await remove(image.png, 'card.png', { output: 'jpg' }), 'jpeg', 'processed_card.jpg');
+    await expectImage(await remove(image.png, 'scan', { output: 'jpeg' }), 'jpeg', 'processed_scan.jpg');
+  });
+
+  it('changes nothing outside the mask in lossless output', async () => {
+    for (const output of ['png', 'webp']) {
+      const bytes = await expectImage(await remove(image.png, 'card.png', { output }), output, `processed_card.${output}`);
+      const changed = changedRegion(image, decodePng(bytes));
+      assert.ok(changed, `${output} output is unchanged`);
+      assert.ok(changed.x >= MARK.x && changed.y >= MARK.y && changed.x + changed.width <= MARK.x + MARK.width &&
+        changed.y + changed.height <= MARK.y + MARK.height, `${output} changed ${JSON.stringify(changed)}`);
+    }
+  });
+
+  it('encodes JPEG at the requested quality', async () => {
+    const outsideMark = { x: 0, y: 120, width: 200, height: 80 };
+    const [low, high] = await Promise.all([10, 95].map(async quality => {
+      const bytes = await expectImage(await remove(image.png, 'card.png', { output: 'jpeg', quality }), 'jpeg', 'processed_card.jpg');
+      return { bytes, score: psnr(decodePng(bytes).pixels, image.pixels, image.width, outsideMark) };
+    }));
+    assert.ok(low.bytes.length < high.bytes.length, `quality 10 is ${low.bytes.length} bytes, 95 is ${high.bytes.length}`);
+    assert.ok(low.score < high.score, `quality 10 scores ${low.score} dB, 95 scores ${high.score} dB`);
+    assert.ok(high.score > 40, `quality 95 scores ${high.score} dB`);
+  });
+
+  it('rejects unknown formats and out-of-range quality', async () => {
+    for (const [fields, details] of [
+      [{ output: 'gif' }, /^Unknown output format: gif \(expected png, jpeg, webp\)$/],
+      [{ quality: '0' }, /^Quality must be a whole number from 1 to 100, got 0$/],
+      [{ quality: '85.5' }, /got 85\.5$/],
+    ]) {
+      const response = await remove(image.png, 'card.png', fields);
+      assert.equal(response.status, 400);
+      assert.deepEqual(Object.keys(await response.clone().json()), ['error', 'details']);
+      assert.match((await response.json()).details, details);
+    }
+  });
+});
+
+describe('decoding', () => {
+  // 120x80 as stored, with a red block in the stored top-left corner
+  const stored = gradientImage(120, 80, 100, 160);
+  for (let y = 0; y < 20; y++) {
+    for (let x = 0; x < 20; x++) stored.pixels.set([230, 20, 20], (y * 120 + x) * 4);
+  }
+  const red = ({ pixels, width }, x, y) => {
+    const p = (y * width + x) * 4;
+    return pixels[p] > 200 && pixels[p + 1] < 60 && pixels[p + 2] < 60;
+  };
+
+  it('turns photos upright by their EXIF orientation', async () => {
+    for (const [format, orientation, [width, height], corner] of [
+      ['png', 3, [120, 80], 'bottom-right'], // Rotated 180°
+      ['png', 8, [80, 120], 'bottom-left'], // Rotated 90° anticlockwise
+      ['jpeg', 6, [80, 120], 'top-right'], // Rotated 90° clockwise, as phones store portrait photos
+    ]) {
+      const bytes = withExifOrientation(encodeAs(stored, format), format, orientation);
+      const response = await postForm('/api/remove-watermark', buildForm({
+        image: { bytes, name: `photo.${format}`, type: `image/${format}` }, algorithm: 'basic',
+        mask: JSON.stringify([{ x: 30, y: 30, width: 20, height: 20 }]), response: 'json',
+      }));
+      assert.equal(response.status, 200, await response.clone().text());
+      const result = await response.json();
+      assert.deepEqual([result.width, result.height], [width, height], `${format} orientation ${orientation}`);
+
+      const output = decodePng(Buffer.from(result.image, 'base64'));
+      assert.deepEqual([output.width, output.height], [width, height]);
+      const corners = {
+        'top-left': [10, 10], 'top-right': [width - 11, 10],
+        'bottom-left': [10, height - 11], 'bottom-right': [width - 11, height - 11],
+      };
+      for (const [name, [x, y]] of Object.entries(corners)) {
+        assert.equal(red(output, x, y), name === corner, `${format} orientation ${orientation}: ${name} corner`);
+      }
+    }
+  });
+
+  it('leaves images without an orientation as stored', async () => {
+    const response = await postForm('/api/remove-watermark', buildForm({
+      image: encodeAs(stored, 'png'), algorithm: 'basic', mask: JSON.stringify([{ x: 60, y: 30, width: 20, height: 20 }]),
+    }));
+    assert.equal(response.status, 200, await response.clone().text());
+    const output = decodePng(new Uint8Array(await response.arrayBuffer()));
+    assert.deepEqual([output.width, output.height], [120, 80]);
+    assert.ok(red(output, 10, 10));
+  });
+});
+
+describe('metadata', () => {
+  const ICC = Uint8Array.from({ length: 300 }, (_, i) => (i * 7) & 0xff);
+  const XMP = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+    '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" dc:source="scanner"/></rdf:RDF></x:xmpmeta>';
+  const AUTHOR = { type: 'tEXt', data: Uint8Array.from('Author\0Card scanner', character => character.charCodeAt(0)) };
+  const NOTE = /^Watermark removed by watermarknt \(algorithm: basic, mask coverage: [\d.]+%\)$/;
+  let input;
+  before(async () => {
+    // An ICC profile, XMP and a text chunk, and EXIF with an orientation for the output to reset
+    const png = await writeMetadata(gradientImage(160, 120, 90, 200).png, 'png', { icc: ICC, exif: null, xmp: XMP, text: [AUTHOR] });
+    input = withExifOrientation(png, 'png', 6);
+  });
+  const remove = async fields => {
+    const response = await postForm('/api/remove-watermark', buildForm({
+      image: { bytes: input, name: 'scan.png', type: 'image/png' }, algorithm: 'basic',
+      mask: JSON.stringify([{ x: 20, y: 20, width: 30, height: 30 }]), ...fields,
+    }));
+    assert.equal(response.status, 200, await response.clone().text());
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    return { bytes, metadata: await readMetadata(bytes, formatOf(bytes)) };
+  };
+  const latin1 = bytes => String.fromCharCode(...bytes);
+  const orientation = exif => new DataView(exif.buffer, exif.byteOffset).getUint16(18, true);
+
+  it('keeps only the ICC profile and adds a processing note by default', async () => {
+    const { metadata } = await remove({});
+    assert.deepEqual(metadata.icc, ICC);
+    assert.deepEqual([metadata.exif, metadata.xmp], [null, null]);
+    assert.deepEqual(metadata.text.map(({ type }) => type), ['tEXt']);
+    const [keyword, note] = latin1(metadata.text[0].data).split('\0');
+    assert.equal(keyword, 'Comment');
+    assert.match(note, NOTE);
+  });
+
+  it('carries EXIF, XMP and text chunks over with keep_metadata', async () => {
+    const png = await remove({ keep_metadata: 'true' });
+    assert.deepEqual(png.metadata.icc, ICC);
+    assert.equal(orientation(png.metadata.exif), 1, 'EXIF orientation is reset once the pixels are upright');
+    assert.equal(png.metadata.xmp, XMP);
+    assert.deepEqual(png.metadata.text.map(({ data }) => latin1(data).split('\0')[0]), ['Author', 'Comment']);
+    assert.deepEqual(png.metadata.text[0].data, AUTHOR.data);
+
+    // Converted to the other containers; PNG text chunks have nowhere to go, and the note moves into XMP
+    for (const output of ['jpeg', 'webp']) {
+      const { bytes, metadata } = await remove({ keep_metadata: 'true', output });
+      assert.equal(formatOf(bytes), output);
+      assert.deepEqual(metadata.icc, ICC, output);
+      assert.equal(orientation(metadata.exif), 1, output);
+      assert.match(metadata.xmp, /dc:source="scanner"/, output);
+      assert.match(metadata.xmp, /watermarknt:algorithm="basic"/, output);
+      assert.match(metadata.xmp.match(/watermarknt:note="([^"]*)"/)[1], NOTE, output);
+      assert.deepEqual(metadata.text, []);
+    }
+  });
+
+  it('removes everything with strip_metadata', async () => {
+    const png = await remove({ strip_metadata: 'true' });
+    assert.deepEqual(pngChunkTypes(png.bytes).filter(type => !['IHDR', 'IDAT', 'IEND'].includes(type)), []);
+    const jpeg = await remove({ strip_metadata: 'true', output: 'jpeg' });
+    assert.deepEqual(jpeg.metadata, { icc: null, exif: null, xmp: null, text: [] });
+  });
+
+  it('drops an ICC profile or XMP packet that inflates past the cap, keeping the rest', async () => {
+    // 16 MB of zeros deflates to a few KB; the Worker stops inflating at 4 MB
+    const bomb = deflateSync(Buffer.alloc(16 * 1024 * 1024), { level: 9 });
+    let png = await writeMetadata(gradientImage(160, 120, 90, 200).png, 'png', { icc: null, exif: null, xmp: null, text: [AUTHOR] });
+    png = withPngChunk(png, 'iCCP', Buffer.concat([Buffer.from('ICC Profile\0\0', 'latin1'), bomb]));
+    png = withPngChunk(png, 'iTXt', Buffer.concat([Buffer.from('XML:com.adobe.xmp\0\x01\0\0\0', 'latin1'), bomb]));
+    assert.ok(png.length < 100000, `${png.length} bytes`);
+
+    const response = await postForm('/api/remove-watermark', buildForm({
+      image: { bytes: png, name: 'bomb.png', type: 'image/png' }, algorithm: 'basic',
+      mask: JSON.stringify([{ x: 20, y: 20, width: 30, height: 30 }]), keep_metadata: 'true',
+    }));
+    assert.equal(response.status, 200, await response.clone().text());
+    const metadata = await readMetadata(new Uint8Array(await response.arrayBuffer()), 'png');
+    assert.deepEqual([metadata.icc, metadata.xmp], [null, null]);
+    assert.deepEqual(metadata.text.map(({ data }) => latin1(data).split('\0')[0]), ['Author', 'Comment']);
+  });
+
+  it('refuses keep_metadata and strip_metadata together', async () => {
+    const response = await postForm('/api/remove-watermark', buildForm({ image: input, keep_metadata: 'true', strip_metadata: 'true' }));
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'Invalid options', details: 'strip_metadata and keep_metadata cannot both be set' });
+  });
+});
+
+describe('processing reports', () => {
+  const image = gradientImage(200, 160, 90, 200);
+  const SMALL = { x: 120, y: 100, width: 20, height: 20 };
+  const LARGE = { x: 20, y: 30, width: 60, height: 20 };
+  const remove = fields => postForm('/api/remove-watermark', buildForm({
+    image: image.png, algorithm: 'edge', mask: JSON.stringify([SMALL, LARGE]), ...fields,
+  }));
+  const STAGES = ['decode', 'detection', 'inpainting', 'encode', 'metadata', 'total'];
+
+  it('returns the image base64-encoded with a report for response=json', async () => {
+    const response = await remove({ response: 'json' });
+    assert.equal(response.status, 200, await response.clone().text());
+    assert.equal(response.headers.get('Content-Type'), 'application/json');
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+    const result = await response.json();
+    assert.deepEqual(Object.keys(result), ['image', 'contentType', 'filename', 'width', 'height', 'report']);
+    assert.deepEqual([result.contentType, result.filename, result.width, result.height], ['image/png', 'processed_image.png', 200, 160]);
+    const output = decodePng(Buffer.from(result.image, 'base64'));
+    assert.deepEqual([output.width, output.height], [200, 160]);
+
+    const { report } = result;
+    assert.deepEqual(Object.keys(report), ['algorithm', 'detection', 'maskedPixels', 'coverage', 'regions', 'tiling', 'timings', 'fallbacks']);
+    assert.equal(report.algorithm, 'edge');
+    assert.equal(report.detection.method, 'user');
+    assert.equal(report.maskedPixels, 1600);
+    assert.equal(report.coverage, 5);
+    // Largest first, each with its pixel count
+    assert.deepEqual(report.regions, [{ ...LARGE, pixels: 1200 }, { ...SMALL, pixels: 400 }]);
+    assert.equal(report.tiling, null);
+    assert.deepEqual(Object.keys(report.timings), STAGES);
+    assert.ok(Object.values(report.timings).every(ms => Number.isInteger(ms) && ms >= 0), JSON.stringify(report.timings));
+    assert.deepEqual(report.fallbacks, []);
+  });
+
+  it('lists each fallback with its stage and reason', async () => {
+    const light = paintStrokes(gradientImage(400, 400, 20, 70), { x: 140, y: 180, width: 160, height: 50 }, [245, 245, 245]);
+    const response = await postForm('/api/remove-watermark', buildForm({
+      image: light.png, algorithm: 'basic', text: MISSING_TEXT, response: 'json',
+    }));
+    assert.equal(response.status, 200, await response.clone().text());
+    const { report } = await response.json();
+    assert.equal(report.detection.method, 'brightness');
+    assert.deepEqual(report.fallbacks, [{ stage: 'detection', reason: `Text "${MISSING_TEXT}" not found; brightness-based detection used` }]);
+  });
+
+  it('carries the same facts in X-Watermarknt-* headers on image responses', async () => {
+    const response = await remove({});
+    assert.equal(response.status, 200, await response.clone().text());
+    assert.equal(response.headers.get('Content-Type'), 'image/png');
+    const header = name => response.headers.get(`X-Watermarknt-${name}`);
+    assert.equal(header('Algorithm'), 'edge');
+    assert.equal(header('Detection'), 'user');
+    assert.equal(header('Masked-Pixels'), '1600');
+    assert.equal(header('Coverage'), '5');
+    assert.equal(header('Regions'), '20,30,60,20;120,100,20,20');
+    assert.deepEqual(header('Timing').split(', ').map(entry => entry.split('=')[0]), STAGES);
+    assert.match(header('Timing'), /^(\w+=\d+)(, \w+=\d+)*$/);
+    assert.equal(header('Fallback'), 'none');
+
+    // Readable from browser scripts on other origins
+    const exposed = response.headers.get('Access-Control-Expose-Headers').split(', ');
+    for (const name of ['Content-Disposition', 'X-Watermarknt-Algorithm', 'X-Watermarknt-Detection', 'X-Watermarknt-Masked-Pixels',
+      'X-Watermarknt-Coverage', 'X-Watermarknt-Regions', 'X-Watermarknt-Timing', 'X-Watermarknt-Fallback']) {
+      assert.ok(exposed.includes(name), `${name} isn't exposed`);
+    }
+  });
+
+  it('rejects an unknown response mode', async () => {
+    const response = await remove({ response: 'xml' });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'Unknown response mode: xml', modes: ['image', 'json'] });
+  });
+});
+
+describe('text detection', () => {
+  it('reads no further than the pixels of an image narrower than its downsampling factor', () => {
+    // 600 rows downsample by 5 at the coarse level and 2 at the fine one, so the 3 columns make
+    // a level one cell wide; reading past the end of the buffer throws
+    for (const [width, height] of [[3, 600], [600, 3], [1, 1]]) {
+      const bytes = new Uint8ClampedArray(width * height * 4).fill(200);
+      const pixels = new Proxy(bytes, {
+        get(target, key) {
+          if (typeof key === 'string' && /^\d+$/.test(key) && Number(key) >= target.length) {
+            throw new RangeError(`read pixel byte ${key} of ${target.length}`);
+          }
+          const value = Reflect.get(target, key);
+          return typeof value === 'function' ? value.bind(target) : value;
+        },
+      });
+      assert.equal(detectTextWatermark(pixels, width, height, TEXT), null, `${width}x${height}`);
+    }
+  });
+});
+
+describe('colour-target detection', () => {
+  // Letter-like strokes, well inside the centred search window
+  const STROKES = { x: 140, y: 180, width: 160, height: 50 };
+
+  it('masks a given dark colour on a light image', async () => {
+    const image = paintStrokes(gradientImage(400, 400, 190, 240), STROKES, [30, 30, 30]);
+    const { method, match, bbox } = await detectJson(image, { params: { color: '#1e1e1e' } });
+    assert.equal(method, 'color');
+    assert.deepEqual(match, { color: '#1e1e1e', estimated: false, polarity: 'dark' });
+    assertCovers(bbox, STROKES);
+  });
+
+  it('masks a given light colour on a dark image', async () => {
+    const image = paintStrokes(gradientImage(400, 400, 20, 70), STROKES, [235, 235, 235]);
+    const { method, match, bbox } = await detectJson(image, { params: { color: '#ebebeb' } });
+    assert.equal(method, 'color');
+    assert.equal(match.polarity, 'light');
+    assertCovers(bbox, STROKES);
+  });
+
+  it('estimates the colour with auto', async () => {
+    const card = decodePng(await readFile(new URL(cards[0], SAMPLE_DIR)));
+    const strokes = { x: 150, y: 380, width: 300, height: 60 };
+    const image = paintStrokes(card, strokes, [200, 16, 46]);
+    const roi = { x: 0.2, y: 0.43, width: 0.6, height: 0.14 };
+    const { method, match, bbox } = await detectJson(image, { params: { color: 'auto', roi } });
+    assert.equal(method, 'color');
+    assert.equal(match.estimated, true);
+    assert.equal(match.polarity, 'dark');
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(match.color.slice(i, i + 2), 16));
+    assert.ok(Math.abs(r - 200) < 16 && g < 40 && Math.abs(b - 46) < 16, `estimated ${match.color}`);
+    assertCovers(bbox, strokes);
+  });
+
+  it('is a selected method, not a fallback, in strict mode', async () => {
+    const image = paintStrokes(gradientImage(400, 400, 190, 240), STROKES, [30, 30, 30]);
+    const response = await postForm('/api/remove-watermark', buildForm({
+      image: image.png, text: MISSING_TEXT, strict: 'true', params: JSON.stringify({ color: '#1e1e1e' }),
+    }));
+    assert.equal(response.status, 200, await response.clone().text());
+    assert.equal(response.headers.get('X-Watermarknt-Detection'), 'color');
+    assert.equal(response.headers.get('X-Watermarknt-Fallback'), 'none');
+  });
+});
+
+describe('batches', () => {
+  const STROKES = { x: 140, y: 180, width: 160, height: 50 };
+  const light = paintStrokes(gradientImage(400, 400, 190, 240), STROKES, [30, 30, 30]);
+  const dark = paintStrokes(gradientImage(400, 400, 20, 70), STROKES, [30, 30, 30]);
+  const file = (name, bytes) => ({ bytes, name, type: 'image/png' });
+  const batch = async fields => {
+    const response = await postForm('/api/remove-watermark/batch', buildForm({
+      algorithm: 'basic', params: JSON.stringify({ color: '#1e1e1e' }), ...fields,
+    }));
+    assert.equal(response.status, 200, await response.clone().text());
+    assert.equal(response.headers.get('Content-Type'), 'application/zip');
+    const files = {};
+    for (const entry of readZip(new Uint8Array(await response.arrayBuffer()))) {
+      files[entry.name] = await entry.read();
+    }
+    return { files, manifest: JSON.parse(new TextDecoder().decode(files['manifest.json'])) };
+  };
+
+  it('processes every image field under its own name and lists failures in the manifest', async () => {
+    const { files, manifest } = await batch({
+      image: [file('light.png', light.png), file('dark.png', dark.png), file('broken.png', Uint8Array.of(1, 2, 3))],
+    });
+    assert.deepEqual([manifest.total, manifest.succeeded, manifest.failed], [3, 2, 1]);
+    assert.deepEqual(manifest.files.map(f => [f.name, f.status, f.output]),
+      [['light.png', 'ok', 'light.png'], ['dark.png', 'ok', 'dark.png'], ['broken.png', 'error', undefined]]);
+    assert.equal(manifest.files[0].detection, 'color');
+    assert.equal(manifest.files[2].code, 'unsupported_format');
+    assert.deepEqual(Object.keys(files).sort(), ['dark.png', 'light.png', 'manifest.json']);
+    assertCovers(changedRegion(light, decodePng(files['light.png'])), STROKES);
+  });
+
+  it('expands ZIP archives, keeping paths and renaming clashes', async () => {
+    const archive = deflatedZip([
+      { name: 'cards/light.png', data: light.png },
+      { name: '__MACOSX/cards/._light.png', data: Uint8Array.of(0) },
+      { name: 'cards/.DS_Store', data: Uint8Array.of(0) },
+    ]);
+    const { files, manifest } = await batch({
+      image: [{ bytes: archive, name: 'cards.zip', type: 'application/zip' }, file('cards/light.webp', light.png)],
+      output: 'png',
+    });
+    assert.deepEqual(manifest.files.map(f => [f.name, f.status, f.output]),
+      [['cards/light.png', 'ok', 'cards/light.png'], ['cards/light.webp', 'ok', 'cards/light_2.png']]);
+    assert.deepEqual(Object.keys(files).sort(), ['cards/light.png', 'cards/light_2.png', 'manifest.json']);
+  });
+
+  it('stops inflating an entry at the size its header declares', async () => {
+    const archive = deflatedZip([
+      { name: 'bomb.png', data: new Uint8Array(8 * 1024 * 1024), size: 1000 },
+      { name: 'light.png', data: light.png },
+    ]);
+    const { manifest } = await batch({ image: { bytes: archive, name: 'bomb.zip', type: 'application/zip' } });
+    assert.deepEqual(manifest.files.map(f => [f.name, f.status]), [['bomb.png', 'error'], ['light.png', 'ok']]);
+    assert.match(manifest.files[0].error, /past the size in its header/);
+  });
+
+  it("caps the bytes a batch's archive entries inflate to", async () => {
+    const data = new Uint8Array(24 * 1024 * 1024);
+    const archive = deflatedZip(['a.png', 'b.png', 'c.png'].map(name => ({ name, data })));
+    const { manifest } = await batch({ image: { bytes: archive, name: 'big.zip', type: 'application/zip' } });
+    assert.deepEqual(manifest.files.map(f => f.code), ['unsupported_format', 'unsupported_format', 'file_too_large']);
+    assert.match(manifest.files[2].error, /past 67108864 bytes/);
+  });
+});
+
+describe('masks', () => {
+  const RECT = { x: 50, y: 60, width: 90, height: 40 };
+  const image = paintStrokes(gradientImage(200, 200, 200, 240), RECT, [40, 40, 40]);
+  const remove = mask => postForm('/api/remove-watermark', buildForm({ image: image.png, algorithm: 'basic', mask }));
+  const cleaned = async response => {
+    assert.equal(response.status, 200, await response.clone().text());
+    assert.equal(response.headers.get('X-Watermarknt-Detection'), 'user');
+    return decodePng(new Uint8Array(await response.arrayBuffer()));
+  };
+
+  it('takes a black-and-white mask image', async () => {
+    const mask = rectMask(200, 200, RECT);
+    const output = await cleaned(await remove({ bytes: mask.png, name: 'mask.png', type: 'image/png' }));
+    assertCovers(changedRegion(image, output), RECT, 0);
+  });
+
+  it('takes JSON rectangles as a form field and polygons as a file', async () => {
+    const rect = await cleaned(await remove(JSON.stringify([RECT])));
+    assertCovers(changedRegion(image, rect), RECT, 0);
+
+    const { x, y, width, height } = RECT;
+    const polygon = JSON.stringify({ shapes: [{ points: [[x, y], [x + width, y], [x + width, y + height], [x, y + height]] }] });
+    const output = await cleaned(await remove({ bytes: new TextEncoder().encode(polygon), name: 'mask.json', type: 'application/json' }));
+    assertCovers(changedRegion(image, output), RECT, 0);
+  });
+
+  it('rejects masks that can\'t be used', async () => {
+    for (const [mask, details] of [
+      ['[{ "x": 1', /could not be parsed/],
+      ['[{ "x": 1, "y": 2 }]', /expected \{ x, y, width, height \}/],
+      [{ bytes: rectMask(100, 100, RECT).png, name: 'mask.png', type: 'image/png' }, /100x100, but the image is 200x200/],
+    ]) {
+      const response = await remove(mask);
+      assert.equal(response.status, 400);
+      const body = await response.json();
+      assert.equal(body.code, 'invalid_mask');
+      assert.match(body.details, details);
+    }
+  });
+
+  it('checks a mask image\'s size on its header before decoding it', async () => {
+    const mask = withHeaderSize(rectMask(200, 200, RECT).png, 5000, 5000);
+    const response = await remove({ bytes: mask, name: 'mask.png', type: 'image/png' });
+    assert.equal(response.status, 413);
+    const body = await response.json();
+    assert.equal(body.code, 'image_too_large');
+    assert.match(body.details, /^Mask image: 5000x5000/);
+  });
+});
+
+describe('detection params', () => {
+  // Light marks in the top-left and bottom-right corners, outside the centred search areas
+  const TOP_LEFT = { x: 20, y: 24, width: 60, height: 25 };
+  const BOTTOM_RIGHT = { x: 216, y: 250, width: 70, height: 30 };
+  const image = paintStrokes(paintStrokes(gradientImage(301, 301, 40, 90), TOP_LEFT, [245, 245, 245]), BOTTOM_RIGHT, [245, 245, 245]);
+  const detectMask = (algorithm, params) => detectJson(image, { algorithm, params });
+
+  it('rejects unknown and out-of-range params with a message naming the field', async () => {
+    for (const [params, details] of [
+      ['{ "brightIntensity": 300 }', /^brightIntensity must be a number from 0 to 255, got 300$/],
+      ['{ "dilationRadius": 2.5 }', /^dilationRadius must be a whole number from 0 to 32/],
+      ['{ "searchRadius": 0 }', /^searchRadius must be a number from 0.05 to 1/],
+      ['{ "threshold": 10 }', /^Unknown parameter: threshold/],
+      ['{ "tiled": "yes" }', /^tiled must be true or false/],
+      ['{ "roi": "middle" }', /^Unknown roi: middle/],
+      ['{ "roi": { "x": -0.1, "y": 0, "width": 0.5, "height": 0.5 } }', /^roi\.x must be a fraction/],
+      ['{ "roi": { "x": 0.8, "y": 0, "width": 0.5, "height": 0.5 } }', /^roi must be a non-empty region inside the image/],
+      ['[220]', /^params must be a JSON object/],
+      ['{ brightIntensity: 200 }', /^params is not valid JSON/],
+    ]) {
+      for (const path of ['/api/detect', '/api/remove-watermark']) {
+        const response = await postForm(path, buildForm({ image: image.png, params }));
+        assert.equal(response.status, 400, `${path} ${params}`);
+        const body = await response.json();
+        assert.equal(body.error, 'Invalid options');
+        assert.match(body.details, details, `${path} ${params}`);
+      }
+    }
+  });
+
+  it('searches only the roi on /api/detect', async () => {
+    for (const algorithm of ['basic', 'edge']) {
+      assert.equal((await detectMask(algorithm, {})).bbox, null, `${algorithm} found a corner mark without a roi`);
+
+      const topLeft = await detectMask(algorithm, { roi: 'top-left' });
+      assert.equal(topLeft.method, 'brightness');
+      assertCovers(topLeft.bbox, TOP_LEFT);
+      const bottomRight = await detectMask(algorithm, { roi: 'bottom-right' });
+      assertCovers(bottomRight.bbox, BOTTOM_RIGHT);
+    }
+  });
+
+  it('removes only the mark inside the roi on /api/remove-watermark', async () => {
+    const response = await postForm('/api/remove-watermark', buildForm({
+      image: image.png, algorithm: 'basic', text: MISSING_TEXT, params: JSON.stringify({ roi: 'bottom-right' }),
+    }));
+    assert.equal(response.status, 200, await response.clone().text());
+    const changed = changedRegion(image, decodePng(new Uint8Array(await response.arrayBuffer())));
+    assertCovers(changed, BOTTOM_RIGHT);
+  });
+
+  it('clips a roi that overshoots the image edge by rounding', async () => {
+    // 0.7 + 0.30000000000000004 is just over 1, and its right edge rounds up past the last column
+    const roi = { x: 0.7, y: 0.7, width: 0.1 * 3, height: 0.1 * 3 };
+    const { bbox } = await detectMask('edge', { roi });
+    assertCovers(bbox, BOTTOM_RIGHT);
+    assert.ok(bbox.x + bbox.width <= 301 && bbox.y + bbox.height <= 301);
+
+    // Text detection copies the roi's pixels out, so an unclipped roi would read past the image
+    const response = await postForm('/api/remove-watermark', buildForm({
+      image: image.png, text: MISSING_TEXT, params: JSON.stringify({ roi }),
+    }));
+    assert.equal(response.status, 200, await response.clone().text());
+    assert.equal(response.headers.get('X-Watermarknt-Detection'), 'brightness');
+  });
+
+  it('keeps at least a pixel of a roi that rounds to nothing', async () => {
+    // x at the far edge with a width inside parseRoi's slack, and a height lost adding it to 0.5
+    const edge = { x: 1, y: 0, width: 1e-10, height: 1 };
+    const thin = { x: 0, y: 0.5, width: 1, height: 1e-17 };
+    assert.deepEqual(roiBounds(edge, 301, 301), { x0: 300, y0: 0, x1: 301, y1: 301 });
+    assert.deepEqual(roiBounds(thin, 300, 300), { x0: 0, y0: 150, x1: 300, y1: 151 });
+
+    for (const roi of [edge, thin]) {
+      for (const algorithm of ['basic', 'edge']) await detectMask(algorithm, { roi });
+      const response = await postForm('/api/remove-watermark', buildForm({
+        image: image.png, text: MISSING_TEXT, params: JSON.stringify({ roi }),
+      }));
+      // Nothing to find in a strip that thin, but a region to search
+      const body = await response.json();
+      assert.equal(response.status, 422, JSON.stringify(body));
+      assert.equal(body.code, 'no_watermark_detected');
+    }
+  });
+});
+
+describe('upload limits', () => {
+  // Limits small enough to reach with small images
+  const LIMITS = { MAX_UPLOAD_BYTES: '200000', MAX_MEGAPIXELS: '0.25', TILE_MEGAPIXELS: '0.05' };
+  const STROKES = { x: 140, y: 180, width: 160, height: 50 };
+  const image = paintStrokes(gradientImage(400, 400, 190, 240), STROKES, [30, 30, 30]);
+  const oversized = withHeaderSize(image.png, 600, 600);
+  const remove = fields => postForm('/api/remove-watermark', buildForm({
+    params: JSON.stringify({ color: '#1e1e1e' }), ...fields,
+  }), {}, limited);
+  let limited;
+
+  before(async () => {
+    limited = await startWorker(LIMITS);
+  });
+
+  after(async () => {
+    await limited.dispose();
+  });
+
+  it('rejects a file over MAX_UPLOAD_BYTES', async () => {
+    const padded = new Uint8Array(250000);
+    padded.set(image.png);
+    const response = await remove({ image: padded });
+    assert.equal(response.status, 413);
+    const body = await response.json();
+    assert.equal(body.code, 'file_too_large');
+    assert.deepEqual([body.size, body.maxBytes], [250000, 200000]);
+  });
+
+  it('rejects an image, reference or mask over MAX_MEGAPIXELS on its header', async () => {
+    const file = (bytes, name) => ({ bytes, name, type: 'image/png' });
+    for (const [fields, details] of [
+      [{ image: file(oversized, 'big.png') }, /^600x600 is over the 0.25 megapixel limit/],
+      [{ image: image.png, algorithm: 'reverse', reference: file(oversized, 'big.png') }, /^big\.png: 600x600/],
+      [{ image: image.png, mask: file(oversized, 'big.png') }, /^Mask image: 600x600/],
+    ]) {
+      const response = await remove(fields);
+      assert.equal(response.status, 413);
+      const body = await response.json();
+      assert.equal(body.code, 'image_too_large');
+      assert.deepEqual([body.width, body.height, body.maxPixels], [600, 600, 250000]);
+      assert.match(body.details, details);
+    }
+  });
+
+  it('holds images to 8 megapixels by default', async () => {
+    const response = await postForm('/api/remove-watermark', buildForm({ image: withHeaderSize(image.png, 2829, 2829) }));
+    assert.equal(response.status, 413);
+    const body = await response.json();
+    assert.equal(body.code, 'image_too_large');
+    assert.equal(body.maxPixels, 8000000);
+
+    // Just under the limit, the header passes and decoding finds the data doesn't match it
+    const under = await postForm('/api/remove-watermark', buildForm({ image: withHeaderSize(image.png, 2828, 2828) }));
+    assert.equal(under.status, 422);
+    assert.equal((await under.json()).code, 'decode_failed');
+  });
+
+  it('detects on a reduced copy and inpaints in tiles above TILE_MEGAPIXELS', async () => {
+    const response = await remove({ image: image.png, algorithm: 'edge', response: 'json' });
+    assert.equal(response.status, 200, await response.clone().text());
+    const { report, image: output } = await response.json();
+    assert.ok(report.tiling, 'Not tiled');
+    assert.ok(report.tiling.scale >= 2 && report.tiling.tiles > 1, JSON.stringify(report.tiling));
+    assert.equal(report.detection.method, 'color');
+    // The mask was dilated on the reduced copy, so its margin grows with the scale
+    assertCovers(changedRegion(image, decodePng(Buffer.from(output, 'base64'))), STROKES, 12 * report.tiling.scale);
+  });
+});
+
+describe('jobs', () => {
+  const STROKES = { x: 140, y: 180, width: 160, height: 50 };
+  const image = paintStrokes(gradientImage(400, 400, 185, 235), STROKES, [30, 30, 30]);
+  const fields = { image: image.png, algorithm: 'basic', params: JSON.stringify({ color: '#1e1e1e' }) };
+
+  // Polls the job until it has finished
+  const finished = async location => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const job = await (await worker.fetch(`http://localhost${location}`)).json();
+      if (job.status === 'done' || job.status === 'failed') return job;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.fail(`${location} didn't finish`);
+  };
+
+  it('runs a removal in the background and returns what the request would have', async () => {
+    const response = await postForm('/api/jobs', buildForm(fields));
+    assert.equal(response.status, 202, await response.clone().text());
+    const job = await response.json();
+    assert.equal(job.status, 'queued');
+    assert.equal(response.headers.get('Location'), `/api/jobs/${job.id}`);
+
+    const done = await finished(`/api/jobs/${job.id}`);
+    assert.equal(done.status, 'done');
+    assert.equal(done.progress, 100);
+    assert.equal(done.report.detection.method, 'color');
+    assert.equal(done.result, `/api/jobs/${job.id}/result`);
+
+    const result = await worker.fetch(`http://localhost${done.result}`);
+    assert.equal(result.status, 200);
+    assert.equal(result.headers.get('X-Watermarknt-Detection'), 'color');
+    const direct = await postForm('/api/remove-watermark', buildForm(fields), { 'Cache-Control': 'no-cache' });
+    assert.deepEqual(new Uint8Array(await result.arrayBuffer()), new Uint8Array(await direct.arrayBuffer()));
+  });
+
+  it('reports a failed job with the error the request would have got', async () => {
+    const response = await postForm('/api/jobs', buildForm({ image: image.png, text: MISSING_TEXT, strict: 'true' }));
+    assert.equal(response.status, 202);
+    const failed = await finished(response.headers.get('Location'));
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error.code, 'fallback_required');
+
+    const result = await worker.fetch(`http://localhost/api/jobs/${failed.id}/result`);
+    assert.equal(result.status, 422);
+    assert.deepEqual(await result.json(), failed.error);
+  });
+
+  it('rejects invalid input up front and unknown IDs with 404', async () => {
+    const response = await postForm('/api/jobs', buildForm({ image: image.png, algorithm: 'magic' }));
+    assert.equal(response.status, 400);
+
+    for (const path of ['/api/jobs/no-such-job', '/api/jobs/no-such-job/result']) {
+      const unknown = await worker.fetch(`http://localhost${path}`);
+      assert.equal(unknown.status, 404, path);
+      assert.match((await unknown.json()).error, /Job not found/);
+    }
+  });
+});
+
+describe('templates', () => {
+  const MARK = { x: 80, y: 100, width: 120, height: 40 };
+  // Different art under the same mark in the same place
+  const images = [1, 2, 3, 4, 5].map(seed => paintStrokes(blockArt(280, 240, seed), MARK, [250, 250, 250]));
+  const create = files => postForm('/api/templates', buildForm({
+    image: files.map((bytes, i) => ({ bytes, name: `card${i}.png`, type: 'image/png' })),
+  }));
+  let id;
+
+  it('estimates and stores a template from images sharing a mark', async () => {
+    const response = await create([...images.map(image => image.png), Uint8Array.of(1, 2, 3)]);
+    assert.equal(response.status, 201, await response.clone().text());
+    const body = await response.json();
+    assert.deepEqual([body.width, body.height, body.imageCount], [280, 240, 5]);
+    assert.ok(body.maskedPixels > 0);
+    assert.deepEqual(body.skipped.map(file => file.name), ['card5.png']);
+    id = body.id;
+  });
+
+  it('looks up a stored template and its mask', async () => {
+    const response = await worker.fetch(`http://localhost/api/templates/${id}`);
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.id, id);
+    assert.equal(body.imageCount, 5);
+
+    const mask = await worker.fetch(`http://localhost/api/templates/${id}?format=mask`);
+    assert.equal(mask.headers.get('Content-Type'), 'image/png');
+    const rendered = decodePng(new Uint8Array(await mask.arrayBuffer()));
+    const black = { ...rendered, pixels: new Uint8Array(rendered.pixels.length).map((_, i) => i % 4 === 3 ? 255 : 0) };
+    assertCovers(changedRegion(black, rendered), MARK, 16);
+
+    assert.equal((await worker.fetch('http://localhost/api/templates/missing')).status, 404);
+  });
+
+  it('uses a stored template in place of detection', async () => {
+    const image = paintStrokes(blockArt(280, 240, 9), MARK, [250, 250, 250]);
+    const response = await postForm('/api/remove-watermark', buildForm({ image: image.png, template: id, text: MISSING_TEXT }));
+    assert.equal(response.status, 200, await response.clone().text());
+    assert.equal(response.headers.get('X-Watermarknt-Detection'), 'template');
+    assert.equal(response.headers.get('X-Watermarknt-Fallback'), 'none');
+    assertCovers(changedRegion(image, decodePng(new Uint8Array(await response.arrayBuffer()))), MARK, 16);
+  });
+
+  it('needs three decodable images of the same size', async () => {
+    const response = await create([images[0].png, Uint8Array.of(1, 2, 3), gradientImage(100, 100, 0, 255).png]);
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.match(body.error, /At least 3 images/);
+    assert.deepEqual(body.skipped.map(file => file.name), ['card1.png', 'card2.png']);
+
+    const none = await create([Uint8Array.of(1, 2, 3)]);
+    assert.equal(none.status, 400);
+    assert.match((await none.json()).error, /At least 3 images/);
+  });
+
+  it('rejects a set over the memory limit before decoding it', async () => {
+    // Three images of 1000x911 need 83,812,000 bytes, just within the 80 MB limit; most of it is the
+    // overlay estimate's 80 bytes a pixel at the template's size, which is the first image's. A row
+    // more on the first image puts them over. The headers claim sizes the data doesn't hold, so a
+    // set that passes the check is then skipped for failing to decode.
+    const within = await create([911, 911, 911].map(height => withHeaderSize(images[0].png, 1000, height)));
+    assert.equal(within.status, 400);
+    assert.deepEqual((await within.json()).skipped.map(({ reason }) => reason.split(' ')[0]), ['PNG', 'PNG', 'PNG']);
+
+    const over = await create([912, 911, 911].map(height => withHeaderSize(images[0].png, 1000, height)));
+    assert.equal(over.status, 413);
+    const body = await over.json();
+    assert.equal(body.code, 'image_too_large');
+    assert.deepEqual([body.totalPixels, body.memoryBytes, body.maxTemplateBytes], [2734000, 83896000, 83886080]);
+    assert.match(body.details, /needs 81 MB, over the 80 MB limit per template/);
+  });
+});
+
+describe('result cache', () => {
+  // An image of its own, so other tests' results aren't in the cache
+  const image = paintStrokes(gradientImage(320, 320, 180, 235), { x: 110, y: 140, width: 100, height: 40 }, [40, 40, 40]);
+  const remove = (fields = {}, headers = {}) => postForm('/api/remove-watermark', buildForm({
+    image: image.png, params: JSON.stringify({ color: '#282828' }), ...fields,
+  }), headers);
+
+  it('stores a result and serves it again under the same ETag', async () => {
+    const first = await remove();
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('X-Watermarknt-Cache'), 'miss');
+    const etag = first.headers.get('ETag');
+    assert.match(etag, /^"[0-9a-f]{64}"$/);
+    assert.match(first.headers.get('Access-Control-Expose-Headers'), /ETag/);
+    const bytes = new Uint8Array(await first.arrayBuffer());
+
+    const second = await remove();
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get('X-Watermarknt-Cache'), 'hit');
+    assert.equal(second.headers.get('ETag'), etag);
+    assert.deepEqual(new Uint8Array(await second.arrayBuffer()), bytes);
+  });
+
+  it('answers a matching If-None-Match with 304', async () => {
+    const etag = (await remove()).headers.get('ETag');
+    for (const ifNoneMatch of [etag, `W/${etag}`, `"other", ${etag}`]) {
+      const response = await remove({}, { 'If-None-Match': ifNoneMatch });
+      assert.equal(response.status, 304, ifNoneMatch);
+      assert.equal(response.headers.get('ETag'), etag);
+      assert.equal((await response.arrayBuffer()).byteLength, 0);
+    }
+    assert.equal((await remove({}, { 'If-None-Match': '"other"' })).status, 200);
+  });
+
+  it('answers If-None-Match: * with 304 only once a result is stored', async () => {
+    // A quality no other test uses, so nothing is stored for it yet
+    const first = await remove({ output: 'jpeg', quality: '73' }, { 'If-None-Match': '*' });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('X-Watermarknt-Cache'), 'miss');
+    assert.ok((await first.arrayBuffer()).byteLength > 0);
+
+    for (const headers of [{ 'If-None-Match': '*' }, { 'If-None-Match': '"other", *', 'Cache-Control': 'no-cache' }]) {
+      const response = await remove({ output: 'jpeg', quality: '73' }, headers);
+      assert.equal(response.status, 304, JSON.stringify(headers));
+      assert.equal(response.headers.get('ETag'), first.headers.get('ETag'));
+    }
+  });
+
+  it('processes afresh with Cache-Control: no-cache', async () => {
+    await remove();
+    const response = await remove({}, { 'Cache-Control': 'no-cache' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-Watermarknt-Cache'), 'miss');
+  });
+
+  it('keys results by the options that change them', async () => {
+    const etag = (await remove()).headers.get('ETag');
+    // Defaults are applied first, so spelling one out is the same request
+    assert.equal((await remove({ algorithm: 'edge' })).headers.get('ETag'), etag);
+    const variants = [
+      { params: JSON.stringify({ color: '#282828', lumaTolerance: 30 }) },
+      { output: 'jpeg' },
+      { output: 'jpeg', quality: '60' },
+      { algorithm: 'telea' },
+      { response: 'json' },
+    ];
+    const etags = new Set([etag]);
+    for (const fields of variants) {
+      const response = await remove(fields);
+      assert.equal(response.status, 200, JSON.stringify(fields));
+      assert.equal(response.headers.get('X-Watermarknt-Cache'), 'miss', JSON.stringify(fields));
+      etags.add(response.headers.get('ETag'));
+    }
+    assert.equal(etags.size, variants.length + 1);
+  });
+});
+
+describe('golden images', () => {
+  for (const card of cards) {
+    for (const algorithm of ALGORITHMS) {
+      it(`${card} ${algorithm}`, () => checkAgainstGolden(card, algorithm, TEXT));
+    }
+    // detectWatermarkRegions (basic) and the enhanced mask (the rest) on their own
+    for (const algorithm of ['basic', 'edge']) {
+      it(`${card} ${algorithm}, brightness detection`, () => checkAgainstGolden(card, algorithm, MISSING_TEXT));
+    }
+  }
+});
+
+async function checkAgainstGolden(card, algorithm, text) {
+  const input = await readFile(new URL(card, SAMPLE_DIR));
+  const form = new FormData();
+  form.append('image', new Blob([input], { type: 'image/png' }), card);
+  form.append('algorithm', algorithm);
+  form.append('text', text);
+
+  const response = await postForm('/api/remove-watermark', form);
+  assert.equal(response.status, 200, await response.clone().text());
+  assert.equal(response.headers.get('Content-Type'), 'image/png');
+  const detection = response.headers.get('X-Watermarknt-Detection');
+
+  const original = decodePng(input);
+  const output = decodePng(new Uint8Array(await response.arrayBuffer()));
+  assert.equal(output.width, original.width);
+  assert.equal(output.height, original.height);
+  const changed = changedRegion(original, output);
+
+  const key = `${card} ${algorithm} ${text}`;
+  const file = `${card.replace(/\.png$/, '')}.${algorithm}${text === TEXT ? '' : '.brightness'}.png`;
+  if (UPDATE) {
+    assert.ok(changed, 'Processing changed no pixels');
+    await writeFile(new URL(file, GOLDEN_DIR), encodePng(changedPixels(original, output, changed), changed.width, changed.height));
+    goldens[key] = { file, detection, ...changed };
+    return;
+  }
+
+  const golden = goldens[key];
+  assert.ok(golden, `No golden image for ${key}; run npm run test:update-goldens`);
+  assert.equal(detection, golden.detection, 'Detection method changed');
+
+  // The golden is the input card with the recorded region's changed pixels pasted in
+  const expected = new Uint8Array(original.pixels);
+  const region = decodePng(await readFile(new URL(golden.file, GOLDEN_DIR)));
+  for (let y = 0; y < golden.height; y++) {
+    for (let x = 0; x < golden.width; x++) {
+      const r = (y * golden.width + x) * 4;
+      if (region.pixels[r + 3] === 0) continue;
+      expected.set(region.pixels.subarray(r, r + 4), ((golden.y + y) * original.width + golden.x + x) * 4);
+    }
+  }
+
+  const rect = changed ? union(golden, changed) : golden;
+  const score = {
+    psnr: psnr(output.pixels, expected, original.width, rect),
+    ssim: ssim(output.pixels, expected, original.width, rect),
+  };
+  const where = `over ${rect.width}x${rect.height} at ${rect.x},${rect.y}`;
+  assert.ok(score.psnr >= MIN_PSNR, `PSNR ${score.psnr.toFixed(2)} dB is below ${MIN_PSNR} dB ${where}`);
+  assert.ok(score.ssim >= MIN_SSIM, `SSIM ${score.ssim.toFixed(4)} is below ${MIN_SSIM} ${where}`);
+}
+
+// /api/detect's JSON for an { png } image; params is sent as JSON
+async function detectJson(image, { params, ...fields } = {}) {
+  const response = await postForm('/api/detect', buildForm({
+    image: image.png, text: MISSING_TEXT, format: 'json', ...fields, ...(params && { params: JSON.stringify(params) }),
+  }));
+  assert.equal(response.status, 200, await response.clone().text());
+  return response.json();
+}
+
+// Form fields from strings, and files from byte arrays (sent as PNG) or { bytes, name, type }
+function buildForm(fields) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      if (item instanceof Uint8Array) {
+        form.append(name, new Blob([item], { type: 'image/png' }), `${name}.png`);
+      } else if (item && item.bytes) {
+        form.append(name, new Blob([item.bytes], { type: item.type || 'application/octet-stream' }), item.name);
+      } else {
+        form.append(name, String(item));
+      }
+    }
+  }
+  return form;
+}
+
+// The mask's bounding box contains the rect, give or take the detectors' dilation
+function assertCovers(bbox, rect, slack = 12) {
+  assert.ok(bbox, 'Nothing was masked');
+  assert.ok(bbox.x <= rect.x && bbox.y <= rect.y &&
+    bbox.x + bbox.width >= rect.x + rect.width && bbox.y + bbox.height >= rect.y + rect.height,
+    `bbox ${JSON.stringify(bbox)} doesn't cover ${JSON.stringify(rect)}`);
+  assert.ok(bbox.x >= rect.x - slack && bbox.y >= rect.y - slack &&
+    bbox.x + bbox.width <= rect.x + rect.width + slack && bbox.y + bbox.height <= rect.y + rect.height + slack,
+    `bbox ${JSON.stringify(bbox)} spreads past ${JSON.stringify(rect)}`);
+}
+
+// An opaque grey image shading diagonally from `from` to `to`, as { pixels, width, height, png }
+function gradientImage(width, height, from, to) {
+  const pixels = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = Math.round(from + (to - from) * (x + y) / (width + height - 2));
+      pixels.set([value, value, value, 255], (y * width + x) * 4);
+    }
+  }
+  return withPng({ pixels, width, height });
+}
+
+// A copy with three upright bars and a crossbar in the colour, filling the rect like a word
+function paintStrokes({ pixels, width, height }, rect, [r, g, b]) {
+  const output = new Uint8Array(pixels);
+  const bar = Math.max(4, Math.round(rect.height / 5));
+  const inStroke = (x, y) => x - rect.x < bar || rect.x + rect.width - 1 - x < bar ||
+    Math.abs(x - rect.x - rect.width / 2) < bar / 2 || Math.abs(y - rect.y - rect.height / 2) < bar / 2;
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      if (inStroke(x, y)) output.set([r, g, b], (y * width + x) * 4);
+    }
+  }
+  return withPng({ pixels: output, width, height });
+}
+
+function withPng(image) {
+  return { ...image, png: encodePng(image.pixels, image.width, image.height) };
+}
+
+// The Worker in workerd, with wrangler.toml's [vars] overridden by `vars`
+function startWorker(vars = {}) {
+  return unstable_startWorker({
+    config: new URL('../wrangler.toml', import.meta.url).pathname,
+    bindings: Object.fromEntries(Object.entries(vars).map(([name, value]) => [name, { type: 'plain_text', value }])),
+    dev: {
+      server: { hostname: '127.0.0.1', port: 0 },
+      inspector: false,
+      remote: false,
+      persist: false,
+      watch: false,
+      logLevel: 'error',
+    },
+  });
+}
+
+// The form is encoded here: the dev server's fetch doesn't serialize Node's FormData
+async function postForm(path, form, headers = {}, target = worker) {
+  const request = new Request(`http://localhost${path}`, { method: 'POST', body: form });
+  return target.fetch(request.url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': request.headers.get('Content-Type') },
+    body: await request.arrayBuffer(),
+  });
+}
+
+// A copy of the image with a half-transparent white ring stamped on a grid: `spacing` apart along
+// `angle`, in rows `rowSpacing` apart
+function stampGrid({ pixels, width, height }, angle, spacing, rowSpacing) {
+  const output = new Uint8Array(pixels);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const u = x * cos + y * sin;
+      const v = y * cos - x * sin;
+      const radius = Math.hypot(u - Math.round(u / spacing) * spacing, v - Math.round(v / rowSpacing) * rowSpacing);
+      if (radius < 12 || radius > 18) continue;
+      const p = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        output[p + c] = Math.round(output[p + c] * 0.55 + 255 * 0.45);
+      }
+    }
+  }
+  return output;
+}
+
+// Any format Photon reads, despite the name
+function decodePng(bytes) {
+  const image = PhotonImage.new_from_byteslice(bytes);
+  const decoded = { pixels: image.get_raw_pixels(), width: image.get_width(), height: image.get_height() };
+  image.free();
+  return decoded;
+}
+
+// The container by its signature: the Worker's sniffFormat imports Photon's workerd build
+function formatOf(bytes) {
+  const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+  if (ascii(1, 4) === 'PNG') return 'png';
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'jpeg';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+// A copy of a JPEG or PNG carrying an EXIF orientation tag: an APP1 segment after SOI, or an
+// eXIf chunk after IHDR
+function withExifOrientation(bytes, format, orientation) {
+  // Little-endian TIFF header and an IFD0 holding only Orientation (0x0112, SHORT)
+  const tiff = new Uint8Array(26);
+  const view = new DataView(tiff.buffer);
+  tiff.set([0x49, 0x49, 42, 0]);
+  view.setUint32(4, 8, true);
+  view.setUint16(8, 1, true);
+  view.setUint16(10, 0x0112, true);
+  view.setUint16(12, 3, true);
+  view.setUint32(14, 1, true);
+  view.setUint16(18, orientation, true);
+
+  if (format === 'jpeg') {
+    const segment = new Uint8Array(4 + 6 + tiff.length);
+    segment.set([0xff, 0xe1, 0, segment.length - 2]);
+    segment.set([0x45, 0x78, 0x69, 0x66, 0, 0], 4); // Exif\0\0
+    segment.set(tiff, 10);
+    return Buffer.concat([bytes.subarray(0, 2), segment, bytes.subarray(2)]);
+  }
+  return withPngChunk(bytes, 'eXIf', tiff);
+}
+
+// A copy of the PNG with a chunk inserted straight after IHDR
+function withPngChunk(bytes, type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(Buffer.from(type, 'latin1'), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return Buffer.concat([bytes.subarray(0, 33), chunk, bytes.subarray(33)]);
+}
+
+// Chunk types in file order
+function pngChunkTypes(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const types = [];
+  for (let offset = 8; offset + 12 <= bytes.length; offset += 12 + view.getUint32(offset)) {
+    types.push(String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)));
+  }
+  return types;
+}
+
+// The image encoded by Photon as `format`: png, jpeg or webp (lossless)
+function encodeAs({ pixels, width, height }, format, quality = 95) {
+  const image = new PhotonImage(new Uint8Array(pixels), width, height);
+  try {
+    if (format === 'jpeg') return image.get_bytes_jpeg(quality);
+    return format === 'webp' ? image.get_bytes_webp() : image.get_bytes();
+  } finally {
+    image.free();
+  }
+}
+
+// The image as a 24-bit bottom-up BMP, a format the Worker reads but doesn't encode
+function encodeBmp({ pixels, width, height }) {
+  const stride = Math.ceil(width * 3 / 4) * 4;
+  const bytes = new Uint8Array(54 + stride * height);
+  const view = new DataView(bytes.buffer);
+  bytes.set([0x42, 0x4d]);
+  view.setUint32(2, bytes.length, true);
+  view.setUint32(10, 54, true);
+  view.setUint32(14, 40, true);
+  view.setInt32(18, width, true);
+  view.setInt32(22, height, true);
+  view.setUint16(26, 1, true);
+  view.setUint16(28, 24, true);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4;
+      bytes.set([pixels[p + 2], pixels[p + 1], pixels[p]], 54 + (height - 1 - y) * stride + x * 3);
+    }
+  }
+  return bytes;
+}
+
+// Bounding box of the pixels that differ, or null
+function changedRegion(a, b) {
+  let x0 = a.width, y0 = a.height, x1 = -1, y1 = -1;
+  for (let y = 0; y < a.height; y++) {
+    for (let x = 0; x < a.width; x++) {
+      const p = (y * a.width + x) * 4;
+      if (a.pixels[p] !== b.pixels[p] || a.pixels[p + 1] !== b.pixels[p + 1] ||
+          a.pixels[p + 2] !== b.pixels[p + 2] || a.pixels[p + 3] !== b.pixels[p + 3]) {
+        x0 = Math.min(x0, x);
+        y0 = Math.min(y0, y);
+        x1 = Math.max(x1, x);
+        y1 = Math.max(y1, y);
+      }
+    }
+  }
+  return x1 < 0 ? null : { x: x0, y: y0, width: x1 - x0 + 1, height: y1 - y0 + 1 };
+}
+
+// The rect of b, with the pixels that match a cleared to transparent. The cards are opaque, so a
+// changed pixel is never transparent itself.
+function changedPixels(a, b, rect) {
+  const output = new Uint8Array(rect.width * rect.height * 4);
+  for (let y = 0; y < rect.height; y++) {
+    for (let x = 0; x < rect.width; x++) {
+      const p = ((rect.y + y) * a.width + rect.x + x) * 4;
+      if (a.pixels[p] === b.pixels[p] && a.pixels[p + 1] === b.pixels[p + 1] &&
+          a.pixels[p + 2] === b.pixels[p + 2] && a.pixels[p + 3] === b.pixels[p + 3]) continue;
+      output.set(b.pixels.subarray(p, p + 4), (y * rect.width + x) * 4);
+    }
+  }
+  return output;
+}
+
+function union(a, b) {
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y,
+  };
+}
+
+// A flat grey image with rectangles of other greys, laid out from the seed
+function blockArt(width, height, seed) {
+  let state = seed * 7919;
+  const random = () => (state = (state * 1103515245 + 12345) % 2147483648) / 2147483648;
+  const pixels = new Uint8Array(width * height * 4);
+  const background = 60 + Math.round(random() * 80);
+  for (let i = 0; i < pixels.length; i += 4) pixels.set([background, background, background, 255], i);
+  for (let n = 0; n < 12; n++) {
+    const x0 = Math.floor(random() * width), y0 = Math.floor(random() * height);
+    const x1 = Math.min(width, x0 + 10 + Math.floor(random() * 80)), y1 = Math.min(height, y0 + 10 + Math.floor(random() * 80));
+    const value = Math.round(random() * 200);
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) pixels.set([value, value, value], (y * width + x) * 4);
+    }
+  }
+  return { pixels, width, height };
+}
+
+// A copy of the PNG whose IHDR claims another size; size checks read only the header
+function withHeaderSize(png, width, height) {
+  const output = new Uint8Array(png);
+  const view = new DataView(output.buffer);
+  view.setUint32(16, width);
+  view.setUint32(20, height);
+  return output;
+}
+
+// White on black over the rect, as { pixels, width, height, png }
+function rectMask(width, height, rect) {
+  const pixels = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inside = x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+      pixels.set(inside ? [255, 255, 255, 255] : [0, 0, 0, 255], (y * width + x) * 4);
+    }
+  }
+  return withPng({ pixels, width, height });
+}
@@ -0,0 +1,87 @@
+// Minimal RGBA PNG encoder for the golden images. Photon's encoder favours speed over size;
+// this one picks a filter per row and deflates at the highest level, so goldens stay small.
+import { deflateSync } from 'node:zlib';
+import { crc32 } from '../../src/crc32.js';
+
+const SIGNATURE = Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a);
+
+export function encodePng(pixels, width, height) {
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace
+
+  return concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(filterRows(pixels, width, height), { level: 9 })),
+    chunk('IEND', new Uint8Array(0)),
+  ]);
+}
+
+// Each row with the filter whose output has the smallest sum of absolute (signed) bytes
+function filterRows(pixels, width, height) {
+  const stride = width * 4;
+  const output = new Uint8Array((stride + 1) * height);
+  const candidate = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    let best = Infinity;
+    for (let filter = 0; filter <= 4; filter++) {
+      let cost = 0;
+      for (let i = 0; i < stride; i++) {
+        const left = i >= 4 ? pixels[row + i - 4] : 0;
+        const up = y > 0 ? pixels[row - stride + i] : 0;
+        const upLeft = y > 0 && i >= 4 ? pixels[row - stride + i - 4] : 0;
+        const value = (pixels[row + i] - predict(filter, left, up, upLeft)) & 0xff;
+        candidate[i] = value;
+        cost += value < 128 ? value : 256 - value;
+      }
+      if (cost < best) {
+        best = cost;
+        output[y * (stride + 1)] = filter;
+        output.set(candidate, y * (stride + 1) + 1);
+      }
+    }
+  }
+  return output;
+}
+
+function predict(filter, left, up, upLeft) {
+  switch (filter) {
+    case 1: return left;
+    case 2: return up;
+    case 3: return (left + up) >> 1;
+    case 4: {
+      const estimate = left + up - upLeft;
+      const distanceLeft = Math.abs(estimate - left);
+      const distanceUp = Math.abs(estimate - up);
+      const distanceUpLeft = Math.abs(estimate - upLeft);
+      if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+      return distanceUp <= distanceUpLeft ? up : upLeft;
+    }
+    default: return 0;
+  }
+}
+
+function chunk(type, data) {
+  const output = new Uint8Array(12 + data.length);
+  const view = new DataView(output.buffer);
+  view.setUint32(0, data.length);
+  output.set(new TextEncoder().encode(type), 4);
+  output.set(data, 8);
+  view.setUint32(8 + data.length, crc32(output.subarray(4, 8 + data.length)));
+  return output;
+}
+
+function concat(parts) {
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
@@ -0,0 +1,57 @@
+// Deflated ZIP archives for the batch tests; src/zip.js only writes stored ones. An entry's `size`
+// overrides the inflated size written to its headers, to build archives that lie about it.
+import { deflateRawSync } from 'node:zlib';
+import { crc32 } from '../../src/crc32.js';
+
+export function deflatedZip(entries) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data, size = data.length } of entries) {
+    const nameBytes = encoder.encode(name);
+    const compressed = deflateRawSync(data);
+    const fields = { crc: crc32(data), compressedSize: compressed.length, size };
+
+    const local = new Uint8Array(30 + nameBytes.length);
+    writeFields(new DataView(local.buffer), 0x04034b50, 4, fields);
+    new DataView(local.buffer).setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+
+    const central = new Uint8Array(46 + nameBytes.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014b50, true);
+    centralView.setUint16(4, 20, true);
+    writeFields(centralView, null, 6, fields);
+    centralView.setUint16(28, nameBytes.length, true);
+    centralView.setUint32(42, offset, true);
+    central.set(nameBytes, 46);
+
+    parts.push(local, compressed);
+    centrals.push(central);
+    offset += local.length + compressed.length;
+  }
+
+  const directorySize = centrals.reduce((sum, central) => sum + central.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, entries.length, true);
+  endView.setUint16(10, entries.length, true);
+  endView.setUint32(12, directorySize, true);
+  endView.setUint32(16, offset, true);
+
+  return Buffer.concat([...parts, ...centrals, end]);
+}
+
+// The run of fields local and central headers share, from "version needed" to the sizes
+function writeFields(view, signature, at, { crc, compressedSize, size }) {
+  if (signature !== null) view.setUint32(0, signature, true);
+  view.setUint16(at, 20, true);       // Version needed: 2.0
+  view.setUint16(at + 2, 0x800, true); // UTF-8 names
+  view.setUint16(at + 4, 8, true);    // Deflate
+  view.setUint32(at + 10, crc, true);
+  view.setUint32(at + 14, compressedSize, true);
+  view.setUint32(at + 18, size, true);
+}